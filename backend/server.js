@@ -13,8 +13,10 @@ const cors = require("cors");
 const jwt = require("jsonwebtoken");
 const axios = require("axios");
 const multer = require("multer");
+const { parse: parseCsv } = require("csv-parse/sync");
 const fs = require("fs");
 const path = require("path");
+const crypto = require("crypto");
 const { Sequelize, DataTypes } = require("sequelize");
 const PORT = process.env.PORT || 5000;
 
@@ -27,6 +29,42 @@ const EXT_SECRET = process.env.EXT_SECRET;
 const CLIENT_SECRET = process.env.CLIENT_SECRET;
 const extSecretBuffer = Buffer.from(EXT_SECRET, 'base64');
 
+// Extra time in ms after the answer deadline during which submissions are
+// still accepted, to absorb network latency between viewer and server
+const ANSWER_GRACE_PERIOD = parseInt(process.env.ANSWER_GRACE_PERIOD_MS, 10) || 1500;
+
+// Whether the daily difficulty check changes questions itself, or only
+// suggests the change for a moderator to approve in the config panel
+const AUTO_RECALIBRATE_DIFFICULTY = process.env.AUTO_RECALIBRATE_DIFFICULTY === "true";
+
+// Difficulty levels a question may be stored with
+const QUESTION_DIFFICULTIES = ["Easy", "Medium", "Hard"];
+
+// Where a channel draws its questions from: the shared bank, its own
+// custom questions, or both
+const QUESTION_SOURCES = ["shared", "custom", "both"];
+
+// Review workflow for questions; only approved questions are asked
+const QUESTION_STATUSES = ["draft", "pending_review", "approved", "retired"];
+
+// How viewers answer a question: pick one choice, pick every correct choice
+// ("select all that apply"), type the answer, or guess a number (closest guess wins)
+const QUESTION_TYPES = ["multiple_choice", "multi_select", "free_text", "numeric"];
+
+// Question types answered by picking from a list of choices
+const CHOICE_QUESTION_TYPES = ["multiple_choice", "multi_select"];
+
+// How many choices a choice question may have (2 covers true/false)
+const MIN_QUESTION_CHOICES = 2;
+const MAX_QUESTION_CHOICES = 6;
+
+// Fields that carry a choice question's wrong answers in CSV files and
+// older API clients: wrong_answer1 to wrong_answer5
+const WRONG_ANSWER_FIELDS = Array.from({ length: MAX_QUESTION_CHOICES - 1 }, (_, i) => `wrong_answer${i + 1}`);
+
+// Longest explanation shown with a question's answer
+const QUESTION_EXPLANATION_MAX_LENGTH = 1000;
+
 // Validate environment variables
 function validateEnvironment() {
   const requiredVars = ['EXT_CLIENT_ID', 'EXT_OWNER_ID', 'EXT_SECRET', 'CLIENT_SECRET'];
@@ -51,6 +89,8 @@ function logEnvironment() {
   console.log(`EXT_SECRET: ${process.env.EXT_SECRET ? "DEFINED" : "UNDEFINED"}`);
   console.log(`CLIENT_SECRET: ${process.env.CLIENT_SECRET ? "DEFINED" : "UNDEFINED"}`);
   console.log(`EXT_OWNER_ID: ${process.env.EXT_OWNER_ID ? "DEFINED" : "UNDEFINED"}`);
+  console.log(`ANSWER_GRACE_PERIOD_MS: ${process.env.ANSWER_GRACE_PERIOD_MS || "(using default 1500)"}`);
+  console.log(`AUTO_RECALIBRATE_DIFFICULTY: ${AUTO_RECALIBRATE_DIFFICULTY ? "true" : "false (suggestions only)"}`);
   console.log("=================================================");
 }
 
@@ -152,7 +192,7 @@ const corsOptions = {
       callback(null, false);
     }
   },
-  methods: ['GET', 'POST', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization'],
   credentials: true,
   maxAge: 86400 // 24 hours cache for preflight requests
@@ -257,6 +297,23 @@ app.get("/overlay", (req, res) => {
   console.log("✅ Serving overlay.html from:", frontendPath);
 });
 
+/**
+ * Question Media Serving
+ * Images and audio clips uploaded for questions (see the Question Media API)
+ */
+const MEDIA_DIR = path.join(__dirname, "media");
+fs.mkdirSync(MEDIA_DIR, { recursive: true });
+app.use("/media", express.static(MEDIA_DIR, { index: false, maxAge: "7d" }));
+
+/**
+ * Public URL of a stored media file
+ * @param {string} file - File name in the media directory
+ * @returns {string} Path the frontend loads it from
+ */
+function mediaUrl(file) {
+  return `/media/${encodeURIComponent(file)}`;
+}
+
 /**
  * Start server after Database Check
  */
@@ -278,14 +335,11 @@ startServer().catch(err => {
 
 // Global username mappings and state variables (will be moved in later refactoring steps)
 const userIdToUsername = {};
-const usersScores = {};
-const userSessionScores = {};
-let lastUserSessionScores = {};
-let triviaActive = false;
-let triviaRoundEndTime = 0;
-let nextQuestionTime = null;
-let questionInProgress = false;
-let usedQuestions = [];
+const usersScores = {}; // channelId -> { userId -> total score } (memory backup)
+
+// Game state per broadcaster channel (see createChannelSession).
+// Every channel runs its own loop, question history, session scores and timers.
+const channelSessions = {};
 
 /********************************
  * SECTION 2: DATA MODELS
@@ -293,9 +347,15 @@ let usedQuestions = [];
 
 /**
  * Score Model
- * Tracks user scores and usernames
+ * Tracks user scores and usernames per channel
  */
 const Score = sequelize.define("Score", {
+    channelId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      primaryKey: true,
+      comment: "Channel the score was earned in"
+    },
     userId: {
       type: DataTypes.STRING,
       allowNull: false,
@@ -325,7 +385,6 @@ const Score = sequelize.define("Score", {
     updatedAt: "lastUpdated",
     indexes: [
       {
-        unique: true,
         fields: ["userId"]
       }
     ]
@@ -347,19 +406,13 @@ const Score = sequelize.define("Score", {
     },
     correct_answer: {
       type: DataTypes.STRING(255),
-      allowNull: false
-    },
-    wrong_answer1: {
-      type: DataTypes.STRING(255),
-      allowNull: false
-    },
-    wrong_answer2: {
-      type: DataTypes.STRING(255),
-      allowNull: false
+      allowNull: false,
+      comment: "The answer; for multi_select the first correct choice"
     },
-    wrong_answer3: {
-      type: DataTypes.STRING(255),
-      allowNull: false
+    choices: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: "Choices of a multiple_choice or multi_select question: [{ text, correct }]"
     },
     category_id: {
       type: DataTypes.STRING(100),
@@ -369,6 +422,94 @@ const Score = sequelize.define("Score", {
       type: DataTypes.STRING(50),
       defaultValue: 'Medium'
     },
+    owner_id: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      comment: "Broadcaster who owns the question; null for the shared bank"
+    },
+    pack_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: "QuestionPack the question belongs to, if any"
+    },
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: "pending_review",
+      comment: "draft, pending_review, approved or retired"
+    },
+    reviewed_by: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      comment: "Twitch user who last approved or rejected the question"
+    },
+    reviewed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    submitted_by: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      comment: "Viewer who submitted the question from the panel, if any"
+    },
+    submitted_by_name: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      comment: "Submitting viewer's Twitch name, used for credit on reveal"
+    },
+    question_type: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: "multiple_choice",
+      comment: "multiple_choice, multi_select, free_text or numeric"
+    },
+    accepted_answers: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      defaultValue: [],
+      comment: "Other spellings and aliases accepted for a free_text question"
+    },
+    numeric_range: {
+      type: DataTypes.DOUBLE,
+      allowNull: true,
+      comment: "How far off a numeric guess may be and still score; null uses 10% of the answer"
+    },
+    explanation: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: "Why the answer is right, shown to viewers on reveal"
+    },
+    source: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      comment: "Where the lore comes from (book, episode, wiki page), shown on reveal"
+    },
+    media_file: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      comment: "Image or audio clip in the media directory, shown above the question"
+    },
+    media_type: {
+      type: DataTypes.STRING(10),
+      allowNull: true,
+      comment: "image or audio"
+    },
+    times_asked: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: "How many times the question has been broadcast, across all channels"
+    },
+    suggested_difficulty: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      comment: "Difficulty the recalibration job thinks fits better, awaiting approval"
+    },
+    recalibrated_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: "When the difficulty was last changed or a suggestion dismissed; only later answers are judged"
+    },
     created_at: {
       type: DataTypes.DATE,
       defaultValue: Sequelize.NOW
@@ -381,6 +522,8 @@ const Score = sequelize.define("Score", {
   /**
    * QuestionCategory Model
    * Stores category information for trivia questions
+   * The id is what questions reference and never changes; renaming a
+   * category only changes its name.
    */
   const QuestionCategory = sequelize.define("QuestionCategory", {
     id: {
@@ -394,11 +537,142 @@ const Score = sequelize.define("Score", {
     description: {
       type: DataTypes.TEXT,
       allowNull: true
+    },
+    icon: {
+      type: DataTypes.STRING(16),
+      allowNull: true,
+      comment: "Emoji shown next to the name"
+    },
+    color: {
+      type: DataTypes.STRING(7),
+      allowNull: true,
+      comment: "Hex color (#rrggbb) of the category badge"
+    },
+    owner_id: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      comment: "Channel the category belongs to; null for categories in the shared bank or used by several channels"
+    },
+    parent_id: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      comment: "Category this one sits under (franchise > game > topic); null for a top-level category"
     }
   }, {
     tableName: "question_categories",
     timestamps: false
   });
+
+  // Every question's category_id points at a category row, so a category
+  // can only be deleted once it has no questions left
+  TriviaQuestion.belongsTo(QuestionCategory, {
+    foreignKey: "category_id",
+    as: "category",
+    onDelete: "RESTRICT",
+    onUpdate: "CASCADE"
+  });
+  QuestionCategory.hasMany(TriviaQuestion, { foreignKey: "category_id", as: "questions" });
+  QuestionCategory.belongsTo(QuestionCategory, {
+    foreignKey: "parent_id",
+    as: "parent",
+    onDelete: "SET NULL",
+    onUpdate: "CASCADE"
+  });
+
+  /**
+   * QuestionTag Model
+   * Free-form labels such as "dlc" or "spoiler:endgame"; unlike categories
+   * a question can carry any number of them
+   */
+  const QuestionTag = sequelize.define("QuestionTag", {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    name: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      unique: true,
+      comment: "Lowercase tag name, e.g. dlc or spoiler:endgame"
+    }
+  }, {
+    tableName: "question_tags",
+    timestamps: false
+  });
+
+  /**
+   * QuestionTagLink Model
+   * Which tags each question carries
+   */
+  const QuestionTagLink = sequelize.define("QuestionTagLink", {
+    question_id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true
+    },
+    tag_id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true
+    }
+  }, {
+    tableName: "question_tag_links",
+    timestamps: false,
+    indexes: [
+      {
+        fields: ["tag_id"]
+      }
+    ]
+  });
+
+  TriviaQuestion.belongsToMany(QuestionTag, {
+    through: QuestionTagLink,
+    foreignKey: "question_id",
+    otherKey: "tag_id",
+    as: "tags"
+  });
+  QuestionTag.belongsToMany(TriviaQuestion, {
+    through: QuestionTagLink,
+    foreignKey: "tag_id",
+    otherKey: "question_id",
+    as: "questions"
+  });
+
+  /**
+   * QuestionPack Model
+   * A broadcaster's private, named group of custom questions
+   */
+  const QuestionPack = sequelize.define("QuestionPack", {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    owner_id: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      comment: "Broadcaster who owns the pack"
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: Sequelize.NOW
+    }
+  }, {
+    tableName: "question_packs",
+    timestamps: false,
+    indexes: [
+      {
+        fields: ["owner_id"]
+      }
+    ]
+  });
   
   /**
    * TriviaSettings Model
@@ -418,11 +692,181 @@ const Score = sequelize.define("Score", {
       type: DataTypes.JSON,
       allowNull: true,
       defaultValue: ["Easy", "Medium", "Hard"]
+    },
+    allow_moderator_control: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: "Whether channel moderators may control the game"
+    },
+    answer_time: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 30000,
+      comment: "Time in ms viewers have to answer"
+    },
+    interval_time: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 600000,
+      comment: "Time in ms between questions"
+    },
+    question_source: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: "both",
+      comment: "shared, custom or both"
+    },
+    active_packs: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      defaultValue: [],
+      comment: "Custom pack ids to draw from; empty means all of the channel's questions"
+    },
+    partial_credit: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 50,
+      comment: "Percent of full points for a free-text answer within typo tolerance; 0 turns it off"
+    },
+    numeric_bonus_places: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 3,
+      comment: "How many of the closest numeric guesses earn a bonus; 0 turns bonuses off"
+    },
+    tag_filters: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      defaultValue: { any: [], all: [], exclude: [] },
+      comment: "Tag rules for picking questions: any (at least one), all (every one), exclude (none)"
     }
   }, {
     tableName: "trivia_settings",
     timestamps: false
   });
+
+  /**
+   * Answer Model
+   * Ledger of every accepted answer, one row per viewer per question round
+   */
+  const Answer = sequelize.define("Answer", {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    user_id: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      comment: "Twitch User ID"
+    },
+    channel_id: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      comment: "Channel the question was asked in"
+    },
+    question_id: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      comment: "Question ID (memory questions use a generated ID)"
+    },
+    round_id: {
+      type: DataTypes.STRING(150),
+      allowNull: false,
+      comment: "Unique ID of the question round"
+    },
+    choice_index: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    choice: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      comment: "Text of the selected choice"
+    },
+    is_correct: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: "Fully correct; a multi-select answer with only some choices right is not"
+    },
+    credit: {
+      type: DataTypes.FLOAT,
+      allowNull: false,
+      defaultValue: 0,
+      comment: "Share of full credit earned, 0-1 (partial for multi-select and close typed answers)"
+    },
+    answer_time_ms: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: "Server-measured time from question broadcast to answer"
+    },
+    points: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    answered_at: {
+      type: DataTypes.DATE,
+      defaultValue: Sequelize.NOW
+    }
+  }, {
+    tableName: "trivia_answers",
+    timestamps: false,
+    indexes: [
+      {
+        unique: true,
+        fields: ["user_id", "round_id"]
+      },
+      {
+        fields: ["question_id"]
+      }
+    ]
+  });
+
+  /**
+   * TriviaSession Model
+   * Snapshot of each channel's running game so it survives a server restart
+   */
+  const TriviaSession = sequelize.define("TriviaSession", {
+    channel_id: {
+      type: DataTypes.STRING(100),
+      primaryKey: true
+    },
+    trivia_active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    next_question_time: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+      comment: "Epoch ms when the next question is due"
+    },
+    used_questions: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      defaultValue: []
+    },
+    session_scores: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      defaultValue: {}
+    },
+    last_session_scores: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      defaultValue: {}
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      defaultValue: Sequelize.NOW
+    }
+  }, {
+    tableName: "trivia_sessions",
+    timestamps: false
+  });
   
   /**
    * Sync models with database
@@ -451,8 +895,14 @@ const Score = sequelize.define("Score", {
     
     // Initialize database structure and repair user IDs
     await initDatabase();
-    
-    // Start listening on port
+
+    // Pick up games that were running when the server stopped
+    if (dbConnected) {
+      await restoreSessions();
+      scheduleDifficultyRecalibration();
+    }
+    
+    // Start listening on port
     app.listen(PORT, () => {
       console.log(`✅ Server listening on port ${PORT}`);
       console.log(`✅ Access at http://localhost:${PORT}`);
@@ -467,9 +917,6 @@ const Score = sequelize.define("Score", {
       // Check database structure
       await debugDatabaseStructure();
       
-      // Load initial questions
-      await loadInitialQuestions();
-      
       // Fix user IDs issue with Twitch API
       await repairUserIds();
     } catch (error) {
@@ -477,6 +924,194 @@ const Score = sequelize.define("Score", {
     }
   }
   
+  /**
+   * Add a column to an existing table if it is missing
+   * sequelize.sync() only creates tables, so new model fields need this
+   * @param {string} table - Table name
+   * @param {string} column - Column name
+   * @param {string} definition - SQL column definition
+   * @returns {Promise<boolean>} True if the column was added
+   */
+  async function ensureColumn(table, column, definition) {
+    const [results] = await sequelize.query(
+      `SHOW COLUMNS FROM ${table} LIKE '${column}'`
+    );
+
+    if (results.length > 0) {
+      return false;
+    }
+
+    console.log(`⚠️ ${table}.${column} column missing. Adding it now...`);
+    await sequelize.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    console.log(`✅ ${table}.${column} column added to database`);
+    return true;
+  }
+
+  /**
+   * Scope user_scores by channel
+   * Older tables are keyed by userId alone; existing rows are assigned to the
+   * extension owner's channel and the key becomes (channelId, userId).
+   */
+  async function migrateScoresToChannels() {
+    const added = await ensureColumn("user_scores", "channelId", "VARCHAR(255) NULL FIRST");
+
+    const [unassigned] = await sequelize.query(
+      "UPDATE user_scores SET channelId = :owner WHERE channelId IS NULL OR channelId = ''",
+      { replacements: { owner: EXT_OWNER_ID } }
+    );
+    if (added || unassigned.affectedRows > 0) {
+      console.log(`✅ Assigned existing scores to owner channel ${EXT_OWNER_ID}`);
+    }
+
+    // Switch the primary key from userId to (channelId, userId)
+    const [primaryKey] = await sequelize.query(
+      "SHOW KEYS FROM user_scores WHERE Key_name = 'PRIMARY'"
+    );
+    if (!primaryKey.some(key => key.Column_name === "channelId")) {
+      console.log("⚠️ Re-keying user_scores by channel...");
+      await sequelize.query(
+        "ALTER TABLE user_scores MODIFY channelId VARCHAR(255) NOT NULL, DROP PRIMARY KEY, ADD PRIMARY KEY (channelId, userId)"
+      );
+      console.log("✅ user_scores is now keyed by (channelId, userId)");
+    }
+
+    // A viewer can now have one row per channel, so userId must not be unique
+    const [uniqueKeys] = await sequelize.query(
+      "SHOW INDEX FROM user_scores WHERE Non_unique = 0 AND Key_name <> 'PRIMARY'"
+    );
+    const userIdOnlyKeys = [...new Set(uniqueKeys.map(key => key.Key_name))]
+      .filter(name => uniqueKeys.filter(key => key.Key_name === name)
+        .every(key => key.Column_name === "userId"));
+
+    for (const keyName of userIdOnlyKeys) {
+      await sequelize.query(`ALTER TABLE user_scores DROP INDEX \`${keyName}\``);
+      await sequelize.query(`CREATE INDEX \`${keyName}\` ON user_scores (userId)`);
+      console.log(`✅ Replaced unique index ${keyName} with a plain userId index`);
+    }
+  }
+
+  /**
+   * Move multiple-choice answers into the choices column
+   * Older tables keep the correct answer plus wrong_answer columns; every
+   * row with wrong answers, whatever its question_type, is copied into
+   * choices, and the columns only go once no such row is left uncopied.
+   * The columns are made nullable first, since the model no longer writes them.
+   */
+  async function migrateQuestionChoices() {
+    await ensureColumn("trivia_questions", "choices", "JSON NULL");
+
+    const [legacyColumns] = await sequelize.query(
+      "SHOW COLUMNS FROM trivia_questions LIKE 'wrong_answer%'"
+    );
+    if (legacyColumns.length === 0) return;
+
+    console.log("⚠️ Moving wrong_answer columns into trivia_questions.choices...");
+    const nullable = legacyColumns
+      .map(column => `MODIFY COLUMN \`${column.Field}\` ${column.Type} NULL DEFAULT NULL`)
+      .join(", ");
+    await sequelize.query(`ALTER TABLE trivia_questions ${nullable}`);
+
+    const wrongFields = legacyColumns.map(column => column.Field).sort();
+    const hasWrongAnswers = wrongFields.map(field => `COALESCE(TRIM(\`${field}\`), '') <> ''`).join(" OR ");
+    const uncopiedWhere = `choices IS NULL AND (${hasWrongAnswers})`;
+
+    const [rows] = await sequelize.query(`
+      SELECT id, question_type, correct_answer, ${wrongFields.map(field => `\`${field}\``).join(", ")}
+      FROM trivia_questions
+      WHERE ${uncopiedWhere}
+    `);
+
+    await sequelize.transaction(async (transaction) => {
+      for (const row of rows) {
+        const correctAnswers = row.question_type === "multi_select"
+          ? String(row.correct_answer ?? "").split("|")
+          : [row.correct_answer];
+        const choices = [
+          ...correctAnswers.map(answer => ({ text: String(answer ?? "").trim(), correct: true })),
+          ...wrongFields.map(field => ({ text: String(row[field] ?? "").trim(), correct: false }))
+        ].filter(choice => choice.text);
+
+        await sequelize.query("UPDATE trivia_questions SET choices = :choices WHERE id = :id", {
+          replacements: { choices: JSON.stringify(choices), id: row.id },
+          transaction
+        });
+      }
+    });
+    console.log(`✅ Copied the answers of ${rows.length} questions into choices`);
+
+    // Only dropped once every row has been copied, so a failed run can be retried
+    const [[{ remaining }]] = await sequelize.query(
+      `SELECT COUNT(*) AS remaining FROM trivia_questions WHERE ${uncopiedWhere}`
+    );
+    if (Number(remaining) > 0) {
+      console.error(`❌ ${remaining} questions still have uncopied wrong answers; keeping the wrong_answer columns`);
+      return;
+    }
+
+    const drops = legacyColumns.map(column => `DROP COLUMN \`${column.Field}\``).join(", ");
+    await sequelize.query(`ALTER TABLE trivia_questions ${drops}`);
+    console.log("✅ Dropped the wrong_answer columns from trivia_questions");
+  }
+
+  /**
+   * Check whether a column already has a foreign key to another table
+   * @param {string} table - Table holding the column
+   * @param {string} column - Column name
+   * @param {string} referencedTable - Table the key should point at
+   * @returns {Promise<boolean>} True if the foreign key exists
+   */
+  async function hasForeignKey(table, column, referencedTable) {
+    const [foreignKeys] = await sequelize.query(`
+      SELECT CONSTRAINT_NAME FROM information_schema.KEY_COLUMN_USAGE
+      WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = :table
+        AND COLUMN_NAME = :column AND REFERENCED_TABLE_NAME = :referencedTable
+    `, { replacements: { table, column, referencedTable } });
+    return foreignKeys.length > 0;
+  }
+
+  /**
+   * Make trivia_questions.category_id a foreign key to question_categories
+   * Older tables only have the id on each question; every category in use
+   * gets a row first, owned by its channel if only one channel's custom
+   * questions use it. Categories also gain a parent for nesting.
+   */
+  async function migrateQuestionCategories() {
+    await ensureColumn("question_categories", "icon", "VARCHAR(16) NULL");
+    await ensureColumn("question_categories", "color", "VARCHAR(7) NULL");
+    await ensureColumn("question_categories", "owner_id", "VARCHAR(100) NULL");
+    await ensureColumn("question_categories", "parent_id", "VARCHAR(100) NULL");
+
+    if (!await hasForeignKey("question_categories", "parent_id", "question_categories")) {
+      await sequelize.query(`
+        ALTER TABLE question_categories
+        ADD CONSTRAINT question_categories_parent_id_fk FOREIGN KEY (parent_id)
+        REFERENCES question_categories (id) ON DELETE SET NULL ON UPDATE CASCADE
+      `);
+      console.log("✅ question_categories.parent_id now references question_categories");
+    }
+
+    if (await hasForeignKey("trivia_questions", "category_id", "question_categories")) return;
+
+    console.log("⚠️ Creating category rows for trivia_questions.category_id...");
+    const [created] = await sequelize.query(`
+      INSERT INTO question_categories (id, name, owner_id)
+      SELECT q.category_id, q.category_id,
+             IF(SUM(q.owner_id IS NULL) = 0 AND COUNT(DISTINCT q.owner_id) = 1, MIN(q.owner_id), NULL)
+      FROM trivia_questions q
+      LEFT JOIN question_categories c ON c.id = q.category_id
+      WHERE c.id IS NULL
+      GROUP BY q.category_id
+    `);
+    console.log(`✅ Added ${created.affectedRows} categories to question_categories`);
+
+    await sequelize.query(`
+      ALTER TABLE trivia_questions
+      ADD CONSTRAINT trivia_questions_category_id_fk FOREIGN KEY (category_id)
+      REFERENCES question_categories (id) ON DELETE RESTRICT ON UPDATE CASCADE
+    `);
+    console.log("✅ trivia_questions.category_id now references question_categories");
+  }
+
   /**
    * Debug database structure and add missing columns if needed
    */
@@ -500,6 +1135,62 @@ const Score = sequelize.define("Score", {
       } else {
         console.log("✅ Username column exists in database");
       }
+
+      // Scores are kept per channel
+      await migrateScoresToChannels();
+
+      // Columns added to trivia_settings after its first release
+      await ensureColumn("trivia_settings", "allow_moderator_control", "TINYINT(1) NOT NULL DEFAULT 0");
+      await ensureColumn("trivia_settings", "answer_time", "INT NOT NULL DEFAULT 30000");
+      await ensureColumn("trivia_settings", "interval_time", "INT NOT NULL DEFAULT 600000");
+      await ensureColumn("trivia_settings", "question_source", "VARCHAR(20) NOT NULL DEFAULT 'both'");
+      await ensureColumn("trivia_settings", "active_packs", "JSON NULL");
+
+      // Question ownership; existing questions stay in the shared bank
+      await ensureColumn("trivia_questions", "owner_id", "VARCHAR(100) NULL");
+      await ensureColumn("trivia_questions", "pack_id", "INT NULL");
+
+      // Review workflow; questions that were already live count as approved
+      await ensureColumn("trivia_questions", "status", "VARCHAR(20) NOT NULL DEFAULT 'approved'");
+      await ensureColumn("trivia_questions", "reviewed_by", "VARCHAR(100) NULL");
+      await ensureColumn("trivia_questions", "reviewed_at", "DATETIME NULL");
+
+      // Viewer-submitted questions
+      await ensureColumn("trivia_questions", "submitted_by", "VARCHAR(100) NULL");
+      await ensureColumn("trivia_questions", "submitted_by_name", "VARCHAR(100) NULL");
+
+      // Answer types beyond four-way multiple choice
+      await ensureColumn("trivia_questions", "question_type", "VARCHAR(20) NOT NULL DEFAULT 'multiple_choice'");
+      await ensureColumn("trivia_questions", "accepted_answers", "JSON NULL");
+      await ensureColumn("trivia_settings", "partial_credit", "INT NOT NULL DEFAULT 50");
+      await ensureColumn("trivia_questions", "numeric_range", "DOUBLE NULL");
+      await ensureColumn("trivia_settings", "numeric_bonus_places", "INT NOT NULL DEFAULT 3");
+
+      // Choices live in one JSON column instead of fixed wrong_answer columns
+      await migrateQuestionChoices();
+
+      // Question media
+      await ensureColumn("trivia_questions", "media_file", "VARCHAR(255) NULL");
+      await ensureColumn("trivia_questions", "media_type", "VARCHAR(10) NULL");
+
+      // Answer explanations and lore sources
+      await ensureColumn("trivia_questions", "explanation", "TEXT NULL");
+      await ensureColumn("trivia_questions", "source", "VARCHAR(255) NULL");
+
+      // Question statistics and difficulty recalibration
+      await ensureColumn("trivia_questions", "times_asked", "INT NOT NULL DEFAULT 0");
+      await ensureColumn("trivia_questions", "suggested_difficulty", "VARCHAR(50) NULL");
+      await ensureColumn("trivia_questions", "recalibrated_at", "DATETIME NULL");
+      if (await ensureColumn("trivia_answers", "credit", "FLOAT NOT NULL DEFAULT 0")) {
+        // Earlier answers only recorded whether they scored
+        await sequelize.query("UPDATE trivia_answers SET credit = 1 WHERE is_correct = 1");
+      }
+
+      // Categories as managed rows
+      await migrateQuestionCategories();
+
+      // Tag rules in question filters (the tag tables themselves are created by sync)
+      await ensureColumn("trivia_settings", "tag_filters", "JSON NULL");
       
       // Check for sample user data
       const users = await Score.findAll({ limit: 5 });
@@ -753,6 +1444,108 @@ const Score = sequelize.define("Score", {
       return res.status(401).json({ error: 'Invalid token' });
     }
   }
+
+  /**
+   * Require a viewer token and bind the request to the viewer in it
+   * Exposes req.viewerId (user_id when shared, otherwise the cleaned
+   * opaque_user_id) and req.channelId from the token.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  function requireViewer(req, res, next) {
+    verifyTwitchJWT(req, res, () => {
+      const { opaque_user_id: opaqueId, user_id: twitchId, channel_id: channelId } = req.twitchUser;
+
+      if (!opaqueId && !twitchId) {
+        return res.status(403).json({ error: 'Token is missing a viewer identity' });
+      }
+
+      req.viewerId = cleanUserId(twitchId || opaqueId);
+      req.channelId = channelId ? String(channelId) : EXT_OWNER_ID;
+      next();
+    });
+  }
+
+  /**
+   * Get the channel from an optional extension token (header or ?jwt=)
+   * @param {Object} req - Express request object
+   * @returns {string|null} Channel ID from a valid token, otherwise null
+   */
+  function getTokenChannelId(req) {
+    const auth = req.headers.authorization;
+    const token = auth && auth.startsWith('Bearer ') ? auth.split(' ')[1] : req.query.jwt;
+
+    if (token) {
+      try {
+        const decoded = jwt.verify(token, extSecretBuffer, { algorithms: ['HS256'] });
+        if (decoded.channel_id) {
+          return String(decoded.channel_id);
+        }
+      } catch (error) {
+        console.warn(`⚠️ Ignoring invalid token on ${req.path}`);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Work out which channel a read-only request is for
+   * Uses the channel in a valid extension token (header or ?jwt=) when there
+   * is one, then ?channelId=, then the extension owner's channel.
+   * @param {Object} req - Express request object
+   * @returns {string} Channel ID
+   */
+  function getRequestChannelId(req) {
+    return getTokenChannelId(req) || String(req.query.channelId || EXT_OWNER_ID);
+  }
+
+  /**
+   * Check whether a channel lets its moderators control the game
+   * @param {string} channelId - Channel ID
+   * @returns {Promise<boolean>} True if moderators are allowed
+   */
+  async function moderatorsAllowed(channelId) {
+    try {
+      const settings = await TriviaSettings.findByPk(channelId);
+      return !!(settings && settings.allow_moderator_control);
+    } catch (error) {
+      console.error(`❌ Error checking moderator access for ${channelId}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Require a broadcaster token for game-control routes
+   * Moderators are accepted when the channel allows it. The channel is taken
+   * from the token and exposed as req.channelId.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  function requireChannelControl(req, res, next) {
+    verifyTwitchJWT(req, res, async () => {
+      const { role, channel_id: channelId } = req.twitchUser;
+
+      if (!channelId) {
+        return res.status(403).json({ error: 'Token is missing a channel' });
+      }
+
+      req.channelId = String(channelId);
+
+      if (role === 'broadcaster') {
+        return next();
+      }
+
+      if (role === 'moderator' && await moderatorsAllowed(req.channelId)) {
+        return next();
+      }
+
+      console.warn(`🚫 Rejected ${req.method} ${req.path} for role "${role}" in channel ${req.channelId}`);
+      return res.status(403).json({ error: 'Broadcaster role required' });
+    });
+  }
   
   /**
    * Fetch usernames from Twitch API
@@ -866,8 +1659,10 @@ const Score = sequelize.define("Score", {
       console.log("🔧 Checking user IDs for potential issues...");
       
       // Get all unique user IDs from various sources
-      const scoreIds = Object.keys(usersScores);
-      const sessionIds = Object.keys(userSessionScores);
+      const memoryScores = Object.values(usersScores);
+      const scoreIds = memoryScores.flatMap(scores => Object.keys(scores));
+      const sessions = Object.values(channelSessions);
+      const sessionIds = sessions.flatMap(session => Object.keys(session.sessionScores));
       const allIds = [...new Set([...scoreIds, ...sessionIds])];
       
       // Check for problematic IDs (non-numeric)
@@ -886,17 +1681,21 @@ const Score = sequelize.define("Score", {
             const numericId = id.substring(1); // Remove the 'U'
             
             // Transfer any scores or usernames to the numeric ID
-            if (usersScores[id] !== undefined) {
-              if (!usersScores[numericId]) usersScores[numericId] = 0;
-              usersScores[numericId] += usersScores[id];
-              delete usersScores[id];
-            }
+            memoryScores.forEach(scores => {
+              if (scores[id] !== undefined) {
+                if (!scores[numericId]) scores[numericId] = 0;
+                scores[numericId] += scores[id];
+                delete scores[id];
+              }
+            });
             
-            if (userSessionScores[id] !== undefined) {
-              if (!userSessionScores[numericId]) userSessionScores[numericId] = 0;
-              userSessionScores[numericId] += userSessionScores[id];
-              delete userSessionScores[id];
-            }
+            sessions.forEach(({ sessionScores }) => {
+              if (sessionScores[id] !== undefined) {
+                if (!sessionScores[numericId]) sessionScores[numericId] = 0;
+                sessionScores[numericId] += sessionScores[id];
+                delete sessionScores[id];
+              }
+            });
             
             if (userIdToUsername[id]) {
               userIdToUsername[numericId] = userIdToUsername[id];
@@ -930,37 +1729,18 @@ const Score = sequelize.define("Score", {
     }
   }
   
-  /**
-   * Load initial questions to memory (for backward compatibility)
-   */
-  async function loadInitialQuestions() {
-    try {
-      console.log("🔄 Loading initial questions from database...");
-      
-      // Get a subset of questions from the database
-      const dbQuestions = await loadQuestionsFromDB();
-      
-      // Convert to the format expected by existing code
-      triviaQuestions = dbQuestions.map(q => ({
-        question: q.question,
-        choices: q.choices,
-        correctAnswer: q.correctAnswer
-      }));
-      
-      console.log(`✅ Loaded ${triviaQuestions.length} questions into memory from database`);
-    } catch (error) {
-      console.error("❌ Error loading initial questions:", error);
-      console.warn("⚠️ Starting with empty question set");
-      triviaQuestions = [];
-    }
-  }
-  
   /**
    * Load questions from database with optional filters
+   * @param {string[]} categories - Optional category filter
+   * @param {string[]} difficulties - Optional difficulty filter
+   * @param {Object} scope - Ownership where clause (defaults to the shared bank)
+   * @param {Object} tagFilters - Optional any, all and exclude tag rules
+   * @returns {Promise<Object[]>} Questions in the in-memory format
    */
-  async function loadQuestionsFromDB(categories = [], difficulties = []) {
+  async function loadQuestionsFromDB(categories = [], difficulties = [], scope = questionScopeWhere(null), tagFilters = {}) {
     try {
-      const whereClause = {};
+      // Only approved questions are ever asked
+      let whereClause = { ...scope, status: "approved" };
       
       // Apply category filter if specified
       if (categories && categories.length > 0) {
@@ -971,35 +1751,66 @@ const Score = sequelize.define("Score", {
       if (difficulties && difficulties.length > 0) {
         whereClause.difficulty = difficulties;
       }
+
+      whereClause = applyTagFilters(whereClause, tagFilters);
       
       const questions = await TriviaQuestion.findAll({
         where: whereClause,
+        include: [{ model: QuestionCategory, as: "category" }],
         order: sequelize.literal('RAND()'),
         limit: 500 // Limit to prevent memory issues with large datasets
       });
       
       console.log(`✅ Loaded ${questions.length} trivia questions from database`);
       
-      return questions.map(q => ({
-        id: q.id,
-        question: q.question,
-        choices: [q.correct_answer, q.wrong_answer1, q.wrong_answer2, q.wrong_answer3],
-        correctAnswer: q.correct_answer,
-        categoryId: q.category_id,
-        difficulty: q.difficulty
-      }));
+      return questions.map(toGameQuestion);
     } catch (error) {
       console.error("❌ Error loading questions from database:", error);
       return [];
     }
   }
+
+  /**
+   * Convert a TriviaQuestion row into the format the game loop uses
+   * @param {Object} question - TriviaQuestion instance
+   * @returns {Object} Question with choices, correct answers and answer type
+   */
+  function toGameQuestion(question) {
+    const type = QUESTION_TYPES.includes(question.question_type) ? question.question_type : "multiple_choice";
+    const choices = CHOICE_QUESTION_TYPES.includes(type) && Array.isArray(question.choices) ? question.choices : [];
+
+    return {
+      id: question.id,
+      question: question.question,
+      type,
+      choices: choices.map(choice => choice.text),
+      correctAnswer: question.correct_answer,
+      correctAnswers: choices.filter(choice => choice.correct).map(choice => choice.text),
+      acceptedAnswers: type === "free_text" ? question.accepted_answers || [] : [],
+      numericRange: type === "numeric" ? question.numeric_range : null,
+      categoryId: question.category_id,
+      category: toCategorySummary(question.category, question.category_id),
+      difficulty: question.difficulty,
+      media: question.media_file ? { url: mediaUrl(question.media_file), type: question.media_type } : null,
+      explanation: question.explanation || null,
+      source: question.source || null,
+      submittedBy: question.submitted_by
+        ? question.submitted_by_name || userIdToUsername[question.submitted_by] || null
+        : null
+    };
+  }
   
-  // Global trivia variables (will be refactored later)
-  let triviaQuestions = [];
-  let triviaSettings = {
+  // Timing every new channel session starts with
+  const DEFAULT_TRIVIA_SETTINGS = {
     answerTime: 30000,     // Default 30 seconds
     intervalTime: 600000,  // Default 10 minutes
+    partialCredit: 50,     // Percent of full points for a close free-text answer
+    numericBonusPlaces: 3, // Closest numeric guesses that earn a bonus
   };
+
+  // Session persistence timing
+  const SESSION_SAVE_DELAY = 2000;      // Batch session saves within 2 seconds
+  const SESSION_RESUME_DELAY = 15000;   // Minimum countdown after a restart
   
 /********************************
  * SECTION 4: USER MANAGEMENT
@@ -1032,24 +1843,15 @@ async function setUsername(userId, username) {
       
       console.log(`👤 Setting username for ${userId}: ${username}`);
       
-      // Try to update in database (check both ID formats)
+      // Try to update in database (both ID formats, every channel the user has a score in)
       try {
-        // Check if record exists with original ID
-        const userScoreOriginal = await Score.findByPk(originalId);
-        if (userScoreOriginal) {
-          userScoreOriginal.username = username;
-          await userScoreOriginal.save();
-          console.log(`✅ Updated username in database for ${originalId}`);
-        }
+        const [updatedRows] = await Score.update(
+          { username },
+          { where: { userId: [...new Set([originalId, cleanId])] } }
+        );
         
-        // Check if record exists with cleaned ID (if different)
-        if (originalId !== cleanId) {
-          const userScoreClean = await Score.findByPk(cleanId);
-          if (userScoreClean) {
-            userScoreClean.username = username;
-            await userScoreClean.save();
-            console.log(`✅ Updated username in database for ${cleanId}`);
-          }
+        if (updatedRows > 0) {
+          console.log(`✅ Updated username in database for ${cleanId} (${updatedRows} rows)`);
         }
       } catch (dbError) {
         console.error("❌ Error updating username in database:", dbError);
@@ -1138,15 +1940,29 @@ async function setUsername(userId, username) {
     // Return placeholder if not found
     return `User-${userId.substring(0, 5)}...`;
   }
+
+  /**
+   * Get the in-memory backup of a channel's total scores
+   * @param {string} channelId - Channel ID
+   * @returns {Object} Map of userId to total score
+   */
+  function getMemoryScores(channelId) {
+    const id = String(channelId);
+    if (!usersScores[id]) {
+      usersScores[id] = {};
+    }
+    return usersScores[id];
+  }
   
   /**
-   * Update or create user score
+   * Update or create user score in a channel
    * @param {string} userId - The user's Twitch ID
    * @param {number} points - Points to add
+   * @param {string} channelId - Channel the points were earned in
    * @param {string} username - Optional username to update
    * @returns {Promise<{totalScore: number, sessionScore: number}>} Updated scores
    */
-  async function updateUserScore(userId, points, username = null) {
+  async function updateUserScore(userId, points, channelId, username = null) {
     if (!userId) {
       console.warn("⚠️ Missing userId in updateUserScore");
       return { totalScore: 0, sessionScore: 0 };
@@ -1213,24 +2029,28 @@ async function setUsername(userId, username) {
       // Rest of the function remains the same...
       
       // Track total score in memory (for backup)
-      if (!usersScores[cleanId]) usersScores[cleanId] = 0;
-      usersScores[cleanId] += points;
+      const memoryScores = getMemoryScores(channelId);
+      if (!memoryScores[cleanId]) memoryScores[cleanId] = 0;
+      memoryScores[cleanId] += points;
       
-      // Track session score separately
-      if (!userSessionScores[cleanId]) userSessionScores[cleanId] = 0;
-      userSessionScores[cleanId] += points;
+      // Track session score separately for the channel
+      const { sessionScores } = getChannelSession(channelId);
+      if (!sessionScores[cleanId]) sessionScores[cleanId] = 0;
+      sessionScores[cleanId] += points;
+      saveSessionSoon(channelId);
       
       // Get current scores for return
-      const memoryTotalScore = usersScores[cleanId];
-      const sessionScore = userSessionScores[cleanId];
+      const memoryTotalScore = memoryScores[cleanId];
+      const sessionScore = sessionScores[cleanId];
       let databaseTotalScore = memoryTotalScore;
       
       // Update database if possible
       try {
         // Find or create score record
         const [userScore, created] = await Score.findOrCreate({
-          where: { userId: cleanId },
+          where: { channelId: String(channelId), userId: cleanId },
           defaults: {
+            channelId: String(channelId),
             userId: cleanId,
             username: effectiveUsername || null, // Use our carefully determined username
             score: points,
@@ -1253,7 +2073,7 @@ async function setUsername(userId, username) {
           databaseTotalScore = userScore.score;
         }
         
-        console.log(`🏆 ${created ? "Created" : "Updated"} score in database for ${cleanId}: ${databaseTotalScore}`);
+        console.log(`🏆 ${created ? "Created" : "Updated"} score in database for ${cleanId} in channel ${channelId}: ${databaseTotalScore}`);
       } catch (dbError) {
         console.error("❌ Database error in updateUserScore:", dbError);
         // Continue with memory scores on database error
@@ -1306,13 +2126,47 @@ async function setUsername(userId, username) {
       return false;
     }
   }
+
+  /**
+   * Resolve a viewer's display name from their verified token
+   * Names only ever come from Helix; viewers who haven't shared their
+   * identity have no user_id and stay unnamed.
+   * @param {Object} twitchUser - Decoded extension JWT
+   * @returns {Promise<string|null>} Display name or null
+   */
+  async function resolveViewerName(twitchUser) {
+    const viewerId = cleanUserId(twitchUser.user_id || twitchUser.opaque_user_id);
+
+    if (userIdToUsername[viewerId]) {
+      return userIdToUsername[viewerId];
+    }
+
+    if (!twitchUser.user_id) {
+      return null;
+    }
+
+    try {
+      const helixToken = await getTwitchOAuthToken();
+      if (!helixToken) {
+        console.error("❌ Failed to get Twitch OAuth token for viewer lookup");
+        return null;
+      }
+
+      await processIdentityLinkedUser(viewerId, twitchUser.user_id, EXT_CLIENT_ID, helixToken);
+      return userIdToUsername[viewerId] || null;
+    } catch (error) {
+      console.error(`❌ Error resolving viewer name for ${viewerId}:`, error.message);
+      return null;
+    }
+  }
   
   /**
    * Get user score
    * @param {string} userId - The user's Twitch ID
+   * @param {string} channelId - Channel to read the session score from
    * @returns {Promise<{totalScore: number, sessionScore: number}>} User scores
    */
-  async function getUserScore(userId) {
+  async function getUserScore(userId, channelId) {
     if (!userId) {
       return { totalScore: 0, sessionScore: 0 };
     }
@@ -1321,11 +2175,13 @@ async function setUsername(userId, username) {
       const cleanId = cleanUserId(userId);
       
       // Get session score from memory
-      const sessionScore = userSessionScores[cleanId] || 0;
+      const sessionScore = getChannelSession(channelId).sessionScores[cleanId] || 0;
       
       // Try to get total score from database
       try {
-        const userScore = await Score.findByPk(cleanId);
+        const userScore = await Score.findOne({
+          where: { channelId: String(channelId), userId: cleanId }
+        });
         
         if (userScore) {
           console.log(`📊 Retrieved score from DB for ${cleanId}: Total=${userScore.score}, Session=${sessionScore}`);
@@ -1341,7 +2197,7 @@ async function setUsername(userId, username) {
       }
       
       // Use memory score if database retrieval fails
-      const totalScore = usersScores[cleanId] || 0;
+      const totalScore = getMemoryScores(channelId)[cleanId] || 0;
       console.log(`📊 Using memory score for ${cleanId}: Total=${totalScore}, Session=${sessionScore}`);
       
       return { totalScore, sessionScore };
@@ -1352,19 +2208,23 @@ async function setUsername(userId, username) {
   }
   
   /**
-   * Reset all session scores
+   * Reset a channel's session scores
    * Useful when ending trivia session
+   * @param {string} channelId - Channel ID
    */
-  function resetSessionScores() {
-    console.log("🔄 Resetting all session scores");
+  function resetSessionScores(channelId) {
+    console.log(`🔄 Resetting session scores for channel ${channelId}`);
+    
+    const session = getChannelSession(channelId);
     
     // Store current scores as last session scores before resetting
-    lastUserSessionScores = {...userSessionScores};
+    session.lastSessionScores = {...session.sessionScores};
     
     // Clear all session scores
-    Object.keys(userSessionScores).forEach(key => {
-      userSessionScores[key] = 0;
+    Object.keys(session.sessionScores).forEach(key => {
+      session.sessionScores[key] = 0;
     });
+    saveSessionSoon(channelId);
   }
   
   /**
@@ -1373,14 +2233,11 @@ async function setUsername(userId, username) {
    * @param {string} difficulty - Question difficulty (Easy, Medium, Hard)
    * @param {number} answerTime - Time taken to answer in ms
    * @param {number} totalTime - Total time allowed for question in ms
+   * @param {number} credit - Share of the points awarded (1 = full, less for partial credit)
    * @returns {{points: number, timePercentage: number, basePoints: number}} Score calculation results
    */
-  function calculateScore(isCorrect, difficulty, answerTime, totalTime) {
-    // Base points by difficulty
-    const basePoints = 
-      difficulty === 'Easy' ? 500 :
-      difficulty === 'Hard' ? 1500 :
-      1000; // Medium or default
+  function calculateScore(isCorrect, difficulty, answerTime, totalTime, credit = 1) {
+    const basePoints = getBasePoints(difficulty);
     
     // No points for incorrect answers
     if (!isCorrect) {
@@ -1392,7 +2249,7 @@ async function setUsername(userId, username) {
     const timeBonus = Math.max(0.1, 1 - timePercentage); // At least 10%
     
     // Calculate final points
-    const points = Math.round(basePoints * timeBonus);
+    const points = Math.round(basePoints * timeBonus * credit);
     
     console.log(`🎯 Score calculation: Difficulty=${difficulty}, Base=${basePoints}, Time=${answerTime}/${totalTime}, Bonus=${Math.round(timeBonus * 100)}%, Final=${points}`);
     
@@ -1403,1364 +2260,4488 @@ async function setUsername(userId, username) {
     };
   }
   
-  /********************************
-   * SECTION 5: TRIVIA GAME LOGIC
-   ********************************/
-  
   /**
-   * Helper: Shuffle Array
-   * @param {Array} array - The array to shuffle
-   * @returns {Array} Shuffled array
+   * Base points by difficulty
+   * @param {string} difficulty - Question difficulty (Easy, Medium, Hard)
+   * @returns {number} Points for a correct answer before any time bonus
    */
-  function shuffleArray(array) {
-    const arrayCopy = [...array]; // Create a copy to avoid modifying original
-    for (let i = arrayCopy.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [arrayCopy[i], arrayCopy[j]] = [arrayCopy[j], arrayCopy[i]];
-    }
-    return arrayCopy;
+  function getBasePoints(difficulty) {
+    return difficulty === 'Easy' ? 500 :
+      difficulty === 'Hard' ? 1500 :
+      1000; // Medium or default
   }
-  
+
   /**
-   * Get broadcaster's question filters
-   * @param {string} broadcasterId - The broadcaster's Twitch ID
-   * @returns {Promise<{categories: string[], difficulties: string[]}>} Filter settings
+   * Grade a "select all that apply" answer
+   * Each correct pick earns its share of the points and each wrong pick
+   * takes one share back, so ticking every box is never a winning strategy.
+   * @param {number[]} selectedIndexes - Choices the viewer picked
+   * @param {number[]} correctIndexes - Choices that are correct
+   * @returns {{credit: number, right: number, wrong: number}} credit is 0-1
    */
-  async function getBroadcasterFilters(broadcasterId) {
-    try {
-      // Default filters if no settings are found
-      let filters = {
-        categories: [],
-        difficulties: ["Easy", "Medium", "Hard"]
-      };
-      
-      // Find broadcaster settings
-      const settings = await TriviaSettings.findByPk(broadcasterId);
-      
-      if (settings) {
-        // Use broadcaster's preferences if they exist
-        filters.categories = settings.active_categories || [];
-        filters.difficulties = settings.active_difficulties || ["Easy", "Medium", "Hard"];
-      }
-      
-      return filters;
-    } catch (error) {
-      console.error(`❌ Error getting broadcaster filters for ${broadcasterId}:`, error);
-      return {
-        categories: [],
-        difficulties: ["Easy", "Medium", "Hard"]
-      };
+  function gradeMultiSelectAnswer(selectedIndexes, correctIndexes) {
+    const right = selectedIndexes.filter(index => correctIndexes.includes(index)).length;
+    const wrong = selectedIndexes.length - right;
+    const credit = correctIndexes.length > 0
+      ? Math.max(0, (right - wrong) / correctIndexes.length)
+      : 0;
+
+    return { credit, right, wrong };
+  }
+
+  /**
+   * Numeric "Closest Guess" Answers
+   * A guess earns base points scaled by how close it is: full points when
+   * exact, nothing once it is the question's range away. When the round
+   * closes, the closest guesses also share a bonus.
+   */
+  const NUMERIC_DEFAULT_RANGE_RATIO = 0.1;  // default range is 10% of the answer...
+  const NUMERIC_MIN_RANGE = 1;              // ...but never less than 1
+  const NUMERIC_FIRST_PLACE_BONUS = 0.5;    // first place bonus as a share of base points
+  const NUMERIC_MAX_BONUS_PLACES = 10;
+  const NUMERIC_DISTRIBUTION_BUCKETS = 9;    // odd, so the answer sits in the middle bucket
+  const NUMERIC_MAX_ABS_VALUE = 1e15;
+
+  /**
+   * Read a number typed by a viewer or broadcaster
+   * Spaces, commas and underscores used as thousands separators are ignored.
+   * @param {number|string} value - Raw value
+   * @returns {number|null} The number, or null if it isn't one
+   */
+  function parseNumericAnswer(value) {
+    if (typeof value === "number") {
+      return Number.isFinite(value) && Math.abs(value) <= NUMERIC_MAX_ABS_VALUE ? value : null;
     }
+    if (typeof value !== "string") return null;
+
+    const cleaned = value.trim().replace(/[\s,_]/g, "");
+    if (!/^[-+]?(\d+\.?\d*|\.\d+)$/.test(cleaned)) return null;
+    return parseNumericAnswer(Number(cleaned));
   }
-  
+
   /**
-   * Get a random trivia question from database
-   * @param {string[]} categories - Optional category filter
-   * @param {string[]} difficulties - Optional difficulty filter
-   * @returns {Promise<Object|null>} Question object or null if none found
+   * Work out how far off a guess may be and still score
+   * @param {number} answer - Correct answer
+   * @param {number|null} range - Range stored on the question, if any
+   * @returns {number} Scoring range
    */
-  async function getRandomQuestionFromDB(categories = [], difficulties = []) {
-    try {
-      const whereClause = {};
-      
-      // Apply category filter if specified
-      if (categories && categories.length > 0) {
-        whereClause.category_id = categories;
-      }
-      
-      // Apply difficulty filter if specified
-      if (difficulties && difficulties.length > 0) {
-        whereClause.difficulty = difficulties;
-      }
-      
-      // Add exclusion for already used questions if any exist
-      if (usedQuestions.length > 0) {
-        whereClause.id = {
-          [Sequelize.Op.notIn]: usedQuestions
-        };
+  function getNumericRange(answer, range) {
+    return range > 0 ? range : Math.max(Math.abs(answer) * NUMERIC_DEFAULT_RANGE_RATIO, NUMERIC_MIN_RANGE);
+  }
+
+  /**
+   * Calculate the score for a numeric guess
+   * @param {number} guess - Viewer's guess
+   * @param {number} answer - Correct answer
+   * @param {number} range - Scoring range from getNumericRange
+   * @param {string} difficulty - Question difficulty
+   * @returns {{points: number, closeness: number, distance: number, basePoints: number}} Score calculation results
+   */
+  function calculateNumericScore(guess, answer, range, difficulty) {
+    const basePoints = getBasePoints(difficulty);
+    const distance = Math.abs(guess - answer);
+    const closeness = Math.max(0, 1 - distance / range);
+
+    return {
+      points: Math.round(basePoints * closeness),
+      closeness: Math.round(closeness * 100),
+      distance,
+      basePoints
+    };
+  }
+
+  /**
+   * Rank numeric guesses by distance and hand out the top-place bonuses
+   * Equal distances share a place (1, 1, 3, ...).
+   * @param {Object[]} results - Guesses with a distance
+   * @param {number} places - How many places earn a bonus
+   * @param {number} basePoints - Base points of the question
+   * @returns {Object[]} Results sorted closest first, each with rank and bonus
+   */
+  function rankNumericGuesses(results, places, basePoints) {
+    const sorted = [...results].sort((a, b) => a.distance - b.distance);
+
+    return sorted.map((result, index) => {
+      const rank = index > 0 && sorted[index - 1].distance === result.distance
+        ? sorted.findIndex(other => other.distance === result.distance)
+        : index;
+      const bonus = rank < places
+        ? Math.round(basePoints * NUMERIC_FIRST_PLACE_BONUS * (places - rank) / places)
+        : 0;
+      return { ...result, rank: rank + 1, bonus };
+    });
+  }
+
+  /**
+   * Count guesses into equal-width buckets centred on the answer
+   * Guesses more than three ranges away land in the outermost buckets,
+   * which are then open-ended (from or to is null).
+   * @param {number[]} guesses - All guesses of the round
+   * @param {number} answer - Correct answer
+   * @param {number} range - Scoring range
+   * @returns {Object[]} Buckets with from, to and count
+   */
+  function buildGuessDistribution(guesses, answer, range) {
+    if (guesses.length === 0) return [];
+
+    const span = Math.min(3 * range, Math.max(...guesses.map(guess => Math.abs(guess - answer))));
+    if (span === 0) {
+      return [{ from: answer, to: answer, count: guesses.length }];
+    }
+
+    const low = answer - span;
+    const width = (2 * span) / NUMERIC_DISTRIBUTION_BUCKETS;
+    const buckets = Array.from({ length: NUMERIC_DISTRIBUTION_BUCKETS }, (_, i) => ({
+      from: Number((low + i * width).toPrecision(6)),
+      to: Number((low + (i + 1) * width).toPrecision(6)),
+      count: 0
+    }));
+
+    guesses.forEach(guess => {
+      const index = Math.min(Math.max(Math.floor((guess - low) / width), 0), buckets.length - 1);
+      buckets[index].count++;
+    });
+
+    if (Math.min(...guesses) < low) buckets[0].from = null;
+    if (Math.max(...guesses) > answer + span) buckets[buckets.length - 1].to = null;
+    return buckets;
+  }
+
+  /**
+   * Free-Text Answers
+   * Typed answers are compared after normalising case, accents, punctuation,
+   * spacing and a leading article. An exact match earns full points; one
+   * within the typo tolerance earns the channel's partial credit.
+   */
+  const FREE_TEXT_MAX_LENGTH = 255;
+  const FREE_TEXT_TYPO_RATIO = 0.2;     // one typo allowed per five characters
+  const FREE_TEXT_MAX_TYPOS = 3;
+  const FREE_TEXT_MIN_FUZZY_LENGTH = 4; // shorter answers must match exactly
+
+  /**
+   * Normalise a typed answer for comparison
+   * @param {string} text - Answer text
+   * @returns {string} Comparable form of the answer
+   */
+  function normalizeAnswerText(text) {
+    return normalizeQuestionText(text)
+      .replace(/^(the|a|an) /, "")
+      .replace(/ /g, "");
+  }
+
+  /**
+   * Count the single-character edits needed to turn one string into another
+   * @param {string} a - First string
+   * @param {string} b - Second string
+   * @returns {number} Levenshtein distance
+   */
+  function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, substitution);
       }
-      
-      const question = await TriviaQuestion.findOne({
-        where: whereClause,
-        order: sequelize.literal('RAND()')
-      });
-      
-      // If no question is found with the filters AND exclusions
-      if (!question) {
-        console.warn("⚠️ No unused questions match the filters");
-        
-        // If we have used questions, check if we should reset
-        if (usedQuestions.length > 0) {
-          console.log(`📊 All questions in this filter set have been used (${usedQuestions.length} questions)`);
-          
-          // If we've used a significant number of questions (10+), reset and try again
-          if (usedQuestions.length > 10) {
-            console.log("🔄 Resetting used questions tracking");
-            usedQuestions = []; // Reset used questions
-            
-            // Try again without the exclusion
-            return getRandomQuestionFromDB(categories, difficulties);
-          } else {
-            // For small question sets, try without filters rather than resetting
-            return getRandomQuestionFromDB();
-          }
+      previous = current;
+    }
+
+    return previous[b.length];
+  }
+
+  /**
+   * Grade a typed answer against a question's accepted answers
+   * @param {string} answer - What the viewer typed
+   * @param {string[]} acceptedAnswers - Correct answer followed by its aliases
+   * @returns {{match: string, matched: string|null}} match is "exact", "close" or "none"
+   */
+  function gradeFreeTextAnswer(answer, acceptedAnswers) {
+    const typed = normalizeAnswerText(answer);
+    if (!typed) return { match: "none", matched: null };
+
+    let close = null;
+    for (const accepted of acceptedAnswers) {
+      const target = normalizeAnswerText(accepted);
+      if (!target) continue;
+      if (typed === target) return { match: "exact", matched: accepted };
+
+      if (!close && target.length >= FREE_TEXT_MIN_FUZZY_LENGTH) {
+        const tolerance = Math.min(FREE_TEXT_MAX_TYPOS, Math.floor(target.length * FREE_TEXT_TYPO_RATIO));
+        if (Math.abs(typed.length - target.length) <= tolerance && editDistance(typed, target) <= tolerance) {
+          close = accepted;
         }
-        
-        // If we still don't have a question, return null
-        return null;
       }
-      
-      // Add this question ID to used questions array
-      usedQuestions.push(question.id);
-      console.log(`📝 Added question ID ${question.id} to used questions list. Total used: ${usedQuestions.length}`);
-      
-      return {
-        id: question.id,
-        question: question.question,
-        choices: [question.correct_answer, question.wrong_answer1, question.wrong_answer2, question.wrong_answer3],
-        correctAnswer: question.correct_answer,
-        categoryId: question.category_id,
-        difficulty: question.difficulty
-      };
-    } catch (error) {
-      console.error("❌ Error getting random question from database:", error);
-      return null;
     }
+
+    return close ? { match: "close", matched: close } : { match: "none", matched: null };
   }
+
+  /********************************
+   * SECTION 5: TRIVIA GAME LOGIC
+   ********************************/
   
   /**
-   * Start trivia game
-   * @param {string} channelId - Broadcaster's channel ID
-   * @returns {Promise<boolean>} Success status
+   * Helper: Shuffle Array
+   * @param {Array} array - The array to shuffle
+   * @returns {Array} Shuffled array
    */
-  async function startTrivia(channelId) {
-    if (triviaActive) {
-      console.log("⚠️ Trivia is already running. Ignoring start request.");
-      return false;
+  function shuffleArray(array) {
+    const arrayCopy = [...array]; // Create a copy to avoid modifying original
+    for (let i = arrayCopy.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [arrayCopy[i], arrayCopy[j]] = [arrayCopy[j], arrayCopy[i]];
     }
-  
-    try {
-      // Set triviaActive first to prevent race conditions
-      triviaActive = true;
-  
-      // Reset questions tracking
-      usedQuestions = [];
-      console.log("🔄 Used questions list reset upon trivia start");
-  
-      // Broadcast trivia start event
-      const startMessage = { 
-        type: "TRIVIA_START",
-        intervalTime: triviaSettings.intervalTime
-      };
-      
-      const broadcastSuccess = await broadcastToTwitch(channelId, startMessage);
-      
-      if (!broadcastSuccess) {
-        console.error("❌ Failed to broadcast TRIVIA_START");
-        triviaActive = false;
-        return false;
-      }
-  
-      console.log("🚀 TRIVIA_START event broadcasted!");
-  
-      // Set next question time
-      const intervalTime = triviaSettings?.intervalTime || 600000;
-      nextQuestionTime = Date.now() + intervalTime;
-  
-      console.log(`⏳ First trivia question will be in ${Math.round((nextQuestionTime - Date.now()) / 1000)} seconds.`);
-      return true;
-    } catch (error) {
-      console.error("❌ Error starting trivia:", error);
-      // Reset trivia state if it fails to start
-      triviaActive = false;
-      return false;
+    return arrayCopy;
+  }
+
+  /**
+   * Create the game state for a channel
+   * @param {string} channelId - Broadcaster's channel ID
+   * @returns {Object} Fresh channel session
+   */
+  function createChannelSession(channelId) {
+    return {
+      channelId,
+      triviaActive: false,
+      roundEndTime: 0,              // Answer deadline of the current round
+      nextQuestionTime: null,       // When the loop sends the next question
+      questionInProgress: false,    // Lock while a question round is running
+      lastQuestionTimestamp: 0,     // Throttle against duplicate questions
+      usedQuestions: [],            // Question IDs already asked this session
+      sessionScores: {},            // userId -> points this session
+      lastSessionScores: {},        // Scores of the previous session
+      settings: { ...DEFAULT_TRIVIA_SETTINGS },
+      settingsLoaded: false,        // Whether stored timing has been read
+      activeQuestion: null,         // Question currently open for answers
+      upcomingQuestion: null,       // Promise of the next question, picked early to preload its media
+      roundTimeout: null,           // Timer that closes the current round
+      persistTimeout: null          // Pending debounced save (see saveSessionSoon)
+    };
+  }
+
+  /**
+   * Get a channel's session, creating it on first use
+   * @param {string} channelId - Broadcaster's channel ID
+   * @returns {Object} Channel session
+   */
+  function getChannelSession(channelId) {
+    const id = String(channelId || EXT_OWNER_ID);
+    if (!channelSessions[id]) {
+      channelSessions[id] = createChannelSession(id);
     }
+    return channelSessions[id];
   }
   
   /**
-   * End trivia game
-   * @param {string} channelId - Broadcaster's channel ID
+   * Save a channel's session state to the database
+   * @param {string} channelId - Channel ID
    * @returns {Promise<boolean>} Success status
    */
-  async function endTrivia(channelId) {
-    console.log("🛑 Ending trivia session");
-  
-    triviaActive = false;
-    triviaRoundEndTime = 0;
-    nextQuestionTime = null;
-    
-    // Clear used questions when trivia ends
-    usedQuestions = [];
-    console.log("🔄 Used questions list cleared upon trivia end");
-  
-    // Reset session scores
-    resetSessionScores();
-  
-    // Broadcast end event
+  async function persistSession(channelId) {
+    const session = getChannelSession(channelId);
+
+    if (session.persistTimeout) {
+      clearTimeout(session.persistTimeout);
+      session.persistTimeout = null;
+    }
+
     try {
-      const endMessage = { type: "TRIVIA_END" };
-      const broadcastSuccess = await broadcastToTwitch(channelId, endMessage);
-      
-      if (!broadcastSuccess) {
-        console.error("❌ Failed to broadcast TRIVIA_END");
-        return false;
-      }
-      
-      console.log("⛔ Trivia end command broadcasted!");
-      console.log("🔴 Trivia is now INACTIVE. Waiting for Start command.");
+      await TriviaSession.upsert({
+        channel_id: session.channelId,
+        trivia_active: session.triviaActive,
+        next_question_time: session.nextQuestionTime,
+        used_questions: session.usedQuestions,
+        session_scores: session.sessionScores,
+        last_session_scores: session.lastSessionScores,
+        updated_at: new Date()
+      });
       return true;
     } catch (error) {
-      console.error("❌ Error ending trivia:", error);
+      console.error(`❌ Error saving session for channel ${channelId}:`, error.message);
       return false;
     }
   }
-  
-  // Use a timestamp to track when questions were last sent to avoid duplicates
-let lastQuestionTimestamp = 0;
-const MIN_QUESTION_INTERVAL = 5000; // Minimum 5 seconds between questions
 
-/**
- * Send trivia question to channel with improved concurrency control
- * @param {string} channelId - Channel ID to send question to
- * @returns {Promise<boolean>} Success status
- */
-async function sendTriviaQuestion(channelId) {
-  // First check if trivia is active
-  if (!triviaActive) {
-    console.log("⏳ Trivia is inactive. Waiting for Start command.");
-    return false;
-  }
+  /**
+   * Save a channel's session shortly, batching frequent changes like scores
+   * @param {string} channelId - Channel ID
+   */
+  function saveSessionSoon(channelId) {
+    const session = getChannelSession(channelId);
+    if (session.persistTimeout) return;
 
-  // Check for concurrent requests - add timestamp-based throttling
-  const now = Date.now();
-  if (now - lastQuestionTimestamp < MIN_QUESTION_INTERVAL) {
-    console.warn(`⚠️ Question was sent too recently (${now - lastQuestionTimestamp}ms ago)! Preventing duplicate.`);
-    return false;
+    session.persistTimeout = setTimeout(() => {
+      session.persistTimeout = null;
+      persistSession(session.channelId);
+    }, SESSION_SAVE_DELAY);
   }
 
-  // Double-check that no question is in progress
-  if (questionInProgress) {
-    console.warn("⚠️ A question is already in progress! Skipping duplicate question.");
-    return false;
-  }
+  /**
+   * Restore games that were active when the server stopped
+   * Reschedules the countdown and tells viewers the game is still running.
+   * A question that was open during the restart is dropped.
+   * @returns {Promise<number>} Number of sessions resumed
+   */
+  async function restoreSessions() {
+    try {
+      const stored = await TriviaSession.findAll({ where: { trivia_active: true } });
+      const now = Date.now();
 
-  // Acquire the lock using both timestamp and flag
-  lastQuestionTimestamp = now;
-  questionInProgress = true;
+      for (const record of stored) {
+        const channelId = record.channel_id;
+        const session = getChannelSession(channelId);
+        const settings = await getChannelSettings(channelId);
 
-  try {
-    console.log("🧠 Selecting a trivia question from the database...");
-    
-    // Get broadcaster's filter preferences
-    const filters = await getBroadcasterFilters(channelId);
-    
-    // Get a random question using filters
-    let questionObj = await getRandomQuestionFromDB(filters.categories, filters.difficulties);
-    
-    // If no question matches filters, try without filters
-    if (!questionObj) {
-      console.warn("⚠️ No questions match broadcaster filters, trying any question...");
-      questionObj = await getRandomQuestionFromDB();
-      
-      // If still no question, check if we have any in memory as fallback
-      if (!questionObj && triviaQuestions.length > 0) {
-        console.warn("⚠️ Falling back to in-memory questions");
-        questionObj = triviaQuestions[Math.floor(Math.random() * triviaQuestions.length)];
-      }
-      
-      // If we still have no question, we can't continue
-      if (!questionObj) {
-        console.error("❌ No trivia questions available!");
-        questionInProgress = false;
-        return false;
-      }
-    }
-    
-    // Shuffle the choices
-    const shuffledChoices = shuffleArray([...questionObj.choices]);
+        session.triviaActive = true;
+        session.usedQuestions = record.used_questions || [];
+        session.sessionScores = record.session_scores || {};
+        session.lastSessionScores = record.last_session_scores || {};
 
-    // Get timing settings with fallbacks
-    const answerTime = triviaSettings?.answerTime || 30000; // Default 30s
-    const intervalTime = triviaSettings?.intervalTime || 600000; // Default 10 min
+        // Keep the original schedule, unless the question came due while we were down
+        const storedNext = Number(record.next_question_time) || 0;
+        session.nextQuestionTime = storedNext > now + SESSION_RESUME_DELAY
+          ? storedNext
+          : now + SESSION_RESUME_DELAY;
 
-    console.log(`⏳ Current trivia settings → Answer Time: ${answerTime}ms, Interval: ${intervalTime}ms`);
-    console.log(`📝 Selected question: "${questionObj.question.substring(0, 50)}..." (ID: ${questionObj.id}, Category: ${questionObj.categoryId}, Difficulty: ${questionObj.difficulty})`);
+        await broadcastToTwitch(channelId, {
+          type: "TRIVIA_START",
+          intervalTime: settings.intervalTime
+        });
+        await broadcastToTwitch(channelId, {
+          type: "COUNTDOWN_UPDATE",
+          timeRemaining: session.nextQuestionTime - now
+        });
 
-    // Prepare question message with unique identifier to prevent duplication
-    const questionMessage = {
-      type: "TRIVIA_QUESTION",
-      question: questionObj.question,
-      choices: shuffledChoices,
-      correctAnswer: questionObj.correctAnswer,
-      duration: answerTime,
-      categoryId: questionObj.categoryId,
-      difficulty: questionObj.difficulty,
-      questionId: questionObj.id,
-      timestamp: now // Add timestamp to help clients identify duplicates
-    };
-    
-    console.log(`📡 Broadcasting trivia question (timestamp: ${now})...`);
+        await persistSession(channelId);
+        console.log(`♻️ Resumed trivia in channel ${channelId}, next question in ${Math.round((session.nextQuestionTime - now) / 1000)}s`);
+      }
 
-    // Broadcast the question
-    const broadcastSuccess = await broadcastToTwitch(channelId, questionMessage);
-    
-    if (!broadcastSuccess) {
-      console.error("❌ Failed to broadcast question");
-      questionInProgress = false;
-      return false;
+      return stored.length;
+    } catch (error) {
+      console.error("❌ Error restoring trivia sessions:", error.message);
+      return 0;
     }
-
-    console.log(`✅ Trivia question sent to channel ${channelId}`);
-
-    // Set round end time and schedule the next question
-    triviaRoundEndTime = now + answerTime + 5000; // Extra 5s buffer
-
-    // Schedule reset of question status and next question timing
-    // Use a clearable timeout to prevent race conditions
-    const questionTimeout = setTimeout(() => {
-      console.log("⏳ Question round completed, resetting for next question");
-      questionInProgress = false;
-      nextQuestionTime = Date.now() + intervalTime; 
-      console.log(`⏳ Next trivia question in: ${intervalTime / 1000} seconds`);
-    }, answerTime + 5000);
-    
-    // Store the timeout ID in case we need to cancel it (e.g., on trivia end)
-    global.currentQuestionTimeout = questionTimeout;
-    
-    return true;
-  } catch (error) {
-    console.error("❌ Error sending trivia question:", error.response?.data || error.message);
-    // Always reset flags on error
-    questionInProgress = false; 
-    return false;
   }
-}
-  
+
   /**
-   * Update trivia settings
-   * @param {Object} settings - New settings values
-   * @param {number} settings.answerTime - Time in ms for answering questions
-   * @param {number} settings.intervalTime - Time in ms between questions
-   * @returns {Promise<boolean>} Success status
+   * Get a channel's timing settings, reading the stored values on first use
+   * @param {string} channelId - Broadcaster's channel ID
+   * @returns {Promise<{answerTime: number, intervalTime: number}>} Timing settings
    */
-  async function updateTriviaSettings(settings) {
+  async function getChannelSettings(channelId) {
+    const session = getChannelSession(channelId);
+    if (session.settingsLoaded) {
+      return session.settings;
+    }
+
     try {
-      const { answerTime, intervalTime } = settings;
-      
-      // Validate input values
-      if (
-        typeof answerTime !== "number" ||
-        typeof intervalTime !== "number" ||
-        answerTime < 5000 || answerTime > 60000 ||  
-        intervalTime < 60000 || intervalTime > 1800000  
-      ) {
-        console.error("❌ Invalid time values:", { answerTime, intervalTime });
-        return false;
+      const stored = await TriviaSettings.findByPk(session.channelId);
+      if (stored) {
+        session.settings.answerTime = stored.answer_time || DEFAULT_TRIVIA_SETTINGS.answerTime;
+        session.settings.intervalTime = stored.interval_time || DEFAULT_TRIVIA_SETTINGS.intervalTime;
+        session.settings.partialCredit = stored.partial_credit ?? DEFAULT_TRIVIA_SETTINGS.partialCredit;
+        session.settings.numericBonusPlaces = stored.numeric_bonus_places ?? DEFAULT_TRIVIA_SETTINGS.numericBonusPlaces;
       }
-      
-      // Update settings
-      triviaSettings.answerTime = answerTime;
-      triviaSettings.intervalTime = intervalTime;
-      console.log("🔧 Trivia settings updated:", triviaSettings);
-      
-      // Broadcast settings to viewers
-      await sendSettingsUpdate();
-      
-      return true;
+      session.settingsLoaded = true;
     } catch (error) {
-      console.error("❌ Error updating trivia settings:", error);
-      return false;
+      // Keep the current values and retry on the next call
+      console.error(`❌ Error loading timing settings for ${channelId}:`, error.message);
     }
+
+    return session.settings;
   }
-  
+
   /**
-   * Broadcast settings update to viewers
-   * @returns {Promise<boolean>} Success status
+   * Check answer and interval times against the allowed ranges
+   * @param {number} answerTime - Time in ms for answering questions
+   * @param {number} intervalTime - Time in ms between questions
+   * @returns {boolean} True if both values are valid
    */
-  async function sendSettingsUpdate() {
-    try {
-      const settingsMessage = {
-        type: "SETTINGS_UPDATE",
-        answerTime: triviaSettings.answerTime,
-        intervalTime: triviaSettings.intervalTime,
-      };
-      
-      const broadcastSuccess = await broadcastToTwitch(EXT_OWNER_ID, settingsMessage);
-      
-      if (broadcastSuccess) {
-        console.log("✅ Trivia settings broadcasted to viewers");
-        return true;
-      } else {
-        console.error("❌ Failed to broadcast settings update");
-        return false;
-      }
-    } catch (error) {
-      console.error("❌ Error broadcasting trivia settings:", error);
-      return false;
-    }
+  function isValidTiming(answerTime, intervalTime) {
+    return (
+      typeof answerTime === "number" &&
+      typeof intervalTime === "number" &&
+      answerTime >= 5000 && answerTime <= 60000 &&
+      intervalTime >= 60000 && intervalTime <= 1800000
+    );
   }
   
   /**
-   * Send countdown update to viewers
-   * Informs viewers of time remaining until next question
-   * @returns {Promise<boolean>} Success status
+   * Build the where clause for the questions a channel may draw from
+   * Shared questions have no owner; custom questions belong to the channel
+   * and can be narrowed to some of its packs.
+   * @param {string|null} channelId - Channel, or null for the shared bank only
+   * @param {string} source - "shared", "custom" or "both"
+   * @param {number[]} packs - Custom pack ids to limit to (empty means all)
+   * @returns {Object} Sequelize where clause
    */
-  async function sendCountdownUpdate() {
-    // Don't send updates if trivia is inactive or during an active question
-    if (!triviaActive || Date.now() < triviaRoundEndTime) {
-      return false;
+  function questionScopeWhere(channelId, source = "both", packs = []) {
+    const shared = { owner_id: null };
+    if (!channelId || source === "shared") {
+      return shared;
     }
-  
-    // If nextQuestionTime isn't set or has passed, don't send updates
-    if (!nextQuestionTime || nextQuestionTime < Date.now()) {
-      return false;
+
+    const custom = { owner_id: String(channelId) };
+    if (packs && packs.length > 0) {
+      custom.pack_id = packs;
     }
-  
-    const timeRemaining = nextQuestionTime - Date.now();
-    
+
+    return source === "custom" ? custom : { [Sequelize.Op.or]: [shared, custom] };
+  }
+
+  /**
+   * Get the questions a channel can be asked, from its saved source and pack settings
+   * @param {string} channelId - Channel ID
+   * @returns {Promise<Object>} Sequelize where clause for approved questions in scope
+   */
+  async function getQuestionScope(channelId) {
     try {
-      const countdownMessage = {
-        type: "COUNTDOWN_UPDATE",
-        timeRemaining: Math.max(0, timeRemaining),
-      };
-  
-      const broadcastSuccess = await broadcastToTwitch(EXT_OWNER_ID, countdownMessage);
-      return broadcastSuccess;
+      const settings = await TriviaSettings.findByPk(channelId);
+      if (settings) {
+        return playableQuestionsWhere(channelId, settings.question_source, settings.active_packs || []);
+      }
     } catch (error) {
-      console.error("❌ Error sending countdown update:", error.message || error);
-      return false;
+      console.error(`❌ Error loading question source for ${channelId}:`, error.message);
     }
+    return playableQuestionsWhere(channelId);
   }
-  
+
   /**
-   * Main countdown and question timing interval
-   * Handles timing of questions and countdowns
+   * Limit a question scope to questions that may actually be asked
+   * @param {string|null} channelId - Channel, or null for the shared bank only
+   * @param {string} source - "shared", "custom" or "both"
+   * @param {number[]} packs - Custom pack ids to limit to (empty means all)
+   * @returns {Object} Sequelize where clause for approved questions in scope
    */
-  setInterval(() => {
-    if (!triviaActive || !nextQuestionTime) {
-      return;
-    }
-  
-    const now = Date.now();
-    let timeRemaining = nextQuestionTime - now;
-  
-    // For logging, only show every 10 seconds to reduce spam
-    if (timeRemaining % 10000 < 1000) {
-      console.log(`⏳ Time remaining: ${Math.round(timeRemaining / 1000)} seconds`);
-    }
-  
-    // Update countdown UI
-    sendCountdownUpdate();
-  
-    // When time runs out, request the next question
-    if (timeRemaining <= 0 && !questionInProgress) {
-      console.log("⏳ Countdown reached 0! Sending trivia question...");
-      sendTriviaQuestion(EXT_OWNER_ID);
-    }
-  }, 1000); // Runs once per second
-  
- /********************************
- * SECTION 6: API ROUTES
- ********************************/
-
-/**
- * API Routes for Trivia Application
- * All HTTP endpoints are defined here
- */
+  function playableQuestionsWhere(channelId, source = "both", packs = []) {
+    return { ...questionScopeWhere(channelId, source, packs), status: "approved" };
+  }
 
-/**
- * User Score Endpoints
- */
+  /**
+   * Everything a channel can see and manage: the shared bank plus all its own questions
+   * @param {string} channelId - Channel ID
+   * @returns {Object} Sequelize where clause
+   */
+  function visibleQuestionsWhere(channelId) {
+    return questionScopeWhere(channelId, "both");
+  }
 
-// Submit answer and update score
-app.post("/submit-answer", async (req, res) => {
+  /**
+   * Get broadcaster's question filters
+   * Selected categories come back expanded to all their subcategories.
+   * @param {string} broadcasterId - The broadcaster's Twitch ID
+   * @returns {Promise<{categories: string[], difficulties: string[], tags: Object}>} Filter settings
+   */
+  async function getBroadcasterFilters(broadcasterId) {
     try {
-      // Input validation with early returns for invalid data
-      if (!req.body || Object.keys(req.body).length === 0) {
-        return res.status(400).json({ error: "Empty request body" });
-      }
-      
-      const { userId: rawUserId, selectedAnswer, correctAnswer, answerTime, 
-              difficulty = 'Medium', duration = triviaSettings.answerTime || 30000, 
-              username } = req.body;
+      // Default filters if no settings are found
+      let filters = {
+        categories: [],
+        difficulties: ["Easy", "Medium", "Hard"],
+        tags: { any: [], all: [], exclude: [] }
+      };
       
-      // Ensure userId is a clean string
-      const userId = rawUserId ? String(rawUserId).trim() : null;
+      // Find broadcaster settings
+      const settings = await TriviaSettings.findByPk(broadcasterId);
       
-      // Validate required fields
-      if (!userId || !selectedAnswer || !correctAnswer || answerTime === undefined) {
-        return res.status(400).json({ 
-          error: "Missing required fields",
-          missing: {
-            userId: !userId,
-            selectedAnswer: !selectedAnswer,
-            correctAnswer: !correctAnswer,
-            answerTime: answerTime === undefined
-          }
-        });
-      }
-  
-      // Determine if answer is correct and calculate score
-      const isCorrect = selectedAnswer === correctAnswer;
-      const { points, timePercentage, basePoints } = calculateScore(
-        isCorrect, 
-        difficulty, 
-        answerTime, 
-        duration
-      );
-  
-      // Update user score in memory and database
-      const { totalScore, sessionScore } = await updateUserScore(userId, points, username);
-  
-      // Log the result
-      if (isCorrect) {
-        console.log(`✅ User ${userId} answered correctly and earned ${points} points!`);
-      } else {
-        console.log(`❌ User ${userId} answered incorrectly: ${selectedAnswer} (correct: ${correctAnswer})`);
+      if (settings) {
+        // Use broadcaster's preferences if they exist
+        filters.categories = await expandCategoryIds(settings.active_categories || []);
+        filters.difficulties = settings.active_difficulties || ["Easy", "Medium", "Hard"];
+        filters.tags = { ...filters.tags, ...settings.tag_filters };
       }
-  
-      // Return success response with score information
-      res.json({ 
-        success: true, 
-        pointsEarned: points, 
-        totalScore,
-        sessionScore,
-        basePoints,
-        difficulty,
-        timePercentage
-      });
+      
+      return filters;
     } catch (error) {
-      console.error("❌ Error in submit-answer endpoint:", error);
-      res.status(500).json({ error: "Server error" });
+      console.error(`❌ Error getting broadcaster filters for ${broadcasterId}:`, error);
+      return {
+        categories: [],
+        difficulties: ["Easy", "Medium", "Hard"],
+        tags: { any: [], all: [], exclude: [] }
+      };
     }
-  });
+  }
   
-  // Get user score
-  app.get("/score/:userId", async (req, res) => {
+  /**
+   * Get a random trivia question from database
+   * Skips questions already asked in the channel's session and never
+   * returns another channel's custom questions.
+   * @param {string} channelId - Channel the question is for
+   * @param {string[]} categories - Optional category filter
+   * @param {string[]} difficulties - Optional difficulty filter
+   * @param {Object} tagFilters - Optional any, all and exclude tag rules
+   * @returns {Promise<Object|null>} Question object or null if none found
+   */
+  async function getRandomQuestionFromDB(channelId, categories = [], difficulties = [], tagFilters = {}) {
     try {
-      const { userId } = req.params;
+      const session = getChannelSession(channelId);
+
+      // Only the shared bank and this channel's own packs, per its source setting
+      let whereClause = { ...await getQuestionScope(channelId) };
       
-      if (!userId) {
-        return res.status(400).json({ error: "Missing userId parameter" });
+      // Apply category filter if specified
+      if (categories && categories.length > 0) {
+        whereClause.category_id = categories;
       }
       
-      // Get user score from memory and database
-      const scoreData = await getUserScore(userId);
+      // Apply difficulty filter if specified
+      if (difficulties && difficulties.length > 0) {
+        whereClause.difficulty = difficulties;
+      }
       
-      // Return score information
-      res.json({ 
-        userId, 
-        ...scoreData
-      });
-    } catch (error) {
-      console.error(`❌ Error retrieving score for ${req.params.userId}:`, error);
+      // Add exclusion for already used questions if any exist
+      if (session.usedQuestions.length > 0) {
+        whereClause.id = {
+          [Sequelize.Op.notIn]: session.usedQuestions
+        };
+      }
+
+      whereClause = applyTagFilters(whereClause, tagFilters);
       
-      // Send a response even on error
-      res.json({ 
-        userId: req.params.userId, 
-        totalScore: 0, 
-        sessionScore: 0,
-        error: "Failed to retrieve score"
+      const question = await TriviaQuestion.findOne({
+        where: whereClause,
+        include: [{ model: QuestionCategory, as: "category" }],
+        order: sequelize.literal('RAND()')
       });
-    }
-  });
-  
-  // Reset session scores
-  app.post("/reset-session-scores", (req, res) => {
-    try {
-      resetSessionScores();
-      res.json({ success: true, message: "Session scores reset" });
+      
+      // If no question is found with the filters AND exclusions
+      if (!question) {
+        console.warn("⚠️ No unused questions match the filters");
+        
+        // If we have used questions, check if we should reset
+        if (session.usedQuestions.length > 0) {
+          console.log(`📊 All questions in this filter set have been used (${session.usedQuestions.length} questions)`);
+          const nothingToDrop = !difficulties?.length &&
+            !tagFilters.any?.length && !tagFilters.all?.length;
+          
+          // If we've used a significant number of questions (10+), or there are
+          // no filters left to drop, reset and try again. The used list is empty
+          // on the retry, so this happens at most once.
+          if (session.usedQuestions.length > 10 || nothingToDrop) {
+            console.log(`🔄 Resetting used questions tracking for channel ${channelId}`);
+            session.usedQuestions = []; // Reset used questions
+            
+            // Try again without the exclusion
+            return getRandomQuestionFromDB(channelId, categories, difficulties, tagFilters);
+          } else {
+            // For small question sets, drop the difficulty and tag filters rather
+            // than resetting, but keep the categories and excluded tags
+            return getRandomQuestionFromDB(channelId, categories, [], { exclude: tagFilters.exclude });
+          }
+        }
+        
+        // If we still don't have a question, return null
+        return null;
+      }
+      
+      // Add this question ID to used questions array
+      session.usedQuestions.push(question.id);
+      saveSessionSoon(channelId);
+      console.log(`📝 Added question ID ${question.id} to used questions list for channel ${channelId}. Total used: ${session.usedQuestions.length}`);
+      
+      return toGameQuestion(question);
     } catch (error) {
-      console.error("❌ Error resetting session scores:", error);
-      res.status(500).json({ error: "Failed to reset session scores" });
+      console.error("❌ Error getting random question from database:", error);
+      return null;
     }
-  });
-  
+  }
+
   /**
-   * Leaderboard Endpoints
+   * Make a question the channel's active question
+   * Shuffles the choices and records where the correct answers ended up
+   * @param {string} channelId - Channel the question is asked in
+   * @param {Object} questionObj - Question from the database (see toGameQuestion)
+   * @param {number} answerTime - Time in ms viewers have to answer
+   * @param {number} startTime - Timestamp stamped on the question message
+   * @returns {Object} Question data safe to send to viewers (no correct answer)
    */
-  
-app.get("/api/leaderboard", async (req, res) => {
-  try {
-    // Get top scores from database
-    const dbScores = await Score.findAll({
-      order: [['score', 'DESC']]
-      // Remove the limit here to show all scores
-    });
-    
-    // Create total leaderboard directly using database usernames
-    const totalLeaderboard = dbScores.map(entry => ({
-      userId: entry.userId,
-      username: entry.username || `User-${entry.userId.substring(0, 5)}...`, // Fallback if no username
-      score: entry.score
+  function activateQuestion(channelId, questionObj, answerTime, startTime) {
+    // Drop any previous question that is still waiting for its reveal
+    clearActiveQuestion(channelId);
+
+    const type = questionObj.type || "multiple_choice";
+    const shuffledChoices = shuffleArray([...questionObj.choices]);
+    const correctAnswers = questionObj.correctAnswers?.length > 0
+      ? questionObj.correctAnswers
+      : [questionObj.correctAnswer];
+    const correctIndexes = shuffledChoices
+      .map((choice, index) => correctAnswers.includes(choice) ? index : -1)
+      .filter(index => index !== -1);
+    const questionId = questionObj.id ?? `memory-${startTime}`;
+
+    getChannelSession(channelId).activeQuestion = {
+      questionId,
+      roundId: `${channelId}-${startTime}`,
+      type,
+      choices: shuffledChoices,
+      correctIndex: correctIndexes.length > 0 ? correctIndexes[0] : -1,
+      correctIndexes,
+      correctAnswer: questionObj.correctAnswer,
+      correctAnswers,
+      acceptedAnswers: [questionObj.correctAnswer, ...(questionObj.acceptedAnswers || [])],
+      ...(type === "numeric" && {
+        numericAnswer: Number(questionObj.correctAnswer),
+        numericRange: getNumericRange(Number(questionObj.correctAnswer), questionObj.numericRange),
+        guesses: []
+      }),
+      difficulty: questionObj.difficulty || 'Medium',
+      submittedBy: questionObj.submittedBy || null,
+      explanation: questionObj.explanation || null,
+      source: questionObj.source || null,
+      duration: answerTime,
+      startTime,
+      endTime: startTime + answerTime,
+      revealed: false,
+      revealTimeout: null,
+      answeredUsers: new Set()
+    };
+
+    return {
+      question: questionObj.question,
+      type,
+      choices: shuffledChoices,
+      duration: answerTime,
+      categoryId: questionObj.categoryId,
+      category: questionObj.category || null,
+      difficulty: questionObj.difficulty,
+      media: questionObj.media || null,
+      questionId,
+      timestamp: startTime
+    };
+  }
+
+  /**
+   * Score every guess of a closed numeric round
+   * Points and bonuses are only handed out now so that nobody can work out
+   * the answer from their score while the round is still open.
+   * @param {string} channelId - Channel ID
+   * @param {Object} active - The channel's active (numeric) question
+   * @returns {Promise<Object>} Guess count, distribution and bonus winners for the reveal
+   */
+  async function scoreNumericRound(channelId, active) {
+    const { numericBonusPlaces } = await getChannelSettings(channelId);
+    const scored = active.guesses.map(({ userId, guess }) => ({
+      userId,
+      guess,
+      ...calculateNumericScore(guess, active.numericAnswer, active.numericRange, active.difficulty)
     }));
-    
-    // Check if current session has any non-zero scores
-    const hasActiveSessionScores = Object.values(userSessionScores).some(score => score > 0);
-    
-    // Use scores source based on whether there are active scores
-    const sessionScoreSource = hasActiveSessionScores ? userSessionScores : lastUserSessionScores;
-    
-    // Create session leaderboard with usernames from database if available
-    const sessionScores = Object.entries(sessionScoreSource)
-      .filter(([userId, score]) => score > 0) // Only include non-zero scores
-      .map(([userId, score]) => {
-        // Try to find this user in the database scores to get username
-        const dbUser = dbScores.find(entry => entry.userId === userId);
-        return {
-          userId,
-          username: dbUser?.username || `User-${userId.substring(0, 5)}...`, // Use DB username if available
-          score
-        };
-      })
-      .sort((a, b) => b.score - a.score);
-    
-    // Log samples of what we're returning
-    if (totalLeaderboard.length > 0) {
-      console.log("🏆 Total leaderboard sample:", totalLeaderboard.slice(0, 3));
-    }
-    
-    if (sessionScores.length > 0) {
-      console.log("🏆 Session leaderboard sample:", sessionScores.slice(0, 3));
+    const ranked = rankNumericGuesses(scored, numericBonusPlaces, getBasePoints(active.difficulty));
+
+    for (const result of ranked) {
+      const total = result.points + result.bonus;
+      if (total === 0) continue;
+
+      await updateUserScore(result.userId, total, channelId);
+      await Answer.update(
+        { points: total },
+        { where: { round_id: active.roundId, user_id: result.userId } }
+      );
     }
-    
-    res.json({
-      total: totalLeaderboard,
-      session: sessionScores,
-      isLastSession: !hasActiveSessionScores && sessionScores.length > 0
+
+    console.log(`🔢 Scored ${ranked.length} numeric guesses for round ${active.roundId}`);
+
+    return {
+      guessCount: ranked.length,
+      distribution: buildGuessDistribution(ranked.map(result => result.guess), active.numericAnswer, active.numericRange),
+      winners: ranked
+        .filter(result => result.bonus > 0)
+        .map(result => ({
+          username: getUsername(result.userId),
+          guess: result.guess,
+          rank: result.rank,
+          points: result.points + result.bonus
+        }))
+    };
+  }
+
+  /**
+   * Broadcast the correct answer of the channel's active question
+   * @param {string} channelId - Channel ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async function revealAnswer(channelId) {
+    const active = getChannelSession(channelId).activeQuestion;
+    if (!active || active.revealed) {
+      return false;
+    }
+
+    // Close the question before broadcasting so no late answers slip in
+    active.revealed = true;
+    active.revealTimeout = null;
+
+    console.log(`📣 Revealing answer for question ${active.questionId} in channel ${channelId}`);
+
+    let numericResults = null;
+    if (active.type === "numeric") {
+      try {
+        numericResults = await scoreNumericRound(channelId, active);
+      } catch (error) {
+        // Still reveal the answer; the guesses stay in the ledger with 0 points
+        console.error(`❌ Error scoring numeric round ${active.roundId}:`, error);
+      }
+    }
+
+    return broadcastToTwitch(channelId, {
+      type: "TRIVIA_REVEAL",
+      questionId: active.questionId,
+      correctAnswer: active.correctAnswer,
+      correctIndex: active.correctIndex,
+      ...(active.type === "multi_select" && {
+        correctIndexes: active.correctIndexes,
+        correctAnswers: active.correctAnswers
+      }),
+      ...(active.type === "free_text" && { acceptedAnswers: active.acceptedAnswers.slice(1) }),
+      ...numericResults,
+      explanation: active.explanation,
+      source: active.source,
+      submittedBy: active.submittedBy,
+      timestamp: active.startTime
     });
-  } catch (error) {
-    console.error("❌ Error fetching leaderboard:", error);
-    res.status(500).json({ error: "Failed to fetch leaderboard" });
   }
-});
-  
+
   /**
-   * Username Management Endpoints
+   * Schedule the answer reveal for the channel's active question
+   * @param {string} channelId - Channel ID
+   * @param {number} delay - Time in ms until the reveal
    */
-  
-  // Set username for a user
-  app.post("/api/set-username", async (req, res) => {
+  function scheduleAnswerReveal(channelId, delay) {
+    const active = getChannelSession(channelId).activeQuestion;
+    if (!active) return;
+
+    if (active.revealTimeout) {
+      clearTimeout(active.revealTimeout);
+    }
+
+    active.revealTimeout = setTimeout(() => {
+      revealAnswer(channelId).catch(error => {
+        console.error("❌ Error revealing answer:", error);
+      });
+    }, delay);
+  }
+
+  /**
+   * Forget the channel's active question and cancel its pending reveal
+   * @param {string} channelId - Channel ID
+   */
+  function clearActiveQuestion(channelId) {
+    const session = getChannelSession(channelId);
+    const active = session.activeQuestion;
+    if (active && active.revealTimeout) {
+      clearTimeout(active.revealTimeout);
+    }
+    session.activeQuestion = null;
+  }
+
+  /**
+   * Close the channel's question round after answers and reveal are done
+   * and schedule the next question
+   * @param {string} channelId - Channel ID
+   * @param {number} answerTime - Time in ms viewers have to answer
+   */
+  function scheduleRoundEnd(channelId, answerTime) {
+    const session = getChannelSession(channelId);
+
+    // Answers are accepted until this deadline (plus the grace period)
+    session.roundEndTime = Date.now() + answerTime;
+
+    // Use a clearable timeout so ending trivia can cancel it
+    if (session.roundTimeout) {
+      clearTimeout(session.roundTimeout);
+    }
+
+    session.roundTimeout = setTimeout(() => {
+      session.roundTimeout = null;
+      session.questionInProgress = false;
+
+      if (!session.triviaActive) return;
+
+      const intervalTime = session.settings.intervalTime;
+      session.nextQuestionTime = Date.now() + intervalTime;
+      saveSessionSoon(channelId);
+      console.log(`⏳ Channel ${channelId}: next trivia question in ${intervalTime / 1000} seconds`);
+    }, answerTime + 5000);
+  }
+
+  /**
+   * Store an answer in the answer ledger
+   * @param {Object} answer - Answer row (see Answer model)
+   * @returns {Promise<boolean>} False if this viewer already answered the round
+   */
+  async function recordAnswer(answer) {
     try {
-      const { userId, username } = req.body;
-      
-      if (!userId || !username) {
-        return res.status(400).json({ 
-          success: false,
-          error: "Missing userId or username" 
-        });
+      await Answer.create(answer);
+      return true;
+    } catch (error) {
+      if (error instanceof Sequelize.UniqueConstraintError) {
+        console.warn(`⚠️ Duplicate answer from ${answer.user_id} for round ${answer.round_id}`);
+        return false;
       }
+
+      // Keep the game running without the ledger; the in-memory guard still applies
+      console.error("❌ Error recording answer:", error.message);
+      return true;
+    }
+  }
+
+  /**
+   * Start trivia game
+   * @param {string} channelId - Broadcaster's channel ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async function startTrivia(channelId) {
+    const session = getChannelSession(channelId);
+
+    if (session.triviaActive) {
+      console.log(`⚠️ Trivia is already running in channel ${channelId}. Ignoring start request.`);
+      return false;
+    }
+  
+    try {
+      // Set triviaActive first to prevent race conditions
+      session.triviaActive = true;
+  
+      // Reset questions tracking
+      session.usedQuestions = [];
+      console.log(`🔄 Used questions list reset upon trivia start in channel ${channelId}`);
+  
+      // Use the channel's stored timing
+      const settings = await getChannelSettings(channelId);
+
+      // Broadcast trivia start event
+      const startMessage = { 
+        type: "TRIVIA_START",
+        intervalTime: settings.intervalTime
+      };
       
-      // Set username in memory and database
-      console.log('SET USERNAME HERE DUUUUUDE:' + userId + ' ' + username);
-      const success = await setUsername(userId, username);
-      
-      // Log username stats
-      const userCount = Object.keys(userIdToUsername).length;
+      const broadcastSuccess = await broadcastToTwitch(channelId, startMessage);
       
-      // Return success
-      res.json({ 
-        success, 
-        message: success ? "Username set successfully" : "Failed to set username",
-        currentMappings: userCount
-      });
+      if (!broadcastSuccess) {
+        console.error("❌ Failed to broadcast TRIVIA_START");
+        session.triviaActive = false;
+        return false;
+      }
+  
+      console.log(`🚀 TRIVIA_START event broadcasted to channel ${channelId}!`);
+  
+      // Set next question time
+      const intervalTime = settings.intervalTime;
+      session.nextQuestionTime = Date.now() + intervalTime;
+  
+      console.log(`⏳ First trivia question will be in ${Math.round(intervalTime / 1000)} seconds.`);
+      await persistSession(channelId);
+      return true;
     } catch (error) {
-      console.error("❌ Error setting username:", error);
-      res.status(500).json({ 
-        success: false, 
-        error: "Server error" 
-      });
+      console.error("❌ Error starting trivia:", error);
+      // Reset trivia state if it fails to start
+      session.triviaActive = false;
+      return false;
     }
-  });
+  }
   
-  // Extension identity endpoint
-  app.post("/extension-identity", async (req, res) => {
+  /**
+   * End trivia game
+   * @param {string} channelId - Broadcaster's channel ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async function endTrivia(channelId) {
+    console.log(`🛑 Ending trivia session in channel ${channelId}`);
+  
+    const session = getChannelSession(channelId);
+    session.triviaActive = false;
+    session.roundEndTime = 0;
+    session.nextQuestionTime = null;
+    session.questionInProgress = false;
+    session.upcomingQuestion = null;
+
+    // Cancel the pending round so it doesn't schedule another question
+    if (session.roundTimeout) {
+      clearTimeout(session.roundTimeout);
+      session.roundTimeout = null;
+    }
+    
+    // Clear used questions when trivia ends
+    session.usedQuestions = [];
+    console.log("🔄 Used questions list cleared upon trivia end");
+
+    // Drop the active question so its answer is never revealed or scored
+    clearActiveQuestion(channelId);
+
+    // Reset session scores
+    resetSessionScores(channelId);
+    await persistSession(channelId);
+  
+    // Broadcast end event
     try {
-      const { userId, token } = req.body;
-      
-      if (!userId) {
-        return res.status(400).json({ error: "Missing userId" });
-      }
-      
-      // First, try to decode the JWT token
-      let username = null;
+      const endMessage = { type: "TRIVIA_END" };
+      const broadcastSuccess = await broadcastToTwitch(channelId, endMessage);
       
-      if (token) {
-        try {
-          const decodedToken = jwt.verify(token, extSecretBuffer, {
-            algorithms: ['HS256']
-          });
-          
-          // If user has shared identity, user_id will be present
-          if (decodedToken.user_id) {
-            // Try to get username using Twitch API
-            const twitchToken = await getTwitchOAuthToken();
-            if (twitchToken) {
-              const response = await axios.get(`https://api.twitch.tv/helix/users?id=${decodedToken.user_id}`, {
-                headers: {
-                  'Client-ID': EXT_CLIENT_ID,
-                  'Authorization': `Bearer ${twitchToken}`
-                }
-              });
-              
-              if (response.data && response.data.data && response.data.data.length > 0) {
-                username = response.data.data[0].display_name;
-                
-                // Store username for both the opaque ID and the real ID
-                await setUsername(userId, username);
-                await setUsername(decodedToken.user_id, username);
-              }
-            }
-          }
-        } catch (error) {
-          console.error("JWT verification failed:", error);
-        }
+      if (!broadcastSuccess) {
+        console.error("❌ Failed to broadcast TRIVIA_END");
+        return false;
       }
       
-      // Return the username if found
-      if (username) {
-        res.json({ success: true, username });
-      } else {
-        res.json({ success: false, message: "Could not resolve username" });
-      }
+      console.log("⛔ Trivia end command broadcasted!");
+      console.log("🔴 Trivia is now INACTIVE. Waiting for Start command.");
+      return true;
     } catch (error) {
-      console.error("Error in extension-identity endpoint:", error);
-      res.status(500).json({ error: "Server error" });
+      console.error("❌ Error ending trivia:", error);
+      return false;
     }
-  });
+  }
+  
+  // Minimum time between questions in a channel, to avoid duplicates
+const MIN_QUESTION_INTERVAL = 5000; // Minimum 5 seconds between questions
+
+/**
+ * Forget an upcoming question picked before it was changed
+ * Questions are picked early to preload their media, so one edited,
+ * retired or deleted during the countdown must be picked again.
+ * @param {number} questionId - Question that changed
+ * @returns {Promise<void>}
+ */
+async function forgetUpcomingQuestion(questionId) {
+  for (const session of Object.values(channelSessions)) {
+    const upcoming = session.upcomingQuestion;
+    if (!upcoming) continue;
+
+    const question = await upcoming;
+    if (question?.id === questionId && session.upcomingQuestion === upcoming) {
+      session.upcomingQuestion = null;
+      console.log(`🔄 Upcoming question ${questionId} changed; channel ${session.channelId} will pick another`);
+    }
+  }
+}
+
+/**
+ * Pick the next question for a channel
+ * Tries the broadcaster's filters first, then any difficulty or tag within the
+ * broadcaster's categories. Questions only ever come from the database, so a
+ * channel never gets questions outside its source or ones that are no longer approved.
+ * @param {string} channelId - Channel ID
+ * @returns {Promise<Object|null>} Question in the game format, or null if there is none
+ */
+async function selectTriviaQuestion(channelId) {
+  console.log("🧠 Selecting a trivia question from the database...");
+  
+  // Get broadcaster's filter preferences
+  const filters = await getBroadcasterFilters(channelId);
+  
+  // Get a random question using filters
+  let questionObj = await getRandomQuestionFromDB(channelId, filters.categories, filters.difficulties, filters.tags);
+  
+  // If no question matches filters, try any difficulty or tag in the same
+  // categories (excluded tags stay excluded)
+  if (!questionObj) {
+    console.warn("⚠️ No questions match broadcaster filters, trying any question in their categories...");
+    questionObj = await getRandomQuestionFromDB(channelId, filters.categories, [], { exclude: filters.tags.exclude });
+  }
+  
+  return questionObj || null;
+}
+
+/**
+ * Send trivia question to channel with improved concurrency control
+ * @param {string} channelId - Channel ID to send question to
+ * @returns {Promise<boolean>} Success status
+ */
+async function sendTriviaQuestion(channelId) {
+  const session = getChannelSession(channelId);
+
+  // First check if trivia is active
+  if (!session.triviaActive) {
+    console.log(`⏳ Trivia is inactive in channel ${channelId}. Waiting for Start command.`);
+    return false;
+  }
+
+  // Check for concurrent requests - add timestamp-based throttling
+  const now = Date.now();
+  if (now - session.lastQuestionTimestamp < MIN_QUESTION_INTERVAL) {
+    console.warn(`⚠️ Question was sent too recently (${now - session.lastQuestionTimestamp}ms ago)! Preventing duplicate.`);
+    return false;
+  }
+
+  // Double-check that no question is in progress
+  if (session.questionInProgress) {
+    console.warn("⚠️ A question is already in progress! Skipping duplicate question.");
+    return false;
+  }
+
+  // Acquire the lock using both timestamp and flag
+  session.lastQuestionTimestamp = now;
+  session.questionInProgress = true;
 
-// Endpoint to set broadcaster name
-app.post("/api/set-broadcaster-name", async (req, res) => {
   try {
-    const { channelId, jwt: token } = req.body;
-    
-    if (!channelId) {
-      return res.status(400).json({ error: "Missing channelId" });
+    // Use the question picked during the countdown, if there is one
+    const questionObj = await (session.upcomingQuestion || selectTriviaQuestion(channelId));
+    session.upcomingQuestion = null;
+
+    // If we have no question, we can't continue
+    if (!questionObj) {
+      console.error("❌ No trivia questions available!");
+      session.questionInProgress = false;
+      return false;
     }
     
-    console.log(`🎙️ Processing broadcaster identity for channel: ${channelId}`);
-    
-    // Verify JWT if provided
-    let decodedToken = null;
-    if (token) {
-      try {
-        decodedToken = jwt.verify(token, extSecretBuffer, {
-          algorithms: ['HS256']
-        });
-        console.log(`✅ Verified JWT for broadcaster lookup with role: ${decodedToken.role}`);
-      } catch (err) {
-        console.warn("⚠️ Invalid JWT for broadcaster lookup");
-      }
+    // Get the channel's timing settings
+    const { answerTime, intervalTime } = await getChannelSettings(channelId);
+
+    console.log(`⏳ Current trivia settings → Answer Time: ${answerTime}ms, Interval: ${intervalTime}ms`);
+    console.log(`📝 Selected question: "${questionObj.question.substring(0, 50)}..." (ID: ${questionObj.id}, Category: ${questionObj.categoryId}, Difficulty: ${questionObj.difficulty})`);
+
+    // Record the question server-side; the broadcast never includes the correct answer
+    const questionMessage = {
+      type: "TRIVIA_QUESTION",
+      ...activateQuestion(channelId, questionObj, answerTime, now)
+    };
+
+    console.log(`📡 Broadcasting trivia question (timestamp: ${now})...`);
+
+    // Broadcast the question
+    const broadcastSuccess = await broadcastToTwitch(channelId, questionMessage);
+
+    if (!broadcastSuccess) {
+      console.error("❌ Failed to broadcast question");
+      clearActiveQuestion(channelId);
+      session.questionInProgress = false;
+      return false;
     }
+
+    console.log(`✅ Trivia question sent to channel ${channelId}`);
+    countQuestionAsked(questionObj.id);
+
+    // Reveal the correct answer once answering time (plus grace) is up
+    scheduleAnswerReveal(channelId, answerTime + ANSWER_GRACE_PERIOD);
+
+    // Set round end time and schedule the next question
+    scheduleRoundEnd(channelId, answerTime);
     
-    // If we get a direct display name in the request
-    if (req.body.displayName) {
-      console.log(`👤 Using provided broadcaster name: ${req.body.displayName}`);
+    return true;
+  } catch (error) {
+    console.error("❌ Error sending trivia question:", error.response?.data || error.message);
+    // Always reset flags on error
+    session.questionInProgress = false; 
+    return false;
+  }
+}
+  
+  /**
+   * Create or partially update a broadcaster's stored settings
+   * Only the given columns are written; the rest keep their stored values.
+   * @param {string} broadcasterId - Broadcaster's channel ID
+   * @param {Object} values - Column values to store
+   * @returns {Promise<[Object, boolean]>} Settings record and whether it was created
+   */
+  async function saveBroadcasterSettings(broadcasterId, values) {
+    const existing = await TriviaSettings.findByPk(broadcasterId);
+
+    if (existing) {
+      await existing.update(values);
+      return [existing, false];
+    }
+
+    const created = await TriviaSettings.create({ broadcaster_id: broadcasterId, ...values });
+    return [created, true];
+  }
+
+  /**
+   * Update a channel's trivia settings
+   * @param {string} channelId - Channel ID
+   * @param {Object} settings - New settings values
+   * @param {number} settings.answerTime - Time in ms for answering questions
+   * @param {number} settings.intervalTime - Time in ms between questions
+   * @returns {Promise<boolean>} Success status
+   */
+  async function updateTriviaSettings(channelId, settings) {
+    try {
+      const { answerTime, intervalTime } = settings;
       
-      // Store using userId = channelId since that's how Twitch identifies broadcasters
-      await setUsername(channelId, req.body.displayName);
+      // Validate input values
+      if (!isValidTiming(answerTime, intervalTime)) {
+        console.error("❌ Invalid time values:", { answerTime, intervalTime });
+        return false;
+      }
+      
+      // Persist for the channel so the values survive restarts
+      try {
+        await saveBroadcasterSettings(channelId, {
+          answer_time: answerTime,
+          interval_time: intervalTime
+        });
+      } catch (dbError) {
+        console.error(`❌ Database error saving timing for ${channelId}:`, dbError.message);
+        // Continue with in-memory settings on database error
+      }
+
+      // Update the running session
+      const session = getChannelSession(channelId);
+      session.settings.answerTime = answerTime;
+      session.settings.intervalTime = intervalTime;
+      session.settingsLoaded = true;
+      console.log(`🔧 Trivia settings updated for channel ${channelId}:`, session.settings);
+      
+      // Broadcast settings to viewers
+      await sendSettingsUpdate(channelId);
+      
+      return true;
+    } catch (error) {
+      console.error("❌ Error updating trivia settings:", error);
+      return false;
+    }
+  }
+  
+  /**
+   * Broadcast a channel's settings update to its viewers
+   * @param {string} channelId - Channel ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async function sendSettingsUpdate(channelId) {
+    try {
+      const settings = await getChannelSettings(channelId);
+      const settingsMessage = {
+        type: "SETTINGS_UPDATE",
+        answerTime: settings.answerTime,
+        intervalTime: settings.intervalTime,
+      };
+      
+      const broadcastSuccess = await broadcastToTwitch(channelId, settingsMessage);
+      
+      if (broadcastSuccess) {
+        console.log("✅ Trivia settings broadcasted to viewers");
+        return true;
+      } else {
+        console.error("❌ Failed to broadcast settings update");
+        return false;
+      }
+    } catch (error) {
+      console.error("❌ Error broadcasting trivia settings:", error);
+      return false;
+    }
+  }
+  
+  // How long before a question its media is announced for preloading. Kept
+  // short so the media gives little away before the question is asked.
+  const MEDIA_PRELOAD_WINDOW = 15000;
+
+  /**
+   * Send countdown update to a channel's viewers
+   * Informs viewers of time remaining until next question
+   * @param {string} channelId - Channel ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async function sendCountdownUpdate(channelId) {
+    const session = getChannelSession(channelId);
+
+    // Don't send updates if trivia is inactive or during an active question
+    if (!session.triviaActive || Date.now() < session.roundEndTime) {
+      return false;
+    }
+  
+    // If nextQuestionTime isn't set or has passed, don't send updates
+    if (!session.nextQuestionTime || session.nextQuestionTime < Date.now()) {
+      return false;
+    }
+  
+    const timeRemaining = session.nextQuestionTime - Date.now();
+    
+    try {
+      const countdownMessage = {
+        type: "COUNTDOWN_UPDATE",
+        timeRemaining: Math.max(0, timeRemaining),
+      };
+
+      // Shortly before the question, pick it so viewers can preload its media
+      if (timeRemaining <= MEDIA_PRELOAD_WINDOW) {
+        if (!session.upcomingQuestion) {
+          session.upcomingQuestion = selectTriviaQuestion(channelId).catch(error => {
+            console.error("❌ Error picking the upcoming question:", error.message);
+            return null;
+          });
+        }
+        const upcoming = await session.upcomingQuestion;
+        if (upcoming?.media) countdownMessage.preloadMedia = upcoming.media;
+      }
+  
+      const broadcastSuccess = await broadcastToTwitch(channelId, countdownMessage);
+      return broadcastSuccess;
+    } catch (error) {
+      console.error("❌ Error sending countdown update:", error.message || error);
+      return false;
+    }
+  }
+  
+  /**
+   * Main countdown and question timing interval
+   * Drives the countdown and question timing of every active channel
+   */
+  setInterval(() => {
+    const now = Date.now();
+
+    Object.values(channelSessions).forEach(session => {
+      if (!session.triviaActive || !session.nextQuestionTime) {
+        return;
+      }
+    
+      const { channelId } = session;
+      const timeRemaining = session.nextQuestionTime - now;
+    
+      // For logging, only show every 10 seconds to reduce spam
+      if (timeRemaining % 10000 < 1000) {
+        console.log(`⏳ Channel ${channelId} time remaining: ${Math.round(timeRemaining / 1000)} seconds`);
+      }
+    
+      // Update countdown UI
+      sendCountdownUpdate(channelId);
+    
+      // When time runs out, request the next question
+      if (timeRemaining <= 0 && !session.questionInProgress) {
+        console.log(`⏳ Countdown reached 0 in channel ${channelId}! Sending trivia question...`);
+        sendTriviaQuestion(channelId);
+      }
+    });
+  }, 1000); // Runs once per second
+
+  /**
+   * Question Statistics
+   * Worked out from the answer ledger across every channel, since how hard
+   * a question is doesn't depend on where it was asked.
+   */
+  const RECALIBRATION_MIN_ANSWERS = 20;          // answers needed before a question's difficulty is judged
+  const RECALIBRATION_EASIER_RATE = 0.9;         // share correct at which a question moves one step easier
+  const RECALIBRATION_HARDER_RATE = 0.3;         // share correct at which a question moves one step harder
+  const RECALIBRATION_INTERVAL = 24 * 60 * 60 * 1000;
+  const RECALIBRATION_FIRST_RUN_DELAY = 60 * 1000;
+
+  /**
+   * Count a broadcast towards a question's times asked
+   * Memory questions have no row to count against and are ignored.
+   * @param {number|string} questionId - Id of the question that was asked
+   */
+  function countQuestionAsked(questionId) {
+    if (!Number.isInteger(questionId)) return;
+
+    TriviaQuestion.increment("times_asked", { where: { id: questionId } }).catch(error => {
+      console.warn(`⚠️ Could not count question ${questionId} as asked:`, error.message);
+    });
+  }
+
+  /**
+   * Summarize the answer ledger rows of one question
+   * @param {Object[]} answers - Answer rows (round_id, is_correct, answer_time_ms)
+   * @param {number} timesAsked - Stored broadcast count
+   * @returns {Object} timesAsked, answers, answerRate (answers per time asked),
+   *   percentCorrect and medianResponseMs; rates are null until there is data
+   */
+  function summarizeQuestionAnswers(answers, timesAsked = 0) {
+    // Questions asked before broadcasts were counted still have their rounds in the ledger
+    const asked = Math.max(timesAsked || 0, new Set(answers.map(a => a.round_id)).size);
+    const correct = answers.filter(a => a.is_correct).length;
+    const times = answers.map(a => a.answer_time_ms).sort((a, b) => a - b);
+    const middle = Math.floor(times.length / 2);
+
+    return {
+      timesAsked: asked,
+      answers: answers.length,
+      answerRate: asked > 0 ? Math.round(answers.length / asked * 10) / 10 : null,
+      percentCorrect: answers.length > 0 ? Math.round(correct / answers.length * 100) : null,
+      medianResponseMs: times.length === 0 ? null
+        : times.length % 2 ? times[middle]
+        : Math.round((times[middle - 1] + times[middle]) / 2)
+    };
+  }
+
+  /**
+   * Work out answer statistics for a set of questions
+   * @param {Object[]} questions - TriviaQuestion rows
+   * @returns {Promise<Map<number, Object>>} Question id -> statistics
+   */
+  async function loadQuestionStats(questions) {
+    const stats = new Map();
+    if (questions.length === 0) return stats;
+
+    const answers = await Answer.findAll({
+      where: { question_id: questions.map(q => String(q.id)) },
+      attributes: ["question_id", "round_id", "is_correct", "answer_time_ms"],
+      raw: true
+    });
+
+    const byQuestion = new Map();
+    answers.forEach(answer => {
+      if (!byQuestion.has(answer.question_id)) byQuestion.set(answer.question_id, []);
+      byQuestion.get(answer.question_id).push(answer);
+    });
+
+    questions.forEach(question => {
+      stats.set(question.id, summarizeQuestionAnswers(byQuestion.get(String(question.id)) || [], question.times_asked));
+    });
+    return stats;
+  }
+
+  /**
+   * Pick the difficulty a question's answer record points to
+   * Questions only move one step at a time.
+   * @param {string} difficulty - Current difficulty
+   * @param {number} correctRate - Share of answers that were correct (0-1)
+   * @returns {string|null} Suggested difficulty, or null if the current one fits
+   */
+  function suggestDifficulty(difficulty, correctRate) {
+    const index = QUESTION_DIFFICULTIES.indexOf(difficulty);
+    if (index === -1) return null;
+
+    if (correctRate >= RECALIBRATION_EASIER_RATE && index > 0) {
+      return QUESTION_DIFFICULTIES[index - 1];
+    }
+    if (correctRate <= RECALIBRATION_HARDER_RATE && index < QUESTION_DIFFICULTIES.length - 1) {
+      return QUESTION_DIFFICULTIES[index + 1];
+    }
+    return null;
+  }
+
+  /**
+   * Compare every well-answered question's difficulty with how often it is
+   * answered correctly, and suggest (or, with AUTO_RECALIBRATE_DIFFICULTY,
+   * apply) a one-step change where they disagree
+   * Only answers given since the difficulty last changed are counted.
+   * @returns {Promise<{checked: number, suggested: number, applied: number}>}
+   */
+  async function recalibrateQuestionDifficulty() {
+    const [rows] = await sequelize.query(`
+      SELECT q.id, q.difficulty, q.suggested_difficulty,
+             COUNT(*) AS answers, SUM(a.is_correct) AS correct
+      FROM trivia_answers a
+      JOIN trivia_questions q ON a.question_id = CAST(q.id AS CHAR)
+      WHERE q.recalibrated_at IS NULL OR a.answered_at > q.recalibrated_at
+      GROUP BY q.id, q.difficulty, q.suggested_difficulty
+      HAVING COUNT(*) >= :minAnswers
+    `, { replacements: { minAnswers: RECALIBRATION_MIN_ANSWERS } });
+
+    const result = { checked: rows.length, suggested: 0, applied: 0 };
+
+    for (const row of rows) {
+      const suggestion = suggestDifficulty(row.difficulty, Number(row.correct) / Number(row.answers));
+
+      if (suggestion && AUTO_RECALIBRATE_DIFFICULTY) {
+        await TriviaQuestion.update(
+          { difficulty: suggestion, suggested_difficulty: null, recalibrated_at: new Date() },
+          { where: { id: row.id } }
+        );
+        result.applied++;
+      } else if (suggestion !== row.suggested_difficulty) {
+        // Also clears suggestions the question has since grown out of
+        await TriviaQuestion.update({ suggested_difficulty: suggestion }, { where: { id: row.id } });
+        if (suggestion) result.suggested++;
+      }
+    }
+
+    console.log(`🎚️ Difficulty recalibration checked ${result.checked} questions: ` +
+      `${result.suggested} new suggestions, ${result.applied} changed`);
+    return result;
+  }
+
+  /**
+   * Run the difficulty recalibration shortly after startup and then daily
+   */
+  function scheduleDifficultyRecalibration() {
+    const run = () => recalibrateQuestionDifficulty().catch(error => {
+      console.error("❌ Difficulty recalibration failed:", error.message || error);
+    });
+
+    setTimeout(run, RECALIBRATION_FIRST_RUN_DELAY);
+    setInterval(run, RECALIBRATION_INTERVAL);
+  }
+  
+ /********************************
+ * SECTION 6: API ROUTES
+ ********************************/
+
+/**
+ * API Routes for Trivia Application
+ * All HTTP endpoints are defined here
+ */
+
+/**
+ * User Score Endpoints
+ */
+
+// Submit answer and update score
+app.post("/submit-answer", requireViewer, async (req, res) => {
+    // Stamp arrival time first so answer time is measured by the server
+    const receivedAt = Date.now();
+
+    try {
+      // Input validation with early returns for invalid data
+      if (!req.body || Object.keys(req.body).length === 0) {
+        return res.status(400).json({ error: "Empty request body" });
+      }
       
-      return res.json({ 
+      // Multiple-choice questions send choiceIndex, multi-select questions
+      // choiceIndexes, free-text and numeric questions answerText
+      const { questionId, choiceIndex, choiceIndexes, answerText } = req.body;
+
+      // Viewer and channel come from the verified token, never the body
+      const userId = req.viewerId;
+      const channelId = req.channelId;
+
+      // Validate required fields
+      const hasAnswer = choiceIndex !== undefined || choiceIndexes !== undefined || answerText !== undefined;
+      if (questionId === undefined || !hasAnswer) {
+        return res.status(400).json({
+          error: "Missing required fields",
+          missing: {
+            questionId: questionId === undefined,
+            choiceIndex: !hasAnswer
+          }
+        });
+      }
+
+      // Check the submission against the question the server actually asked
+      const activeQuestion = getChannelSession(channelId).activeQuestion;
+      if (!activeQuestion || String(activeQuestion.questionId) !== String(questionId)) {
+        return res.status(400).json({ error: "Question is not active" });
+      }
+
+      // Reject anything after the round deadline plus the latency grace window
+      if (activeQuestion.revealed || receivedAt > activeQuestion.endTime + ANSWER_GRACE_PERIOD) {
+        console.warn(`⏰ Late answer from ${userId}: ${receivedAt - activeQuestion.endTime}ms after deadline`);
+        return res.status(400).json({ error: "Answer window has closed" });
+      }
+
+      const isFreeText = activeQuestion.type === "free_text";
+      const isNumeric = activeQuestion.type === "numeric";
+      const isMultiSelect = activeQuestion.type === "multi_select";
+      const typedAnswer = typeof answerText === "string" ? answerText.trim() : "";
+      const guess = isNumeric ? parseNumericAnswer(answerText) : null;
+      const selectedIndexes = isMultiSelect && Array.isArray(choiceIndexes) ? choiceIndexes.map(Number) : [];
+      const selectedIndex = isFreeText || isNumeric ? -1
+        : isMultiSelect ? (selectedIndexes[0] ?? -1)
+        : Number(choiceIndex);
+      const isValidChoice = index => Number.isInteger(index) && index >= 0 && index < activeQuestion.choices.length;
+
+      if (isMultiSelect) {
+        if (selectedIndexes.length === 0 || !selectedIndexes.every(isValidChoice) ||
+            new Set(selectedIndexes).size !== selectedIndexes.length) {
+          return res.status(400).json({ error: "Invalid choice" });
+        }
+      } else if (isFreeText) {
+        if (!typedAnswer || typedAnswer.length > FREE_TEXT_MAX_LENGTH) {
+          return res.status(400).json({ error: "Invalid answer" });
+        }
+      } else if (isNumeric) {
+        if (guess === null) {
+          return res.status(400).json({ error: "Answer must be a number" });
+        }
+      } else if (!isValidChoice(selectedIndex)) {
+        return res.status(400).json({ error: "Invalid choice" });
+      }
+
+      // Only one answer per viewer per round. Claim the slot before any await
+      // so concurrent requests from the same viewer can't both get through.
+      const answerKey = userId;
+      if (activeQuestion.answeredUsers.has(answerKey)) {
+        return res.status(409).json({ error: "Answer already submitted for this question" });
+      }
+      activeQuestion.answeredUsers.add(answerKey);
+
+      // Numeric guesses are scored together when the round closes
+      const numericGuess = isNumeric ? { userId: answerKey, guess } : null;
+      if (numericGuess) activeQuestion.guesses.push(numericGuess);
+
+      // What the viewer answered, for the ledger and the log
+      const answerDescription = isFreeText ? typedAnswer
+        : isNumeric ? String(guess)
+        : isMultiSelect ? selectedIndexes.map(index => activeQuestion.choices[index]).join(" | ")
+        : activeQuestion.choices[selectedIndex];
+
+      // Measure answer time from the question broadcast timestamp
+      const answerTime = Math.min(
+        Math.max(0, receivedAt - activeQuestion.startTime),
+        activeQuestion.duration
+      );
+
+      // Determine if answer is correct and calculate score. Typed answers
+      // within typo tolerance count as correct for the channel's partial credit,
+      // and multi-select answers earn the share of correct choices they found.
+      let isCorrect = selectedIndex === activeQuestion.correctIndex;
+      let credit = 1;
+      let match;
+      if (isMultiSelect) {
+        ({ credit } = gradeMultiSelectAnswer(selectedIndexes, activeQuestion.correctIndexes));
+        isCorrect = credit > 0;
+      } else if (isFreeText) {
+        const { partialCredit } = await getChannelSettings(channelId);
+        ({ match } = gradeFreeTextAnswer(typedAnswer, activeQuestion.acceptedAnswers));
+        isCorrect = match === "exact" || (match === "close" && partialCredit > 0);
+        credit = match === "close" ? partialCredit / 100 : 1;
+      } else if (isNumeric) {
+        isCorrect = calculateNumericScore(guess, activeQuestion.numericAnswer,
+          activeQuestion.numericRange, activeQuestion.difficulty).points > 0;
+      }
+
+      const difficulty = activeQuestion.difficulty;
+      const { points, timePercentage, basePoints } = isNumeric
+        ? { points: 0, timePercentage: 0, basePoints: getBasePoints(difficulty) }
+        : calculateScore(isCorrect, difficulty, answerTime, activeQuestion.duration, credit);
+
+      // Record the answer in the ledger; the unique (user, round) index is the
+      // final guard against duplicates, e.g. after a server restart
+      const recorded = await recordAnswer({
+        user_id: answerKey,
+        channel_id: channelId,
+        question_id: String(activeQuestion.questionId),
+        round_id: activeQuestion.roundId,
+        choice_index: selectedIndex,
+        choice: answerDescription.slice(0, 255),
+        // Statistics only count full marks as correct; credit keeps the partial share
+        is_correct: isMultiSelect ? credit === 1 : isCorrect,
+        credit: isCorrect ? credit : 0,
+        answer_time_ms: answerTime,
+        points
+      });
+
+      if (!recorded) {
+        if (numericGuess) {
+          activeQuestion.guesses = activeQuestion.guesses.filter(entry => entry !== numericGuess);
+        }
+        return res.status(409).json({ error: "Answer already submitted for this question" });
+      }
+  
+      // Update user score in memory and database
+      const { totalScore, sessionScore } = await updateUserScore(userId, points, channelId);
+  
+      // Log the result
+      if (isNumeric) {
+        console.log(`🔢 User ${userId} guessed ${guess} (answer: ${activeQuestion.correctAnswer})`);
+      } else if (isCorrect) {
+        console.log(`✅ User ${userId} answered correctly and earned ${points} points!`);
+      } else {
+        console.log(`❌ User ${userId} answered incorrectly: ${answerDescription} (correct: ${activeQuestion.correctAnswers.join(" | ")})`);
+      }
+  
+      // Return success response with score information
+      res.json({ 
         success: true, 
-        displayName: req.body.displayName,
-        method: "direct"
+        pointsEarned: points, 
+        totalScore,
+        sessionScore,
+        basePoints,
+        difficulty,
+        timePercentage,
+        ...(isFreeText && { match, partialCredit: match === "close" && isCorrect }),
+        ...(isMultiSelect && { credit: Math.round(credit * 100) }),
+        ...(isNumeric && { pending: true })
+      });
+    } catch (error) {
+      console.error("❌ Error in submit-answer endpoint:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+  
+  // Get the requesting viewer's score
+  app.get("/score", requireViewer, async (req, res) => {
+    const userId = req.viewerId;
+
+    try {
+      // Get user score from memory and database
+      const scoreData = await getUserScore(userId, req.channelId);
+
+      // Optional cross-channel total
+      if (req.query.scope === 'global') {
+        scoreData.globalScore = (await Score.sum('score', { where: { userId } })) || 0;
+      }
+      
+      // Return score information
+      res.json({ 
+        userId, 
+        channelId: req.channelId,
+        ...scoreData
+      });
+    } catch (error) {
+      console.error(`❌ Error retrieving score for ${userId}:`, error);
+      
+      // Send a response even on error
+      res.json({ 
+        userId, 
+        totalScore: 0, 
+        sessionScore: 0,
+        error: "Failed to retrieve score"
+      });
+    }
+  });
+  
+  // Reset session scores
+  app.post("/reset-session-scores", requireChannelControl, (req, res) => {
+    try {
+      resetSessionScores(req.channelId);
+      res.json({ success: true, message: "Session scores reset" });
+    } catch (error) {
+      console.error("❌ Error resetting session scores:", error);
+      res.status(500).json({ error: "Failed to reset session scores" });
+    }
+  });
+  
+  /**
+   * Leaderboard Endpoints
+   */
+  
+app.get("/api/leaderboard", async (req, res) => {
+  try {
+    const channelId = getRequestChannelId(req);
+    const isGlobal = req.query.scope === 'global';
+
+    // Read-only: the channel id may come from the query, so never create a session for it
+    const session = channelSessions[channelId];
+
+    // Get top scores from database: this channel only, or summed across all channels
+    const dbScores = isGlobal
+      ? await Score.findAll({
+          attributes: [
+            'userId',
+            [sequelize.fn('MAX', sequelize.col('username')), 'username'],
+            [sequelize.fn('SUM', sequelize.col('score')), 'score']
+          ],
+          group: ['userId'],
+          order: [[sequelize.literal('score'), 'DESC']],
+          raw: true
+        })
+      : await Score.findAll({
+          where: { channelId },
+          order: [['score', 'DESC']]
+          // Remove the limit here to show all scores
+        });
+    
+    // Create total leaderboard directly using database usernames
+    const totalLeaderboard = dbScores.map(entry => ({
+      userId: entry.userId,
+      username: entry.username || `User-${entry.userId.substring(0, 5)}...`, // Fallback if no username
+      score: Number(entry.score)
+    }));
+    
+    // Check if current session has any non-zero scores
+    const hasActiveSessionScores = !!session && Object.values(session.sessionScores).some(score => score > 0);
+    
+    // Use scores source based on whether there are active scores
+    const sessionScoreSource = !session ? {}
+      : hasActiveSessionScores ? session.sessionScores : session.lastSessionScores;
+    
+    // Create session leaderboard with usernames from database if available
+    const sessionScores = Object.entries(sessionScoreSource)
+      .filter(([userId, score]) => score > 0) // Only include non-zero scores
+      .map(([userId, score]) => {
+        // Try to find this user in the database scores to get username
+        const dbUser = dbScores.find(entry => entry.userId === userId);
+        return {
+          userId,
+          username: dbUser?.username || `User-${userId.substring(0, 5)}...`, // Use DB username if available
+          score
+        };
+      })
+      .sort((a, b) => b.score - a.score);
+    
+    // Log samples of what we're returning
+    if (totalLeaderboard.length > 0) {
+      console.log("🏆 Total leaderboard sample:", totalLeaderboard.slice(0, 3));
+    }
+    
+    if (sessionScores.length > 0) {
+      console.log("🏆 Session leaderboard sample:", sessionScores.slice(0, 3));
+    }
+    
+    res.json({
+      channelId,
+      scope: isGlobal ? 'global' : 'channel',
+      total: totalLeaderboard,
+      session: sessionScores,
+      isLastSession: !hasActiveSessionScores && sessionScores.length > 0
+    });
+  } catch (error) {
+    console.error("❌ Error fetching leaderboard:", error);
+    res.status(500).json({ error: "Failed to fetch leaderboard" });
+  }
+});
+  
+  /**
+   * Username Management Endpoints
+   */
+  
+  // Set username for a user
+  app.post("/api/set-username", requireViewer, async (req, res) => {
+    try {
+      // The name is looked up on Twitch; any name in the body is ignored
+      const username = await resolveViewerName(req.twitchUser);
+      
+      // Log username stats
+      const userCount = Object.keys(userIdToUsername).length;
+      
+      // Return success
+      res.json({ 
+        success: !!username, 
+        username,
+        message: username ? "Username set successfully" : "Could not resolve username",
+        currentMappings: userCount
+      });
+    } catch (error) {
+      console.error("❌ Error setting username:", error);
+      res.status(500).json({ 
+        success: false, 
+        error: "Server error" 
+      });
+    }
+  });
+  
+  // Extension identity endpoint
+  app.post("/extension-identity", requireViewer, async (req, res) => {
+    try {
+      // If the viewer has shared their identity, user_id is in the token
+      const username = await resolveViewerName(req.twitchUser);
+      
+      // Return the username if found
+      if (username) {
+        res.json({ success: true, username });
+      } else {
+        res.json({ success: false, message: "Could not resolve username" });
+      }
+    } catch (error) {
+      console.error("Error in extension-identity endpoint:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  /**
+   * Look up the broadcaster's display name on Twitch and store it
+   * The channel comes from the token and the name only ever from Helix;
+   * names sent by the client are ignored.
+   * @param {Object} req - Express request object (after requireChannelControl)
+   * @param {Object} res - Express response object
+   */
+  async function lookupBroadcasterName(req, res) {
+    try {
+      const channelId = req.channelId;
+      console.log(`🎙️ Processing broadcaster identity for channel: ${channelId}`);
+
+      const twitchToken = await getTwitchOAuthToken();
+      if (!twitchToken) {
+        return res.status(500).json({
+          success: false,
+          error: "Failed to get Twitch API token"
+        });
+      }
+
+      // Stores the name when Twitch knows the channel
+      const displayName = await resolveTwitchUsername(channelId, EXT_CLIENT_ID, twitchToken);
+      if (!displayName) {
+        return res.json({
+          success: false,
+          error: "Broadcaster not found"
+        });
+      }
+
+      res.json({
+        success: true,
+        displayName,
+        method: "api"
+      });
+    } catch (error) {
+      console.error("❌ Error looking up broadcaster name:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+
+  // Resolve the broadcaster's name for the config panel
+  app.post("/api/set-broadcaster-name", requireChannelControl, lookupBroadcasterName);
+
+  // Fallback the config panel uses when the first lookup fails
+  app.post("/twitch/broadcaster-identity", requireChannelControl, lookupBroadcasterName);
+  
+  /**
+   * Trivia Control Endpoints
+   */
+  
+  // Start trivia
+  app.post("/start-trivia", requireChannelControl, async (req, res) => {
+    const broadcasterId = req.channelId;
+    const session = getChannelSession(broadcasterId);
+
+    try {
+      // If force is true, end any existing trivia first
+      if (session.triviaActive && req.body.force) {
+        await endTrivia(broadcasterId);
+      }
+
+      if (session.triviaActive) {
+        console.log("⚠️ Trivia is already running. Ignoring start request.");
+        return res.json({ success: false, message: "Trivia is already running!" });
+      }
+  
+      const success = await startTrivia(broadcasterId);
+      
+      if (success) {
+        res.json({ success: true, message: "Trivia started!" });
+      } else {
+        res.status(500).json({ success: false, error: "Failed to start trivia." });
+      }
+    } catch (error) {
+      console.error("❌ Error starting trivia:", error);
+      session.triviaActive = false; // Reset state on error
+      res.status(500).json({ success: false, error: "Failed to start trivia." });
+    }
+  });
+  
+  // End trivia
+  app.post("/end-trivia", requireChannelControl, async (req, res) => {
+    try {
+      const broadcasterId = req.channelId;
+      const success = await endTrivia(broadcasterId);
+      
+      if (success) {
+        res.json({ success: true, message: "Trivia ended!" });
+      } else {
+        res.status(500).json({ error: "Failed to end trivia." });
+      }
+    } catch (error) {
+      console.error("❌ Error ending trivia:", error);
+      res.status(500).json({ error: "Failed to end trivia." });
+    }
+  });
+  
+  // Get next question
+  app.get("/get-next-question", requireViewer, async (req, res) => {
+    const channelId = req.channelId;
+    const session = getChannelSession(channelId);
+
+    try {
+      const requestId = Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+      console.log(`📝 [${requestId}] Received next question request for channel ${channelId}`);
+      
+      if (!session.triviaActive) {
+        console.log(`⏳ [${requestId}] Trivia is inactive. Skipping next question request.`);
+        return res.json({ error: "Trivia is not active." });
+      }
+  
+      // Check if we need to wait before sending the next question
+      const timeRemaining = session.nextQuestionTime - Date.now();
+      if (timeRemaining > 0) {
+        console.log(`⏳ [${requestId}] Next question not ready yet! Time remaining: ${Math.round(timeRemaining / 1000)} seconds`);
+        return res.json({ error: "Next question not ready yet.", timeRemaining });
+      }
+  
+      // Check for concurrent requests - add timestamp-based throttling
+      const now = Date.now();
+      if (now - session.lastQuestionTimestamp < MIN_QUESTION_INTERVAL) {
+        console.warn(`⚠️ [${requestId}] Question was sent too recently (${now - session.lastQuestionTimestamp}ms ago)! Preventing duplicate.`);
+        return res.json({ 
+          error: "Question was sent too recently", 
+          message: "Please wait before requesting another question",
+          timeElapsed: now - session.lastQuestionTimestamp,
+          minInterval: MIN_QUESTION_INTERVAL
+        });
+      }
+  
+      // Prevent overlap with ongoing questions using both safeguards
+      if (session.questionInProgress) {
+        console.warn(`⚠️ [${requestId}] A question is already in progress!`);
+        return res.json({ error: "A question is already in progress." });
+      }
+  
+      // At this point, we're ready to get a new question
+      console.log(`🔍 [${requestId}] Getting next question from database...`);
+      
+      // Acquire the lock immediately to prevent race conditions
+      session.lastQuestionTimestamp = now;
+      session.questionInProgress = true;
+  
+      try {
+        // Use the question picked during the countdown (its media is already
+        // preloaded), otherwise pick one with the broadcaster's filters
+        const questionObj = await (session.upcomingQuestion || selectTriviaQuestion(channelId));
+        session.upcomingQuestion = null;
+        
+        // If we have no question, release lock and return error
+        if (!questionObj) {
+          console.error(`❌ [${requestId}] No trivia questions match the channel's categories!`);
+          session.questionInProgress = false; // Release the lock
+          return res.status(400).json({ error: "No trivia questions match the selected categories." });
+        }
+        
+        // Get the channel's timing settings
+        const { answerTime } = await getChannelSettings(channelId);
+
+        // Record the question server-side and reveal the answer once time is up
+        const questionData = activateQuestion(channelId, questionObj, answerTime, now);
+        scheduleAnswerReveal(channelId, answerTime + ANSWER_GRACE_PERIOD);
+
+        // Schedule reset of question status and next question timing
+        scheduleRoundEnd(channelId, answerTime);
+        
+        console.log(`📩 [${requestId}] Sending next trivia question: ID ${questionObj.id}`);
+        res.json(questionData);
+      } catch (error) {
+        console.error(`❌ [${requestId}] Error getting next question:`, error);
+        // Release the lock on error
+        session.questionInProgress = false;
+        res.status(500).json({ error: "Server error getting next question" });
+      }
+    } catch (error) {
+      console.error("❌ Error in get-next-question endpoint:", error);
+      // Always release the lock on error
+      session.questionInProgress = false;
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+  
+  // Manual route to send a trivia question
+  app.post("/send-test", requireChannelControl, async (req, res) => {
+    try {
+      const broadcasterId = req.channelId;
+      const success = await sendTriviaQuestion(broadcasterId);
+      
+      if (success) {
+        res.json({ success: true, message: "Trivia question sent!" });
+      } else {
+        res.status(500).json({ success: false, error: "Failed to send question" });
+      }
+    } catch (error) {
+      console.error("❌ Error in /send-test:", error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+  
+// Add to server.js
+app.get("/trivia-status", verifyTwitchJWT, async (req, res) => {
+  const session = getChannelSession(req.twitchUser.channel_id);
+  const settings = await getChannelSettings(session.channelId);
+
+  res.json({
+    triviaActive: session.triviaActive,
+    nextQuestionTime: session.nextQuestionTime ? session.nextQuestionTime - Date.now() : null,
+    settings
+  });
+}); 
+
+  // GET endpoint for testing trivia
+  app.get("/trivia", requireChannelControl, async (req, res) => {
+    try {
+      const success = await sendTriviaQuestion(req.channelId);
+      
+      if (success) {
+        res.json({ success: true, message: "Trivia question sent via GET /trivia" });
+      } else {
+        res.status(500).json({ success: false, error: "Failed to send question" });
+      }
+    } catch (error) {
+      console.error("❌ Error in GET /trivia:", error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+  
+  /**
+   * Settings Management Endpoints
+   */
+  
+  // Update trivia settings
+  app.post("/update-settings", requireChannelControl, async (req, res) => {
+    try {
+      // Log the raw request body
+      console.log("📩 Received settings update request.");
+      console.log("📦 Raw request body:", req.body);
+  
+      let { answerTime, intervalTime } = req.body;
+  
+      // If body is empty, return error
+      if (!req.body || Object.keys(req.body).length === 0) {
+        console.error("❌ Invalid settings update request: Empty body received!");
+        return res.status(400).json({ error: "Empty request body!" });
+      }
+  
+      // Fallback check in case Twitch sends incorrect keys
+      if (!answerTime && req.body.answerDuration) {
+        answerTime = req.body.answerDuration * 1000;
+      }
+      if (!intervalTime && req.body.questionInterval) {
+        intervalTime = req.body.questionInterval * 60000;
+      }
+  
+      console.log("🔍 Parsed values:", { answerTime, intervalTime });
+  
+      // Update settings
+      const success = await updateTriviaSettings(req.channelId, { answerTime, intervalTime });
+      
+      if (success) {
+        res.json({ success: true, settings: await getChannelSettings(req.channelId) });
+      } else {
+        res.status(400).json({ error: "Invalid time values" });
+      }
+    } catch (error) {
+      console.error("❌ Error updating settings:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+  
+  // Get broadcaster settings
+  app.get("/api/settings/:broadcasterId", async (req, res) => {
+    try {
+      const { broadcasterId } = req.params;
+      
+      if (!broadcasterId) {
+        return res.status(400).json({ error: "Broadcaster ID is required" });
+      }
+      
+      // Get broadcaster settings or default
+      const settings = await TriviaSettings.findByPk(broadcasterId);
+      
+      // If no settings exist, return defaults
+      if (!settings) {
+        return res.json({
+          settings: {
+            broadcaster_id: broadcasterId,
+            active_categories: [],
+            active_difficulties: ["Easy", "Medium", "Hard"],
+            allow_moderator_control: false,
+            answer_time: DEFAULT_TRIVIA_SETTINGS.answerTime,
+            interval_time: DEFAULT_TRIVIA_SETTINGS.intervalTime,
+            question_source: "both",
+            active_packs: [],
+            partial_credit: DEFAULT_TRIVIA_SETTINGS.partialCredit,
+            numeric_bonus_places: DEFAULT_TRIVIA_SETTINGS.numericBonusPlaces,
+            tag_filters: { any: [], all: [], exclude: [] }
+          }
+        });
+      }
+      
+      res.json({ settings });
+    } catch (error) {
+      console.error("❌ Error getting broadcaster settings:", error);
+      res.status(500).json({ error: "Failed to get broadcaster settings" });
+    }
+  });
+  
+  // Update broadcaster settings
+  app.post("/api/settings/:broadcasterId", requireChannelControl, async (req, res) => {
+    try {
+      const { broadcasterId } = req.params;
+      const { activeCategories, activeDifficulties, allowModeratorControl,
+              answerTime, intervalTime, questionSource, activePacks, partialCredit,
+              numericBonusPlaces, tagFilters } = req.body;
+      
+      if (!broadcasterId) {
+        return res.status(400).json({ error: "Broadcaster ID is required" });
+      }
+
+      // Settings can only be changed for the channel in the token
+      if (broadcasterId !== req.channelId) {
+        return res.status(403).json({ error: "Cannot change settings of another channel" });
+      }
+
+      // Only the broadcaster decides whether moderators get control
+      if (allowModeratorControl !== undefined && req.twitchUser.role !== 'broadcaster') {
+        return res.status(403).json({ error: "Only the broadcaster can change moderator access" });
+      }
+      
+      // Validate arrays
+      if (activeCategories && !Array.isArray(activeCategories)) {
+        return res.status(400).json({ error: "activeCategories must be an array" });
+      }
+      
+      if (activeDifficulties && !Array.isArray(activeDifficulties)) {
+        return res.status(400).json({ error: "activeDifficulties must be an array" });
+      }
+
+      if (questionSource !== undefined && !QUESTION_SOURCES.includes(questionSource)) {
+        return res.status(400).json({ error: `questionSource must be one of ${QUESTION_SOURCES.join(", ")}` });
+      }
+
+      if (partialCredit !== undefined && (!Number.isInteger(partialCredit) || partialCredit < 0 || partialCredit > 100)) {
+        return res.status(400).json({ error: "partialCredit must be a whole percentage from 0 to 100" });
+      }
+
+      if (numericBonusPlaces !== undefined && (!Number.isInteger(numericBonusPlaces) ||
+          numericBonusPlaces < 0 || numericBonusPlaces > NUMERIC_MAX_BONUS_PLACES)) {
+        return res.status(400).json({ error: `numericBonusPlaces must be a whole number from 0 to ${NUMERIC_MAX_BONUS_PLACES}` });
+      }
+
+      const tagRules = tagFilters !== undefined ? readTagFilters(tagFilters) : null;
+      if (tagRules?.error) {
+        return res.status(400).json({ error: tagRules.error });
+      }
+
+      // Packs must be the channel's own
+      if (activePacks !== undefined) {
+        if (!Array.isArray(activePacks) || !activePacks.every(Number.isInteger)) {
+          return res.status(400).json({ error: "activePacks must be an array of pack ids" });
+        }
+        const ownedPacks = await QuestionPack.count({
+          where: { id: activePacks, owner_id: broadcasterId }
+        });
+        if (ownedPacks !== new Set(activePacks).size) {
+          return res.status(400).json({ error: "activePacks contains packs that are not yours" });
+        }
+      }
+      
+      // Update or create settings, leaving fields that weren't sent untouched
+      const values = {};
+      if (activeCategories !== undefined) {
+        values.active_categories = activeCategories || [];
+      }
+      if (activeDifficulties !== undefined) {
+        values.active_difficulties = activeDifficulties || ["Easy", "Medium", "Hard"];
+      }
+      if (allowModeratorControl !== undefined) {
+        values.allow_moderator_control = !!allowModeratorControl;
+      }
+      if (questionSource !== undefined) {
+        values.question_source = questionSource;
+      }
+      if (activePacks !== undefined) {
+        values.active_packs = [...new Set(activePacks)];
+      }
+      if (partialCredit !== undefined) {
+        values.partial_credit = partialCredit;
+      }
+      if (numericBonusPlaces !== undefined) {
+        values.numeric_bonus_places = numericBonusPlaces;
+      }
+      if (tagRules) {
+        values.tag_filters = tagRules.tagFilters;
+      }
+
+      // Timing is optional, but when sent it must be a complete, valid pair
+      const hasTiming = answerTime !== undefined || intervalTime !== undefined;
+      if (hasTiming) {
+        if (!isValidTiming(answerTime, intervalTime)) {
+          return res.status(400).json({ error: "Invalid time values" });
+        }
+        values.answer_time = answerTime;
+        values.interval_time = intervalTime;
+      }
+
+      const [settings, created] = await saveBroadcasterSettings(broadcasterId, values);
+
+      // Apply new timing to the running session and tell viewers
+      if (hasTiming) {
+        const session = getChannelSession(broadcasterId);
+        session.settings.answerTime = answerTime;
+        session.settings.intervalTime = intervalTime;
+        session.settingsLoaded = true;
+        await sendSettingsUpdate(broadcasterId);
+      }
+      if (partialCredit !== undefined) {
+        getChannelSession(broadcasterId).settings.partialCredit = partialCredit;
+      }
+      if (numericBonusPlaces !== undefined) {
+        getChannelSession(broadcasterId).settings.numericBonusPlaces = numericBonusPlaces;
+      }
+      
+      // Get count of questions matching these filters
+      let whereClause = {
+        ...playableQuestionsWhere(broadcasterId, settings.question_source, settings.active_packs || [])
+      };
+      if (activeCategories?.length > 0) {
+        whereClause.category_id = await expandCategoryIds(activeCategories);
+      }
+      if (activeDifficulties?.length > 0) {
+        whereClause.difficulty = activeDifficulties;
+      }
+      whereClause = applyTagFilters(whereClause, settings.tag_filters || {});
+      
+      const count = await TriviaQuestion.count({ where: whereClause });
+      
+      res.json({
+        settings,
+        created,
+        questionCount: count,
+        message: `Settings ${created ? 'created' : 'updated'}. ${count} questions match your filters.`
+      });
+    } catch (error) {
+      console.error("❌ Error updating broadcaster settings:", error);
+      res.status(500).json({ error: "Failed to update broadcaster settings" });
+    }
+  });
+  
+  /**
+   * Categories and Difficulties Endpoints
+   */
+
+  /**
+   * Get the questions a request may see
+   * Requests with a valid extension token see what their channel draws
+   * from; anonymous requests only see the shared bank.
+   * @param {Object} req - Express request object
+   * @returns {Promise<Object>} Sequelize where clause
+   */
+  async function getRequestQuestionScope(req) {
+    const channelId = getTokenChannelId(req);
+    return channelId ? getQuestionScope(channelId) : playableQuestionsWhere(null);
+  }
+
+  /**
+   * Describe a category the way viewers see it
+   * @param {Object|null} category - QuestionCategory row, if it was loaded
+   * @param {string} id - Category id, used as the name when there is no row
+   * @returns {Object|null} id, name, icon and color, or null without an id
+   */
+  function toCategorySummary(category, id) {
+    if (!id) return null;
+    return {
+      id,
+      name: category?.name || id,
+      icon: category?.icon || null,
+      color: category?.color || null
+    };
+  }
+
+  /**
+   * Load every category with its place in the category tree
+   * A shared category only counts as sitting under a parent that is shared
+   * too, so no channel's private category shows up in someone else's tree.
+   * @returns {Promise<{byId: Map<string, Object>, children: Map<string, string[]>}>}
+   *   Categories by id and the ids of each category's children
+   */
+  async function loadCategoryTree() {
+    const categories = await QuestionCategory.findAll({
+      attributes: ["id", "name", "description", "icon", "color", "owner_id", "parent_id"]
+    });
+    const byId = new Map(categories.map(category => [category.id, category]));
+    const children = new Map();
+
+    categories.forEach(category => {
+      const parent = byId.get(category.parent_id);
+      if (!parent || (!category.owner_id && parent.owner_id)) return;
+
+      if (!children.has(parent.id)) children.set(parent.id, []);
+      children.get(parent.id).push(category.id);
+    });
+
+    return { byId, children };
+  }
+
+  /**
+   * Get a category together with everything nested under it
+   * @param {Map<string, string[]>} children - Child ids by category id
+   * @param {string} id - Category at the top of the subtree
+   * @returns {string[]} The category id followed by all its descendants
+   */
+  function collectCategorySubtree(children, id) {
+    const subtree = [id];
+    for (let i = 0; i < subtree.length; i++) {
+      (children.get(subtree[i]) || []).forEach(childId => {
+        if (!subtree.includes(childId)) subtree.push(childId);
+      });
+    }
+    return subtree;
+  }
+
+  /**
+   * Expand selected categories to include all their subcategories
+   * Picking "Elder Scrolls" then also asks questions filed under
+   * "Skyrim" and "Daedra" below it.
+   * @param {string[]} ids - Selected category ids
+   * @returns {Promise<string[]>} The selected ids and all their descendants
+   */
+  async function expandCategoryIds(ids = []) {
+    if (!ids || ids.length === 0) return [];
+
+    const { children } = await loadCategoryTree();
+    return [...new Set(ids.flatMap(id => collectCategorySubtree(children, id)))];
+  }
+
+  /**
+   * Count questions per category
+   * Parents are listed even without questions of their own so the filter
+   * can show the whole tree; totalCount includes every subcategory.
+   * @param {Object} scope - Sequelize where clause limiting the questions
+   * @returns {Promise<Object[]>} Categories with id, name, parentId, description, icon, color,
+   *   questionCount and totalCount
+   */
+  async function countQuestionsByCategory(scope) {
+    const rows = await TriviaQuestion.findAll({
+      attributes: ["category_id", [sequelize.fn("COUNT", sequelize.col("id")), "questionCount"]],
+      where: scope,
+      group: ["category_id"],
+      raw: true
+    });
+    const direct = new Map(rows.map(row => [row.category_id, Number(row.questionCount)]));
+
+    const { byId, children } = await loadCategoryTree();
+    const parentOf = new Map();
+    children.forEach((childIds, parentId) => childIds.forEach(childId => parentOf.set(childId, parentId)));
+
+    const listed = new Set();
+    direct.forEach((count, id) => {
+      for (let current = id; current && !listed.has(current); current = parentOf.get(current)) {
+        listed.add(current);
+      }
+    });
+
+    return [...listed]
+      .map(id => ({
+        ...toCategorySummary(byId.get(id), id),
+        parentId: parentOf.get(id) || null,
+        description: byId.get(id)?.description || null,
+        questionCount: direct.get(id) || 0,
+        totalCount: collectCategorySubtree(children, id).reduce((sum, childId) => sum + (direct.get(childId) || 0), 0)
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Count questions per difficulty
+   * @param {Object} scope - Sequelize where clause limiting the questions
+   * @returns {Promise<Object[]>} Difficulties with their question count
+   */
+  async function countQuestionsByDifficulty(scope) {
+    const rows = await TriviaQuestion.findAll({
+      attributes: ["difficulty", [sequelize.fn("COUNT", sequelize.col("id")), "count"]],
+      where: scope,
+      group: ["difficulty"],
+      order: sequelize.literal("FIELD(difficulty, 'Easy', 'Medium', 'Hard')"),
+      raw: true
+    });
+
+    return rows.map(row => ({ difficulty: row.difficulty, count: Number(row.count) }));
+  }
+  
+  // Get all available categories
+  app.get("/api/categories", async (req, res) => {
+    // Set explicit CORS headers to make sure they're properly applied
+    res.header('Access-Control-Allow-Origin', '*');
+    res.header('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    
+    try {
+      console.log(`🔍 Getting categories from database...`);
+      
+      // Count questions in each category the caller's channel can draw from
+      const categoriesWithCounts = await countQuestionsByCategory(await getRequestQuestionScope(req));
+      
+      if (categoriesWithCounts.length === 0) {
+        console.log("⚠️ No categories found in database");
+        return res.json({ categories: [] });
+      }
+      
+      console.log(`✅ Returning ${categoriesWithCounts.length} categories with counts`);
+      res.json({ categories: categoriesWithCounts });
+    } catch (error) {
+      console.error("❌ Error getting categories:", error);
+      res.status(500).json({ error: "Failed to get categories", message: error.message });
+    }
+  });
+  
+  /**
+   * Category Management API
+   * A category belongs to the one channel whose custom questions use it;
+   * shared categories (in the shared bank or used by several channels)
+   * belong to the extension owner, like shared questions.
+   */
+  const CATEGORY_ICON_MAX_LENGTH = 16;
+  const CATEGORY_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+  /**
+   * Categories a channel can see: its own and the shared ones
+   * @param {string} channelId - Channel ID
+   * @returns {Object} Sequelize where clause
+   */
+  function visibleCategoriesWhere(channelId) {
+    return { [Sequelize.Op.or]: [{ owner_id: null }, { owner_id: channelId }] };
+  }
+
+  /**
+   * Check whether a channel may change a category
+   * @param {Object} category - QuestionCategory row
+   * @param {string} channelId - Channel making the change
+   * @returns {boolean} True if the channel may manage the category
+   */
+  function canManageCategory(category, channelId) {
+    return category.owner_id
+      ? category.owner_id === channelId
+      : channelId === String(EXT_OWNER_ID);
+  }
+
+  /**
+   * Make sure categories exist before questions are saved into them
+   * Missing ones are created for the questions' owner; a channel's category
+   * that now also holds someone else's questions becomes shared.
+   * @param {string[]} ids - Category ids the questions use
+   * @param {?string} ownerId - Owner of the questions (null for the shared bank)
+   * @param {Object} [transaction] - Sequelize transaction
+   * @returns {Promise<void>}
+   */
+  async function ensureQuestionCategories(ids, ownerId, transaction) {
+    const unique = [...new Set(ids.filter(Boolean))];
+    if (unique.length === 0) return;
+
+    await QuestionCategory.bulkCreate(
+      unique.map(id => ({ id, name: id, owner_id: ownerId || null })),
+      { ignoreDuplicates: true, transaction }
+    );
+    await QuestionCategory.update({ owner_id: null }, {
+      where: {
+        id: unique,
+        owner_id: ownerId ? { [Sequelize.Op.ne]: ownerId } : { [Sequelize.Op.ne]: null }
+      },
+      transaction
+    });
+  }
+
+  /**
+   * Validate category fields from a request body
+   * Fields left out of the body are left out of the result.
+   * @param {Object} body - Request body with name, description, icon, color and parent_id
+   * @returns {{values: Object}|{error: string}} - Clean values or the reason they were rejected
+   */
+  function validateCategoryValues(body = {}) {
+    const values = {};
+    const optional = value => value === null || String(value).trim() === "" ? null : String(value).trim();
+
+    if (body.name !== undefined) {
+      const name = String(body.name ?? "").trim();
+      if (!name) return { error: "Category name is required" };
+      if (name.length > 100) return { error: "Category name is too long (max 100 characters)" };
+      values.name = name;
+    }
+    if (body.description !== undefined) {
+      values.description = optional(body.description);
+    }
+    if (body.icon !== undefined) {
+      values.icon = optional(body.icon);
+      if (values.icon && values.icon.length > CATEGORY_ICON_MAX_LENGTH) {
+        return { error: `Icon is too long (max ${CATEGORY_ICON_MAX_LENGTH} characters)` };
+      }
+    }
+    if (body.color !== undefined) {
+      values.color = optional(body.color);
+      if (values.color && !CATEGORY_COLOR_PATTERN.test(values.color)) {
+        return { error: "Color must be a hex color like #3366ff" };
+      }
+      if (values.color) values.color = values.color.toLowerCase();
+    }
+    if (body.parent_id !== undefined) {
+      values.parent_id = optional(body.parent_id);
+    }
+
+    return { values };
+  }
+
+  /**
+   * Check that a category may be moved under a new parent
+   * @param {Object} category - QuestionCategory being moved
+   * @param {?string} parentId - New parent id, or null for top level
+   * @param {string} channelId - Channel making the change
+   * @returns {Promise<?string>} The reason the move is refused, or null if it is allowed
+   */
+  async function checkCategoryParent(category, parentId, channelId) {
+    if (!parentId) return null;
+
+    const parent = await QuestionCategory.findOne({
+      where: { ...visibleCategoriesWhere(channelId), id: parentId }
+    });
+    if (!parent) return "Parent category not found";
+    if (!category.owner_id && parent.owner_id) {
+      return "A shared category can only sit under another shared category";
+    }
+
+    const { children } = await loadCategoryTree();
+    if (collectCategorySubtree(children, category.id).includes(parent.id)) {
+      return "A category can't sit under itself or one of its subcategories";
+    }
+    return null;
+  }
+
+  /**
+   * Load a category the channel may manage by the :id route parameter
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<Object|null>} - The category, or null once a 404/403 has been sent
+   */
+  async function findCategoryParam(req, res) {
+    const category = await QuestionCategory.findOne({
+      where: { ...visibleCategoriesWhere(req.channelId), id: req.params.id }
+    });
+    if (!category) {
+      res.status(404).json({ error: "Category not found" });
+      return null;
+    }
+    if (!canManageCategory(category, req.channelId)) {
+      res.status(403).json({ error: "Shared categories can only be changed by the extension owner" });
+      return null;
+    }
+    return category;
+  }
+
+  /**
+   * Swap a category in every channel's category filter
+   * @param {string} oldId - Category being merged or deleted
+   * @param {?string} newId - Category taking its place, or null to drop it
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<void>}
+   */
+  async function replaceActiveCategory(oldId, newId, transaction) {
+    const settingsList = await TriviaSettings.findAll({
+      where: Sequelize.where(
+        Sequelize.fn("JSON_CONTAINS", Sequelize.col("active_categories"), JSON.stringify(oldId)), 1
+      ),
+      transaction
+    });
+
+    for (const settings of settingsList) {
+      const categories = settings.active_categories.map(id => id === oldId ? newId : id).filter(Boolean);
+      await settings.update({ active_categories: [...new Set(categories)] }, { transaction });
+    }
+  }
+
+  // List the categories the channel can see, with question counts and what it may change
+  app.get("/api/categories/manage", requireChannelControl, async (req, res) => {
+    try {
+      const categories = await QuestionCategory.findAll({
+        where: visibleCategoriesWhere(req.channelId),
+        order: [["name", "ASC"]]
+      });
+
+      const counts = await TriviaQuestion.findAll({
+        attributes: ["category_id", [sequelize.fn("COUNT", sequelize.col("id")), "count"]],
+        where: { ...visibleQuestionsWhere(req.channelId), category_id: categories.map(category => category.id) },
+        group: ["category_id"],
+        raw: true
+      });
+      const countByCategory = Object.fromEntries(counts.map(row => [row.category_id, Number(row.count)]));
+
+      res.json({
+        categories: categories.map(category => ({
+          ...category.get({ plain: true }),
+          questionCount: countByCategory[category.id] || 0,
+          editable: canManageCategory(category, req.channelId)
+        }))
+      });
+    } catch (error) {
+      console.error("❌ Error listing categories:", error);
+      res.status(500).json({ error: "Failed to list categories" });
+    }
+  });
+
+  // Rename a category, change its description, icon or color, or move it under another one
+  app.put("/api/categories/:id", requireChannelControl, async (req, res) => {
+    const { values, error } = validateCategoryValues(req.body);
+    if (error) return res.status(400).json({ error });
+
+    try {
+      const category = await findCategoryParam(req, res);
+      if (!category) return;
+
+      if (values.parent_id !== undefined) {
+        const parentError = await checkCategoryParent(category, values.parent_id, req.channelId);
+        if (parentError) return res.status(400).json({ error: parentError });
+      }
+
+      await category.update(values);
+      console.log(`🏷️ Category ${category.id} updated by channel ${req.channelId}`);
+      res.json({ success: true, category });
+    } catch (err) {
+      console.error("❌ Error updating category:", err);
+      res.status(500).json({ error: "Failed to update category" });
+    }
+  });
+
+  /**
+   * Merge a category into another one
+   * Body: into (id of the category to keep). Every question and subcategory
+   * moves across, channel filters follow, and the merged category is deleted.
+   */
+  app.post("/api/categories/:id/merge", requireChannelControl, async (req, res) => {
+    const targetId = String(req.body.into ?? "").trim();
+
+    try {
+      const category = await findCategoryParam(req, res);
+      if (!category) return;
+
+      if (!targetId || targetId === category.id) {
+        return res.status(400).json({ error: "Choose another category to merge into" });
+      }
+      const target = await QuestionCategory.findOne({
+        where: { ...visibleCategoriesWhere(req.channelId), id: targetId }
+      });
+      if (!target) {
+        return res.status(404).json({ error: "Category to merge into not found" });
+      }
+
+      // Merging into one of its own subcategories first lifts that one out of the way
+      const { children } = await loadCategoryTree();
+      const targetIsNested = collectCategorySubtree(children, category.id).includes(target.id);
+
+      let moved = 0;
+      await sequelize.transaction(async (transaction) => {
+        [moved] = await TriviaQuestion.update(
+          { category_id: target.id },
+          { where: { category_id: category.id }, transaction }
+        );
+        if (targetIsNested) {
+          await target.update({ parent_id: category.parent_id }, { transaction });
+        }
+        await QuestionCategory.update(
+          { parent_id: target.id },
+          { where: { parent_id: category.id, id: { [Sequelize.Op.ne]: target.id } }, transaction }
+        );
+        // Questions from another owner make the merged category shared
+        if (target.owner_id && target.owner_id !== category.owner_id) {
+          await target.update({ owner_id: null }, { transaction });
+        }
+        await replaceActiveCategory(category.id, target.id, transaction);
+        await category.destroy({ transaction });
+      });
+
+      console.log(`🏷️ Category ${category.id} merged into ${target.id} (${moved} questions) by channel ${req.channelId}`);
+      res.json({ success: true, id: category.id, into: target.id, moved });
+    } catch (error) {
+      console.error("❌ Error merging categories:", error);
+      res.status(500).json({ error: "Failed to merge categories" });
+    }
+  });
+
+  // Delete a category that no longer has any questions; its subcategories move up a level
+  app.delete("/api/categories/:id", requireChannelControl, async (req, res) => {
+    try {
+      const category = await findCategoryParam(req, res);
+      if (!category) return;
+
+      const questionCount = await TriviaQuestion.count({ where: { category_id: category.id } });
+      if (questionCount > 0) {
+        return res.status(409).json({
+          error: `Category still has ${questionCount} questions; merge it into another category first`
+        });
+      }
+
+      await sequelize.transaction(async (transaction) => {
+        await QuestionCategory.update(
+          { parent_id: category.parent_id },
+          { where: { parent_id: category.id }, transaction }
+        );
+        await replaceActiveCategory(category.id, null, transaction);
+        await category.destroy({ transaction });
+      });
+
+      console.log(`🗑️ Category ${category.id} deleted by channel ${req.channelId}`);
+      res.json({ success: true, id: category.id });
+    } catch (error) {
+      console.error("❌ Error deleting category:", error);
+      res.status(500).json({ error: "Failed to delete category" });
+    }
+  });
+  
+  /**
+   * Question Tags
+   * Tags are shared names; a channel only ever sees the tags on questions
+   * it can see.
+   */
+  const TAG_NAME_MAX_LENGTH = 50;
+  const TAG_NAME_PATTERN = /^[a-z0-9][a-z0-9:_-]*$/;
+  const MAX_TAGS_PER_QUESTION = 20;
+
+  // Tag rules a channel can filter questions by: tagged with any of the
+  // tags, tagged with all of them, or tagged with none of them
+  const TAG_FILTER_RULES = ["any", "all", "exclude"];
+
+  /**
+   * Read a list of tag names
+   * Names are lowercased and spaces become dashes, so "Voice Lines" is voice-lines.
+   * @param {string|string[]} input - Array of names, or names separated by commas or |
+   * @returns {{tags: string[]}|{error: string}} - Unique clean names or the reason they were rejected
+   */
+  function readTagList(input) {
+    if (input === null || input === undefined || input === "") return { tags: [] };
+
+    const parts = Array.isArray(input) ? input : String(input).split(/[,|]/);
+    const tags = [...new Set(parts.map(part => String(part ?? "").trim().toLowerCase().replace(/\s+/g, "-")).filter(Boolean))];
+
+    const invalid = tags.find(tag => tag.length > TAG_NAME_MAX_LENGTH || !TAG_NAME_PATTERN.test(tag));
+    if (invalid) {
+      return { error: `Invalid tag "${invalid}" (letters, numbers, ":", "_" and "-", up to ${TAG_NAME_MAX_LENGTH} characters)` };
+    }
+    return { tags };
+  }
+
+  /**
+   * Read the tags for one question
+   * @param {string|string[]} input - Tag names
+   * @returns {{tags: string[]}|{error: string}} - Clean names or the reason they were rejected
+   */
+  function readQuestionTags(input) {
+    const result = readTagList(input);
+    if (result.tags?.length > MAX_TAGS_PER_QUESTION) {
+      return { error: `A question can have at most ${MAX_TAGS_PER_QUESTION} tags` };
+    }
+    return result;
+  }
+
+  /**
+   * Read a channel's tag filter rules
+   * @param {Object} input - any, all and exclude lists of tag names
+   * @returns {{tagFilters: Object}|{error: string}} - Clean rules or the reason they were rejected
+   */
+  function readTagFilters(input) {
+    if (input === null || input === undefined) {
+      return { tagFilters: { any: [], all: [], exclude: [] } };
+    }
+    if (typeof input !== "object" || Array.isArray(input)) {
+      return { error: "tagFilters must be an object with any, all and exclude lists" };
+    }
+
+    const tagFilters = {};
+    for (const rule of TAG_FILTER_RULES) {
+      const { tags, error } = readTagList(input[rule]);
+      if (error) return { error: `tagFilters.${rule}: ${error}` };
+      tagFilters[rule] = tags;
+    }
+    return { tagFilters };
+  }
+
+  /**
+   * Add tag rules to a question where clause
+   * @param {Object} where - Sequelize where clause for TriviaQuestion
+   * @param {Object} tagFilters - any, all and exclude lists of tag names
+   * @returns {Object} The where clause with the tag rules added
+   */
+  function applyTagFilters(where, tagFilters = {}) {
+    const taggedWith = names => `SELECT l.question_id FROM question_tag_links l ` +
+      `JOIN question_tags t ON t.id = l.tag_id ` +
+      `WHERE t.name IN (${names.map(name => sequelize.escape(name)).join(", ")})`;
+
+    const conditions = [];
+    if (tagFilters.any?.length > 0) {
+      conditions.push({ id: { [Sequelize.Op.in]: sequelize.literal(`(${taggedWith(tagFilters.any)})`) } });
+    }
+    if (tagFilters.all?.length > 0) {
+      conditions.push({ id: { [Sequelize.Op.in]: sequelize.literal(
+        `(${taggedWith(tagFilters.all)} GROUP BY l.question_id HAVING COUNT(DISTINCT t.id) = ${tagFilters.all.length})`
+      ) } });
+    }
+    if (tagFilters.exclude?.length > 0) {
+      conditions.push({ id: { [Sequelize.Op.notIn]: sequelize.literal(`(${taggedWith(tagFilters.exclude)})`) } });
+    }
+
+    if (conditions.length === 0) return where;
+    return { ...where, [Sequelize.Op.and]: [...(where[Sequelize.Op.and] || []), ...conditions] };
+  }
+
+  /**
+   * Replace the tags on questions
+   * @param {number[]} questionIds - Questions to tag
+   * @param {string[]} names - Clean tag names (see readTagList); empty removes every tag
+   * @param {Object} [transaction] - Sequelize transaction
+   * @returns {Promise<void>}
+   */
+  async function setQuestionTags(questionIds, names, transaction) {
+    await QuestionTagLink.destroy({ where: { question_id: questionIds }, transaction });
+    if (names.length === 0) return;
+
+    await QuestionTag.bulkCreate(names.map(name => ({ name })), { ignoreDuplicates: true, transaction });
+    const tags = await QuestionTag.findAll({ where: { name: names }, transaction });
+    await QuestionTagLink.bulkCreate(
+      questionIds.flatMap(questionId => tags.map(tag => ({ question_id: questionId, tag_id: tag.id }))),
+      { transaction }
+    );
+  }
+
+  /**
+   * Load the tags of a set of questions
+   * @param {number[]} questionIds - Question ids
+   * @returns {Promise<Map<number, string[]>>} Question id -> sorted tag names
+   */
+  async function loadQuestionTags(questionIds) {
+    const tagsByQuestion = new Map();
+    if (questionIds.length === 0) return tagsByQuestion;
+
+    const links = await QuestionTagLink.findAll({ where: { question_id: questionIds }, raw: true });
+    const tags = await QuestionTag.findAll({ where: { id: [...new Set(links.map(link => link.tag_id))] } });
+    const nameById = new Map(tags.map(tag => [tag.id, tag.name]));
+
+    links.forEach(link => {
+      if (!tagsByQuestion.has(link.question_id)) tagsByQuestion.set(link.question_id, []);
+      tagsByQuestion.get(link.question_id).push(nameById.get(link.tag_id));
+    });
+    tagsByQuestion.forEach(names => names.sort());
+    return tagsByQuestion;
+  }
+
+  // List the tags on the questions the channel can see, with how many questions carry each
+  app.get("/api/tags", requireChannelControl, async (req, res) => {
+    try {
+      const rows = await QuestionTag.findAll({
+        attributes: ["name", [sequelize.fn("COUNT", sequelize.col("questions.id")), "questionCount"]],
+        include: [{
+          model: TriviaQuestion,
+          as: "questions",
+          where: visibleQuestionsWhere(req.channelId),
+          attributes: [],
+          through: { attributes: [] }
+        }],
+        group: ["QuestionTag.id"],
+        order: [["name", "ASC"]],
+        raw: true
+      });
+
+      res.json({ tags: rows.map(row => ({ name: row.name, questionCount: Number(row.questionCount) })) });
+    } catch (error) {
+      console.error("❌ Error listing tags:", error);
+      res.status(500).json({ error: "Failed to list tags" });
+    }
+  });
+  
+  // Get all available difficulties
+  app.get("/api/difficulties", async (req, res) => {
+    try {
+      // Count questions in each difficulty the caller's channel can draw from
+      const difficulties = await countQuestionsByDifficulty(await getRequestQuestionScope(req));
+      
+      res.json({ difficulties });
+    } catch (error) {
+      console.error("❌ Error getting difficulties:", error);
+      res.status(500).json({ error: "Failed to get difficulties" });
+    }
+  });
+  
+  // Get sample questions matching filters
+  app.get("/api/sample-questions", async (req, res) => {
+    try {
+      const { categories, difficulties, anyTags, allTags, excludeTags, limit = 5 } = req.query;
+      
+      // Parse filter parameters
+      const categoryFilter = categories ? categories.split(',') : [];
+      const difficultyFilter = difficulties ? difficulties.split(',') : [];
+      const { tagFilters, error } = readTagFilters({ any: anyTags, all: allTags, exclude: excludeTags });
+      if (error) return res.status(400).json({ error });
+      
+      // Get sample questions
+      const questions = await loadQuestionsFromDB(
+        categoryFilter.length > 0 ? await expandCategoryIds(categoryFilter) : undefined,
+        difficultyFilter.length > 0 ? difficultyFilter : undefined,
+        await getRequestQuestionScope(req),
+        tagFilters
+      );
+      
+      // Limit the number of questions returned
+      const limitedQuestions = questions.slice(0, parseInt(limit));
+      
+      // Map to simplified format for preview
+      const formattedQuestions = limitedQuestions.map(q => ({
+        id: q.id,
+        question: q.question,
+        category: q.categoryId,
+        difficulty: q.difficulty
+      }));
+      
+      res.json({
+        questions: formattedQuestions,
+        totalMatching: questions.length,
+        filters: {
+          categories: categoryFilter,
+          difficulties: difficultyFilter,
+          tags: tagFilters
+        }
+      });
+    } catch (error) {
+      console.error("❌ Error getting sample questions:", error);
+      res.status(500).json({ error: "Failed to get sample questions" });
+    }
+  });
+  
+  /**
+   * Question Ownership
+   */
+
+  /**
+   * Check whether a channel may change or delete a question
+   * Channels manage their own questions; the shared bank belongs to the extension owner.
+   * @param {Object} question - TriviaQuestion row
+   * @param {string} channelId - Channel making the change
+   * @returns {boolean} True if the channel may manage the question
+   */
+  function canManageQuestion(question, channelId) {
+    return question.owner_id
+      ? question.owner_id === channelId
+      : channelId === String(EXT_OWNER_ID);
+  }
+
+  /**
+   * Work out the owner and pack for questions a channel is adding
+   * @param {string} channelId - Channel adding the questions
+   * @param {Object} options - shared (add to the shared bank) and packId
+   * @returns {Promise<{owner_id: ?string, pack_id: ?number}|{error: string}>} Ownership values or the reason they were refused
+   */
+  async function resolveQuestionOwnership(channelId, { shared = false, packId = null } = {}) {
+    const hasPack = packId !== null && packId !== undefined && packId !== "";
+    const pack_id = hasPack ? Number(packId) : null;
+    if (hasPack && !Number.isInteger(pack_id)) {
+      return { error: "Invalid pack id" };
+    }
+
+    if (shared) {
+      if (channelId !== String(EXT_OWNER_ID)) {
+        return { error: "Only the extension owner can add to the shared bank" };
+      }
+      if (hasPack) {
+        return { error: "Shared questions cannot belong to a pack" };
+      }
+      return { owner_id: null, pack_id: null };
+    }
+
+    if (hasPack) {
+      const pack = await QuestionPack.findOne({ where: { id: pack_id, owner_id: channelId } });
+      if (!pack) return { error: "Pack not found" };
+    }
+
+    return { owner_id: channelId, pack_id };
+  }
+
+  /**
+   * CSV Upload Route
+   */
+  const CSV_UPLOAD_MAX_BYTES = 2 * 1024 * 1024;
+  const upload = multer({ dest: "uploads/", limits: { fileSize: CSV_UPLOAD_MAX_BYTES } });
+
+  // Accepted header names for each question field in an uploaded CSV
+  const CSV_COLUMN_ALIASES = {
+    question: ["question"],
+    correct_answer: ["correct_answer", "correct", "answer"],
+    wrong_answer1: ["wrong_answer1", "wrong1", "incorrect1"],
+    wrong_answer2: ["wrong_answer2", "wrong2", "incorrect2"],
+    wrong_answer3: ["wrong_answer3", "wrong3", "incorrect3"],
+    wrong_answer4: ["wrong_answer4", "wrong4", "incorrect4"],
+    wrong_answer5: ["wrong_answer5", "wrong5", "incorrect5"],
+    category: ["category", "category_id"],
+    difficulty: ["difficulty"],
+    question_type: ["type", "question_type"],
+    accepted_answers: ["accepted_answers", "aliases"],
+    numeric_range: ["numeric_range", "range"],
+    explanation: ["explanation", "explain"],
+    source: ["source", "lore_source"],
+    tags: ["tags", "tag"]
+  };
+
+  // Column order used when a CSV has no header row (the legacy format)
+  const CSV_POSITIONAL_COLUMNS = [
+    "question", "correct_answer", "wrong_answer1", "wrong_answer2",
+    "wrong_answer3", "category", "difficulty"
+  ];
+
+  /**
+   * Work out which column holds which field from a CSV's first row
+   * @param {string[]} firstRow - First parsed record of the file
+   * @returns {Object|null} - Map of field name to column index, or null if the row is not a header
+   */
+  function detectCsvHeader(firstRow) {
+    const headers = firstRow.map(cell => String(cell).trim().toLowerCase().replace(/\s+/g, "_"));
+    if (!headers.includes("question")) return null;
+
+    const columns = {};
+    for (const [field, aliases] of Object.entries(CSV_COLUMN_ALIASES)) {
+      const index = headers.findIndex(header => aliases.includes(header));
+      if (index !== -1) columns[field] = index;
+    }
+    return columns;
+  }
+
+  /**
+   * Question Similarity
+   * Catches the same question worded slightly differently: texts are compared
+   * after normalising case, accents, punctuation and whitespace, then by how
+   * many meaningful words they share (Jaccard overlap of their token sets).
+   */
+  const DUPLICATE_SIMILARITY_THRESHOLD = 0.75;
+
+  // Shorter questions only count as duplicates when their normalised text matches exactly
+  const MIN_FUZZY_TOKENS = 3;
+
+  // Words too common to say anything about whether two questions match
+  const QUESTION_STOPWORDS = new Set([
+    "a", "an", "the", "of", "in", "on", "at", "to", "for", "by", "with", "from",
+    "and", "or", "is", "are", "was", "were", "be", "does", "do", "did",
+    "what", "which", "who", "whom", "whose", "this", "that", "these", "those"
+  ]);
+
+  /**
+   * Normalise question text for comparison
+   * @param {string} text - Question text
+   * @returns {string} Lower-case text without accents or punctuation, single-spaced
+   */
+  function normalizeQuestionText(text) {
+    return String(text || "")
+      .normalize("NFKD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}\s]/gu, " ")
+      .replace(/\s+/g, " ")
+      .trim();
+  }
+
+  /**
+   * Create an empty lookup of questions to check new text against
+   * @returns {Object} Question similarity index
+   */
+  function createQuestionIndex() {
+    return { byNormalized: new Map(), byToken: new Map() };
+  }
+
+  /**
+   * Break question text into its comparable parts
+   * @param {string} text - Question text
+   * @returns {{normalized: string, tokens: Set<string>}} Normalised text and meaningful words
+   */
+  function prepareQuestionText(text) {
+    const normalized = normalizeQuestionText(text);
+    const tokens = new Set(normalized.split(" ").filter(token => token && !QUESTION_STOPWORDS.has(token)));
+    return { normalized, tokens };
+  }
+
+  /**
+   * Add a question to a similarity index
+   * @param {Object} index - Index from createQuestionIndex()
+   * @param {Object} item - Anything with a question property (id, row, ...)
+   * @returns {Object} The indexed entry
+   */
+  function addToQuestionIndex(index, item) {
+    const entry = { ...item, ...prepareQuestionText(item.question) };
+
+    if (!index.byNormalized.has(entry.normalized)) {
+      index.byNormalized.set(entry.normalized, []);
+    }
+    index.byNormalized.get(entry.normalized).push(entry);
+
+    entry.tokens.forEach(token => {
+      if (!index.byToken.has(token)) index.byToken.set(token, []);
+      index.byToken.get(token).push(entry);
+    });
+
+    return entry;
+  }
+
+  /**
+   * Find indexed questions that are likely duplicates of some text
+   * @param {Object} index - Index from createQuestionIndex()
+   * @param {string} text - Question text to check
+   * @returns {Array<{entry: Object, similarity: number}>} Matches, most similar first (1 = same normalised text)
+   */
+  function findSimilarQuestions(index, text) {
+    const target = prepareQuestionText(text);
+    const matches = new Map();
+
+    (index.byNormalized.get(target.normalized) || []).forEach(entry => matches.set(entry, 1));
+
+    if (target.tokens.size >= MIN_FUZZY_TOKENS) {
+      // Count shared words per candidate, then score by overlap
+      const sharedCounts = new Map();
+      target.tokens.forEach(token => {
+        (index.byToken.get(token) || []).forEach(entry => {
+          sharedCounts.set(entry, (sharedCounts.get(entry) || 0) + 1);
+        });
+      });
+
+      sharedCounts.forEach((shared, entry) => {
+        if (matches.has(entry) || entry.tokens.size < MIN_FUZZY_TOKENS) return;
+
+        const similarity = shared / (target.tokens.size + entry.tokens.size - shared);
+        if (similarity >= DUPLICATE_SIMILARITY_THRESHOLD) {
+          matches.set(entry, similarity);
+        }
+      });
+    }
+
+    return [...matches]
+      .map(([entry, similarity]) => ({ entry, similarity: Math.round(similarity * 100) / 100 }))
+      .sort((a, b) => b.similarity - a.similarity);
+  }
+
+  /**
+   * Describe an existing question a new one looks like
+   * @param {{entry: Object, similarity: number}} match - Result from findSimilarQuestions()
+   * @returns {Object} id, question text, similarity and a link to the row
+   */
+  function describeDuplicate({ entry, similarity }) {
+    return {
+      id: entry.id,
+      question: entry.question,
+      similarity,
+      link: `/api/questions/${entry.id}`
+    };
+  }
+
+  /**
+   * Load the questions in a scope into a similarity index
+   * @param {Object} scope - Sequelize where clause
+   * @returns {Promise<Object>} Question similarity index
+   */
+  async function loadQuestionIndex(scope) {
+    const index = createQuestionIndex();
+    const questions = await TriviaQuestion.findAll({
+      where: scope,
+      attributes: ["id", "question"],
+      raw: true
+    });
+    questions.forEach(question => addToQuestionIndex(index, question));
+    return index;
+  }
+
+  /**
+   * Read a choice question's choices from editor or legacy input
+   * The editor sends choices as [{ text, correct }]. CSV rows and older
+   * clients send correct_answer plus wrong_answer1-5 instead, where a
+   * multi_select correct_answer may list several answers separated by "|".
+   * Blank choices are rejected. The only exception is trailing wrong_answer
+   * fields, which are simply left unused by questions with fewer choices.
+   * @param {Object} input - Raw question fields
+   * @param {string} type - multiple_choice or multi_select
+   * @returns {{choices: {text: string, correct: boolean}[]}|{error: string}} - Choices or why they were rejected
+   */
+  function readQuestionChoices(input, type) {
+    const text = value => (value === null || value === undefined) ? "" : String(value).trim();
+
+    if (Array.isArray(input.choices)) {
+      const choices = input.choices.map(choice => ({ text: text(choice?.text), correct: choice?.correct === true }));
+      const blank = choices.findIndex(choice => !choice.text);
+      if (blank !== -1) {
+        return { error: `Choice ${blank + 1} is empty` };
+      }
+      return { choices };
+    }
+
+    const correctAnswers = type === "multi_select"
+      ? text(input.correct_answer).split("|").map(text)
+      : [text(input.correct_answer)];
+    if (correctAnswers.some(answer => !answer)) {
+      return { error: correctAnswers.length > 1 ? "Empty answer in correct_answer" : "Missing correct_answer" };
+    }
+
+    const wrongAnswers = WRONG_ANSWER_FIELDS.map(field => text(input[field]));
+    // wrong_answer1 is always needed; after that only gaps before a filled field are errors
+    const lastFilled = wrongAnswers.reduce((last, answer, i) => answer ? i : last, -1);
+    const missing = WRONG_ANSWER_FIELDS.filter((field, i) => !wrongAnswers[i] && (i === 0 || i < lastFilled));
+    if (missing.length > 0) {
+      return { error: `Missing ${missing.join(", ")}` };
+    }
+
+    return {
+      choices: [
+        ...correctAnswers.map(answer => ({ text: answer, correct: true })),
+        ...wrongAnswers.filter(Boolean).map(answer => ({ text: answer, correct: false }))
+      ]
+    };
+  }
+
+  /**
+   * Validate question fields and normalise them for TriviaQuestion
+   * Shared by the CSV import and the question editor API.
+   * Choice questions carry 2-6 choices, exactly one of them correct for
+   * multiple_choice and at least one for multi_select. Free-text questions
+   * take accepted_answers as an array or a "|"-separated string. Numeric
+   * questions need a number as the correct answer and may set numeric_range.
+   * Any question may carry an explanation and source shown on reveal.
+   * @param {Object} input - question, question_type, choices (or correct_answer and
+   *   wrong_answer1-5), accepted_answers, numeric_range, category_id, difficulty,
+   *   explanation, source
+   * @returns {{values: Object}|{error: string}} - Clean values or the reason they were rejected
+   */
+  function validateQuestionValues(input) {
+    const text = value => (value === null || value === undefined) ? "" : String(value).trim();
+    const values = {
+      question: text(input.question),
+      question_type: text(input.question_type).toLowerCase() || "multiple_choice",
+      correct_answer: text(input.correct_answer),
+      choices: null,
+      accepted_answers: [],
+      numeric_range: null,
+      category_id: text(input.category_id),
+      difficulty: text(input.difficulty),
+      explanation: text(input.explanation) || null,
+      source: text(input.source) || null
+    };
+
+    if (!QUESTION_TYPES.includes(values.question_type)) {
+      return { error: `Unknown question type "${values.question_type}" (expected ${QUESTION_TYPES.join(", ")})` };
+    }
+    const isChoice = CHOICE_QUESTION_TYPES.includes(values.question_type);
+    const isFreeText = values.question_type === "free_text";
+    const isNumeric = values.question_type === "numeric";
+
+    // Choice questions take their correct answer from the choices
+    const answerFields = isChoice ? [] : ["correct_answer"];
+    const missing = ["question", ...answerFields].filter(name => !values[name]);
+    if (missing.length > 0) {
+      return { error: `Missing ${missing.join(", ")}` };
+    }
+    if (!values.category_id) {
+      return { error: "Missing category" };
+    }
+
+    const tooLong = [...answerFields, "category_id", "source"].filter(name => (values[name] || "").length > 255);
+    if (tooLong.length > 0) {
+      return { error: `Too long (max 255 characters): ${tooLong.join(", ")}` };
+    }
+    if ((values.explanation || "").length > QUESTION_EXPLANATION_MAX_LENGTH) {
+      return { error: `Too long (max ${QUESTION_EXPLANATION_MAX_LENGTH} characters): explanation` };
+    }
+
+    if (isChoice) {
+      const { choices, error: choiceError } = readQuestionChoices(input, values.question_type);
+      if (choiceError) return { error: choiceError };
+      const correctCount = choices.filter(choice => choice.correct).length;
+
+      if (choices.length < MIN_QUESTION_CHOICES || choices.length > MAX_QUESTION_CHOICES) {
+        return { error: `Needs ${MIN_QUESTION_CHOICES} to ${MAX_QUESTION_CHOICES} choices (got ${choices.length})` };
+      }
+      if (choices.some(choice => choice.text.length > 255)) {
+        return { error: "Too long (max 255 characters): choices" };
+      }
+      const keys = choices.map(choice => choice.text.toLowerCase());
+      if (new Set(keys).size !== keys.length) {
+        return { error: "Choices must all be different" };
+      }
+      if (correctCount === 0) {
+        return { error: "Missing correct_answer" };
+      }
+      if (values.question_type === "multiple_choice" && correctCount > 1) {
+        return { error: "Multiple choice questions have exactly one correct choice (use multi_select for several)" };
+      }
+
+      values.choices = choices;
+      values.correct_answer = choices.find(choice => choice.correct).text;
+    } else if (isNumeric) {
+      const answer = parseNumericAnswer(values.correct_answer);
+      if (answer === null) {
+        return { error: "Correct answer must be a number for numeric questions" };
+      }
+      values.correct_answer = String(answer);
+
+      const range = text(input.numeric_range);
+      if (range) {
+        values.numeric_range = parseNumericAnswer(range);
+        if (!(values.numeric_range > 0)) {
+          return { error: "numeric_range must be a positive number" };
+        }
+      }
+    } else if (isFreeText) {
+      const aliases = Array.isArray(input.accepted_answers)
+        ? input.accepted_answers
+        : text(input.accepted_answers).split("|");
+      const seen = new Set([normalizeAnswerText(values.correct_answer)]);
+      for (const alias of aliases.map(text).filter(Boolean)) {
+        if (alias.length > 255) {
+          return { error: "Too long (max 255 characters): accepted_answers" };
+        }
+        const key = normalizeAnswerText(alias);
+        if (key && !seen.has(key)) {
+          seen.add(key);
+          values.accepted_answers.push(alias);
+        }
+      }
+    }
+
+    if (values.difficulty) {
+      const difficulty = QUESTION_DIFFICULTIES.find(d => d.toLowerCase() === values.difficulty.toLowerCase());
+      if (!difficulty) {
+        return { error: `Unknown difficulty "${values.difficulty}" (expected ${QUESTION_DIFFICULTIES.join(", ")})` };
+      }
+      values.difficulty = difficulty;
+    } else {
+      values.difficulty = "Medium";
+    }
+
+    return { values };
+  }
+
+  /**
+   * Validate one CSV record and turn it into TriviaQuestion values
+   * @param {string[]} record - Parsed CSV record
+   * @param {Object} columns - Map of field name to column index
+   * @returns {{values: Object, tags: string[]}|{error: string}|{empty: true}} - Row values and tags or the reason they were rejected
+   */
+  function parseQuestionRow(record, columns) {
+    const field = name => columns[name] === undefined ? "" : record[columns[name]];
+
+    if (record.every(cell => !String(cell).trim())) return { empty: true };
+
+    const result = validateQuestionValues({
+      question: field("question"),
+      correct_answer: field("correct_answer"),
+      ...Object.fromEntries(WRONG_ANSWER_FIELDS.map(name => [name, field(name)])),
+      category_id: field("category"),
+      difficulty: field("difficulty"),
+      question_type: field("question_type"),
+      accepted_answers: field("accepted_answers"),
+      numeric_range: field("numeric_range"),
+      explanation: field("explanation"),
+      source: field("source")
+    });
+    if (result.error) return result;
+
+    // Tags are separated by | like accepted answers (a comma works too)
+    const { tags, error } = readQuestionTags(field("tags"));
+    return error ? { error } : { ...result, tags };
+  }
+
+  /**
+   * Parse an uploaded question CSV into a per-row import report
+   * @param {string} content - Raw CSV text
+   * @param {Object} scope - Where clause for the questions to check duplicates against
+   * @returns {Promise<Object>} - Rows to insert and a report entry for every line
+   */
+  async function buildQuestionImport(content, scope) {
+    const records = parseCsv(content, {
+      bom: true,
+      info: true,
+      relax_column_count: true,
+      skip_empty_lines: true
+    });
+
+    const report = [];
+    const accepted = [];
+    if (records.length === 0) return { report, accepted };
+
+    const headerColumns = detectCsvHeader(records[0].record);
+    const columns = headerColumns ||
+      Object.fromEntries(CSV_POSITIONAL_COLUMNS.map((field, index) => [field, index]));
+    const dataRecords = headerColumns ? records.slice(1) : records;
+
+    // Exact duplicates (after normalising) are skipped; near-duplicates are
+    // imported but flagged with the question they resemble
+    const candidates = dataRecords.map(({ record }) => parseQuestionRow(record, columns));
+    const existingIndex = candidates.some(c => c.values)
+      ? await loadQuestionIndex(scope)
+      : createQuestionIndex();
+    const fileIndex = createQuestionIndex();
+
+    candidates.forEach((candidate, i) => {
+      const row = dataRecords[i].info.lines;
+
+      if (candidate.empty) {
+        report.push({ row, status: "skipped", reason: "Empty row" });
+        return;
+      }
+      if (candidate.error) {
+        report.push({ row, status: "invalid", reason: candidate.error });
+        return;
+      }
+
+      const { question } = candidate.values;
+      const existingMatches = findSimilarQuestions(existingIndex, question);
+      const fileMatches = findSimilarQuestions(fileIndex, question);
+
+      if (existingMatches[0]?.similarity === 1) {
+        const duplicateOf = describeDuplicate(existingMatches[0]);
+        report.push({ row, status: "skipped", reason: `Duplicate of question #${duplicateOf.id}`, duplicateOf });
+      } else if (fileMatches[0]?.similarity === 1) {
+        report.push({ row, status: "skipped", reason: `Duplicate of row ${fileMatches[0].entry.row}` });
+      } else {
+        addToQuestionIndex(fileIndex, { row, question });
+        accepted.push({ ...candidate.values, tags: candidate.tags });
+
+        const entry = { row, status: "accepted", question };
+        if (existingMatches.length > 0) {
+          entry.warning = `Possible duplicate of question #${existingMatches[0].entry.id}`;
+          entry.possibleDuplicates = existingMatches.map(describeDuplicate);
+        } else if (fileMatches.length > 0) {
+          entry.warning = `Similar to row ${fileMatches[0].entry.row}`;
+        }
+        report.push(entry);
+      }
+    });
+
+    return { report, accepted };
+  }
+
+  /**
+   * Import questions from a CSV file into the database
+   * Columns: question, correct_answer, wrong_answer1-3, category, difficulty.
+   * A header row is optional; without one the columns are read in that order.
+   * With a header, wrong_answer4 and wrong_answer5 add more choices, and
+   * type=multi_select takes several "|"-separated correct answers.
+   * With a header, type=free_text and accepted_answers ("|"-separated)
+   * columns add typed-answer questions; type=numeric and numeric_range add
+   * closest-guess questions. Optional explanation and source columns are
+   * shown to viewers with the answer. A tags column ("|"-separated) tags
+   * each question.
+   * Send dryRun=true to get the report without inserting anything.
+   * Questions go into the channel's own bank, or packId's pack; the extension
+   * owner can send target=shared to add them to the shared bank instead.
+   * Imported questions wait in the review queue until approved.
+   */
+  app.post("/upload-csv", requireChannelControl, (req, res, next) => {
+    upload.single("file")(req, res, (err) => {
+      if (err) {
+        console.warn(`⚠️ CSV upload rejected: ${err.message}`);
+        return res.status(400).json({ error: err.message });
+      }
+      next();
+    });
+  }, async (req, res) => {
+    if (!req.file) return res.status(400).json({ error: "No file uploaded" });
+
+    const dryRun = [req.query.dryRun, req.body.dryRun].some(v => v === "true" || v === "1");
+
+    try {
+      const ownership = await resolveQuestionOwnership(req.channelId, {
+        shared: req.body.target === "shared",
+        packId: req.body.packId
+      });
+      if (ownership.error) {
+        return res.status(400).json({ error: ownership.error });
+      }
+
+      // Shared imports are only compared with the shared bank
+      const duplicateScope = ownership.owner_id
+        ? visibleQuestionsWhere(req.channelId)
+        : questionScopeWhere(null);
+
+      let importResult;
+      try {
+        importResult = await buildQuestionImport(await fs.promises.readFile(req.file.path, "utf-8"), duplicateScope);
+      } catch (error) {
+        if (error.code && error.code.startsWith("CSV_")) {
+          return res.status(400).json({ error: `Could not parse CSV: ${error.message}` });
+        }
+        throw error;
+      }
+
+      const { report, accepted } = importResult;
+      const summary = {
+        accepted: accepted.length,
+        skipped: report.filter(r => r.status === "skipped").length,
+        invalid: report.filter(r => r.status === "invalid").length,
+        flagged: report.filter(r => r.warning).length
+      };
+
+      if (!dryRun && accepted.length > 0) {
+        await sequelize.transaction(async (transaction) => {
+          await ensureQuestionCategories(accepted.map(values => values.category_id), ownership.owner_id, transaction);
+          const created = await TriviaQuestion.bulkCreate(
+            accepted.map(({ tags, ...values }) => ({ ...values, ...ownership })),
+            { transaction }
+          );
+
+          // Questions sharing the same tags are tagged together
+          const idsByTags = new Map();
+          created.forEach((question, i) => {
+            const key = accepted[i].tags.join("|");
+            if (key) idsByTags.set(key, [...(idsByTags.get(key) || []), question.id]);
+          });
+          for (const [key, questionIds] of idsByTags) {
+            await setQuestionTags(questionIds, key.split("|"), transaction);
+          }
+        });
+        console.log(`✅ Imported ${accepted.length} questions from CSV for channel ${req.channelId}`);
+      }
+
+      res.json({
+        success: true,
+        dryRun,
+        imported: dryRun ? 0 : accepted.length,
+        summary,
+        rows: report
+      });
+    } catch (error) {
+      console.error("❌ Error processing CSV:", error);
+      res.status(500).json({ error: "Failed to import trivia questions." });
+    } finally {
+      fs.promises.unlink(req.file.path).catch(error => {
+        console.warn(`⚠️ Could not delete uploaded file ${req.file.path}:`, error.message);
+      });
+    }
+  });
+
+  /**
+   * Question Export
+   */
+  const QUESTION_EXPORT_BATCH_SIZE = 500;
+
+  // Same column order the CSV import reads
+  const QUESTION_CSV_HEADER = [
+    "question", "correct_answer", ...WRONG_ANSWER_FIELDS,
+    "category", "difficulty", "type", "accepted_answers", "numeric_range",
+    "explanation", "source", "tags"
+  ];
+
+  /**
+   * Quote a value for CSV output when it needs it
+   * @param {*} value - Cell value
+   * @returns {string} - CSV-safe cell
+   */
+  function toCsvField(value) {
+    const text = value === null || value === undefined ? "" : String(value);
+    return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Lay a question's answers out in the CSV answer columns
+   * @param {Object} question - TriviaQuestion row
+   * @returns {string[]} - correct_answer ("|"-separated for multi_select), then wrong_answer1-5
+   */
+  function toCsvAnswerColumns(question) {
+    const choices = Array.isArray(question.choices) ? question.choices : [];
+    const correct = choices.filter(choice => choice.correct).map(choice => choice.text);
+    const wrong = choices.filter(choice => !choice.correct).map(choice => choice.text);
+
+    return [
+      correct.length > 0 ? correct.join("|") : question.correct_answer,
+      ...WRONG_ANSWER_FIELDS.map((field, i) => wrong[i] || "")
+    ];
+  }
+
+  /**
+   * Read a comma-separated list from a query parameter
+   * @param {string|string[]} value - Raw query value
+   * @returns {string[]} - Trimmed, non-empty entries
+   */
+  function parseListParam(value) {
+    if (!value) return [];
+    const parts = Array.isArray(value) ? value : String(value).split(",");
+    return parts.map(part => String(part).trim()).filter(Boolean);
+  }
+
+  /**
+   * Build the ownership part of a question listing from query parameters
+   * Only ever covers the shared bank and the channel's own questions.
+   * @param {string} channelId - Channel making the request
+   * @param {Object} query - source (shared, custom or both) and packId
+   * @returns {Object} Sequelize where clause
+   */
+  function questionListScope(channelId, query) {
+    const source = QUESTION_SOURCES.includes(query.source) ? query.source : "both";
+    const packId = parseInt(query.packId, 10);
+
+    if (Number.isInteger(packId)) {
+      return { owner_id: channelId, pack_id: packId };
+    }
+    return { ...questionScopeWhere(channelId, source) };
+  }
+
+  /**
+   * Walk the question table in id order, one batch at a time
+   * @param {Object} where - Sequelize where clause
+   * @param {Function} onBatch - Called with each batch of TriviaQuestion rows
+   * @returns {Promise<void>}
+   */
+  async function forEachQuestionBatch(where, onBatch) {
+    let lastId = 0;
+
+    while (true) {
+      const batch = await TriviaQuestion.findAll({
+        where: { ...where, id: { [Sequelize.Op.gt]: lastId } },
+        order: [["id", "ASC"]],
+        limit: QUESTION_EXPORT_BATCH_SIZE
+      });
+      if (batch.length === 0) break;
+
+      await onBatch(batch);
+      lastId = batch[batch.length - 1].id;
+
+      if (batch.length < QUESTION_EXPORT_BATCH_SIZE) break;
+    }
+  }
+
+  /**
+   * Export the question bank as CSV (re-importable) or JSON
+   * Query: format=csv|json, categories=a,b, difficulties=Easy,Hard,
+   * source=shared|custom|both, packId
+   */
+  app.get("/api/questions/export", requireChannelControl, async (req, res) => {
+    const format = String(req.query.format || "csv").toLowerCase();
+    if (!["csv", "json"].includes(format)) {
+      return res.status(400).json({ error: 'format must be "csv" or "json"' });
+    }
+
+    const categories = parseListParam(req.query.categories);
+    const difficulties = parseListParam(req.query.difficulties);
+    const where = questionListScope(req.channelId, req.query);
+    if (difficulties.length > 0) where.difficulty = difficulties;
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.setHeader("Content-Disposition", `attachment; filename=loremaster_questions_${stamp}.${format}`);
+    res.setHeader("Content-Type", format === "csv" ? "text/csv; charset=utf-8" : "application/json; charset=utf-8");
+
+    try {
+      // Subcategories of the chosen categories are exported with them
+      if (categories.length > 0) where.category_id = await expandCategoryIds(categories);
+
+      // Counting first means a dead database fails before any output is sent
+      const total = await TriviaQuestion.count({ where });
+
+      if (format === "csv") {
+        res.write(QUESTION_CSV_HEADER.join(",") + "\n");
+        await forEachQuestionBatch(where, async (batch) => {
+          const tags = await loadQuestionTags(batch.map(q => q.id));
+          res.write(batch.map(q => [
+            q.question, ...toCsvAnswerColumns(q), q.category_id, q.difficulty,
+            q.question_type, (q.accepted_answers || []).join("|"), q.numeric_range,
+            q.explanation, q.source, (tags.get(q.id) || []).join("|")
+          ].map(toCsvField).join(",") + "\n").join(""));
+        });
+      } else {
+        res.write(`{"exportedAt":${JSON.stringify(new Date().toISOString())},` +
+          `"filters":${JSON.stringify({ categories, difficulties })},"count":${total},"questions":[`);
+        let first = true;
+        await forEachQuestionBatch(where, async (batch) => {
+          const tags = await loadQuestionTags(batch.map(q => q.id));
+          const chunk = batch.map(q => JSON.stringify({ ...q.get({ plain: true }), tags: tags.get(q.id) || [] })).join(",");
+          res.write((first ? "" : ",") + chunk);
+          first = false;
+        });
+        res.write("]}");
+      }
+
+      res.end();
+      console.log(`📤 Exported ${total} questions as ${format.toUpperCase()} for channel ${req.channelId}`);
+    } catch (error) {
+      console.error("❌ Error exporting questions:", error);
+
+      if (!res.headersSent) {
+        res.removeHeader("Content-Disposition");
+        return res.status(500).json({ error: "Failed to export questions" });
+      }
+      // Part of the file is already out, so cut the response short
+      // rather than leave the client with something that looks complete
+      res.destroy(error);
+    }
+  });
+
+  /**
+   * Question Editor API
+   */
+  const QUESTION_PAGE_SIZE_DEFAULT = 20;
+  const QUESTION_PAGE_SIZE_MAX = 100;
+
+  // Fields a client may set on a question. Choice questions send choices;
+  // correct_answer with wrong_answer1-5 is still accepted from older clients.
+  const EDITABLE_QUESTION_FIELDS = [
+    "question", "question_type", "correct_answer", "choices", ...WRONG_ANSWER_FIELDS,
+    "accepted_answers", "numeric_range", "category_id", "difficulty", "explanation", "source"
+  ];
+
+  /**
+   * Pick the editable question fields out of a request body
+   * @param {Object} body - Request body
+   * @returns {Object} - Only the fields present in the body
+   */
+  function pickQuestionFields(body = {}) {
+    const picked = {};
+    EDITABLE_QUESTION_FIELDS.forEach(field => {
+      if (body[field] !== undefined) picked[field] = body[field];
+    });
+    return picked;
+  }
+
+  /**
+   * Read a question status from a request body
+   * @param {*} value - Requested status
+   * @returns {{status: ?string}|{error: string}} - The status (null if not sent) or why it was refused
+   */
+  function parseQuestionStatus(value) {
+    if (value === undefined || value === null || value === "") return { status: null };
+    if (!QUESTION_STATUSES.includes(value)) {
+      return { error: `status must be one of ${QUESTION_STATUSES.join(", ")}` };
+    }
+    return { status: value };
+  }
+
+  /**
+   * Record who approved or rejected a question
+   * @param {Object} req - Express request object (after requireChannelControl)
+   * @returns {Object} reviewed_by and reviewed_at values
+   */
+  function reviewStamp(req) {
+    return {
+      reviewed_by: req.twitchUser.user_id || req.twitchUser.opaque_user_id || null,
+      reviewed_at: new Date()
+    };
+  }
+
+  /**
+   * Load a question by the :id route parameter
+   * Other channels' custom questions are reported as not found.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {boolean} manage - Also require the channel to be allowed to change it
+   * @returns {Promise<Object|null>} - The question, or null once an error has been sent
+   */
+  async function findQuestionParam(req, res, manage = false) {
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isInteger(id) || id <= 0 || String(id) !== req.params.id) {
+      res.status(400).json({ error: "Invalid question id" });
+      return null;
+    }
+
+    const question = await TriviaQuestion.findOne({
+      where: { ...visibleQuestionsWhere(req.channelId), id }
+    });
+    if (!question) {
+      res.status(404).json({ error: "Question not found" });
+      return null;
+    }
+    if (manage && !canManageQuestion(question, req.channelId)) {
+      res.status(403).json({ error: "Shared questions can only be changed by the extension owner" });
+      return null;
+    }
+    return question;
+  }
+
+  /**
+   * Serialize a question for the editor
+   * @param {Object} question - TriviaQuestion row
+   * @param {string} channelId - Channel viewing it
+   * @returns {Object} Plain question with an editable flag
+   */
+  function toEditorQuestion(question, channelId) {
+    return { ...question.get({ plain: true }), editable: canManageQuestion(question, channelId) };
+  }
+
+  /**
+   * List questions with search and paging
+   * Query: search ("#12" finds question 12), category, difficulty, status,
+   * source, packId, suggested=true (only questions with a difficulty
+   * suggestion), page (1-based), pageSize
+   * Each question carries its answer statistics in `stats` and its tag names in `tags`.
+   */
+  app.get("/api/questions", requireChannelControl, async (req, res) => {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const pageSize = Math.min(
+      Math.max(parseInt(req.query.pageSize, 10) || QUESTION_PAGE_SIZE_DEFAULT, 1),
+      QUESTION_PAGE_SIZE_MAX
+    );
+
+    const conditions = [questionListScope(req.channelId, req.query)];
+    if (req.query.category) conditions.push({ category_id: String(req.query.category) });
+    if (req.query.difficulty) conditions.push({ difficulty: String(req.query.difficulty) });
+    if (req.query.status) conditions.push({ status: String(req.query.status) });
+    if (req.query.suggested === "true") conditions.push({ suggested_difficulty: { [Sequelize.Op.ne]: null } });
+
+    const search = String(req.query.search || "").trim();
+    const idSearch = search.match(/^#(\d+)$/);
+    if (idSearch) {
+      conditions.push({ id: parseInt(idSearch[1], 10) });
+    } else if (search) {
+      const pattern = `%${search.replace(/[\\%_]/g, "\\$&")}%`;
+      conditions.push({
+        [Sequelize.Op.or]: [
+          ...["question", "correct_answer"].map(field => ({ [field]: { [Sequelize.Op.like]: pattern } })),
+          Sequelize.where(Sequelize.cast(Sequelize.col("choices"), "CHAR"), { [Sequelize.Op.like]: pattern })
+        ]
+      });
+    }
+    const where = { [Sequelize.Op.and]: conditions };
+
+    try {
+      const { rows, count } = await TriviaQuestion.findAndCountAll({
+        where,
+        order: [["id", "DESC"]],
+        limit: pageSize,
+        offset: (page - 1) * pageSize
+      });
+
+      // Size of the review queue, for the config panel badge
+      const pendingCount = await TriviaQuestion.count({
+        where: { ...questionListScope(req.channelId, req.query), status: "pending_review" }
+      });
+
+      // Difficulty suggestions waiting for a decision, for the config panel badge
+      const suggestionCount = await TriviaQuestion.count({
+        where: { ...questionListScope(req.channelId, req.query), suggested_difficulty: { [Sequelize.Op.ne]: null } }
+      });
+
+      const stats = await loadQuestionStats(rows);
+      const tags = await loadQuestionTags(rows.map(question => question.id));
+
+      res.json({
+        questions: rows.map(question => ({
+          ...toEditorQuestion(question, req.channelId),
+          stats: stats.get(question.id),
+          tags: tags.get(question.id) || []
+        })),
+        total: count,
+        pendingCount,
+        suggestionCount,
+        page,
+        pageSize,
+        totalPages: Math.max(Math.ceil(count / pageSize), 1)
+      });
+    } catch (error) {
+      console.error("❌ Error listing questions:", error);
+      res.status(500).json({ error: "Failed to list questions" });
+    }
+  });
+
+  /**
+   * List clusters of likely duplicate questions
+   * Query: source, packId (same as the question list)
+   */
+  app.get("/api/questions/duplicates", requireChannelControl, async (req, res) => {
+    try {
+      const questions = await TriviaQuestion.findAll({
+        where: questionListScope(req.channelId, req.query),
+        attributes: ["id", "question", "category_id", "difficulty", "owner_id", "pack_id"],
+        order: [["id", "ASC"]],
+        raw: true
+      });
+
+      // Compare each question with the ones before it and join matches
+      // into clusters (union-find on question ids)
+      const index = createQuestionIndex();
+      const parent = new Map();
+      const root = id => {
+        while (parent.get(id) !== id) {
+          parent.set(id, parent.get(parent.get(id)));
+          id = parent.get(id);
+        }
+        return id;
+      };
+      const bestSimilarity = new Map();
+
+      questions.forEach(question => {
+        parent.set(question.id, question.id);
+
+        findSimilarQuestions(index, question.question).forEach(({ entry, similarity }) => {
+          parent.set(root(question.id), root(entry.id));
+          [question.id, entry.id].forEach(id => {
+            bestSimilarity.set(id, Math.max(bestSimilarity.get(id) || 0, similarity));
+          });
+        });
+
+        addToQuestionIndex(index, { id: question.id, question: question.question });
+      });
+
+      const clusters = new Map();
+      questions.forEach(question => {
+        if (!bestSimilarity.has(question.id)) return;
+
+        const clusterId = root(question.id);
+        if (!clusters.has(clusterId)) clusters.set(clusterId, []);
+        clusters.get(clusterId).push({
+          ...question,
+          similarity: bestSimilarity.get(question.id),
+          editable: canManageQuestion(question, req.channelId),
+          link: `/api/questions/${question.id}`
+        });
+      });
+
+      const result = [...clusters.values()].sort((a, b) => b.length - a.length);
+
+      console.log(`🔍 Found ${result.length} duplicate clusters among ${questions.length} questions for channel ${req.channelId}`);
+      res.json({
+        clusters: result,
+        clusterCount: result.length,
+        questionsChecked: questions.length,
+        threshold: DUPLICATE_SIMILARITY_THRESHOLD
       });
+    } catch (error) {
+      console.error("❌ Error finding duplicate questions:", error);
+      res.status(500).json({ error: "Failed to find duplicate questions" });
     }
-    
-    // Try to look up via Twitch API
+  });
+
+  /**
+   * Apply or dismiss difficulty suggestions
+   * Body: ids (question ids) and action ("apply" or "dismiss"). Questions the
+   * channel can't manage, or that have no suggestion, are left alone.
+   * Either way only answers given afterwards count towards the next suggestion.
+   */
+  app.post("/api/questions/recalibration", requireChannelControl, async (req, res) => {
+    const { ids, action } = req.body || {};
+    if (!["apply", "dismiss"].includes(action)) {
+      return res.status(400).json({ error: 'action must be "apply" or "dismiss"' });
+    }
+    if (!Array.isArray(ids) || ids.length === 0 || !ids.every(Number.isInteger)) {
+      return res.status(400).json({ error: "ids must be a non-empty list of question ids" });
+    }
+
     try {
-      const twitchToken = await getTwitchOAuthToken();
-      if (!twitchToken) {
-        return res.status(500).json({ 
-          success: false, 
-          error: "Failed to get Twitch API token" 
-        });
-      }
-      
-      console.log(`🔑 Got Twitch API token: ${twitchToken.substring(0, 10)}...`);
-      console.log(`🔍 Looking up channel ID: ${channelId}`);
-      
-      // Use Helix API with correct Bearer format to get broadcaster info
-      const response = await axios.get(`https://api.twitch.tv/helix/users?id=${channelId}`, {
-        headers: {
-          'Client-ID': EXT_CLIENT_ID,
-          'Authorization': `Bearer ${twitchToken}` // Ensure Bearer format is used
+      const questions = await TriviaQuestion.findAll({
+        where: {
+          ...visibleQuestionsWhere(req.channelId),
+          id: ids,
+          suggested_difficulty: { [Sequelize.Op.ne]: null }
         }
       });
-      
-      console.log(`📊 API Response status: ${response.status}`);
-      
-      if (response.data && response.data.data && response.data.data.length > 0) {
-        const broadcasterInfo = response.data.data[0];
-        const displayName = broadcasterInfo.display_name;
-        
-        console.log(`✅ Resolved broadcaster name from API: ${displayName}`);
-        
-        // Store in our system
-        await setUsername(channelId, displayName);
-        
-        // Return success
-        return res.json({ 
-          success: true, 
-          displayName: displayName,
-          method: "api"
-        });
-      } else {
-        console.warn(`⚠️ Broadcaster ${channelId} not found in Twitch API`);
-        console.log('API response:', JSON.stringify(response.data));
-        return res.json({ 
-          success: false, 
-          error: "Broadcaster not found" 
+      const manageable = questions.filter(question => canManageQuestion(question, req.channelId));
+
+      for (const question of manageable) {
+        await question.update({
+          ...(action === "apply" && { difficulty: question.suggested_difficulty }),
+          suggested_difficulty: null,
+          recalibrated_at: new Date()
         });
       }
-    } catch (apiError) {
-      console.error("❌ Error looking up broadcaster via API:", apiError.response?.data || apiError.message);
-      
-      // Add more detailed error logging
-      if (apiError.response) {
-        console.error('Status:', apiError.response.status);
-        console.error('Headers:', JSON.stringify(apiError.response.headers));
-        console.error('Data:', JSON.stringify(apiError.response.data));
-      }
-      
-      return res.status(500).json({ 
-        success: false, 
-        error: "API error",
-        details: apiError.response?.data || apiError.message
-      });
+
+      console.log(`🎚️ Channel ${req.channelId} ${action === "apply" ? "applied" : "dismissed"} ` +
+        `${manageable.length} difficulty suggestions`);
+      res.json({ success: true, updated: manageable.map(question => question.id) });
+    } catch (error) {
+      console.error("❌ Error updating difficulty suggestions:", error);
+      res.status(500).json({ error: "Failed to update difficulty suggestions" });
     }
-  } catch (error) {
-    console.error("❌ Error in set-broadcaster-name endpoint:", error);
-    res.status(500).json({ error: "Server error" });
-  }
-});
+  });
 
-  // Handle broadcaster identity messages from Twitch PubSub
-  app.post("/twitch/broadcaster-identity", async (req, res) => {
+  /**
+   * Get a question's answer statistics
+   */
+  app.get("/api/questions/:id/stats", requireChannelControl, async (req, res) => {
     try {
-      const { channelId, displayName } = req.body;
-      
-      if (!channelId || !displayName) {
-        return res.status(400).json({ error: "Missing required parameters" });
-      }
-      
-      console.log(`🎙️ Received broadcaster identity: ${displayName} for channel ${channelId}`);
-      
-      // Store broadcaster name in database
-      await setUsername(channelId, displayName);
-      
-      res.json({ success: true });
+      const question = await findQuestionParam(req, res);
+      if (!question) return;
+
+      const stats = await loadQuestionStats([question]);
+      res.json({
+        id: question.id,
+        difficulty: question.difficulty,
+        suggestedDifficulty: question.suggested_difficulty,
+        stats: stats.get(question.id)
+      });
     } catch (error) {
-      console.error("❌ Error handling broadcaster identity:", error);
-      res.status(500).json({ error: "Server error" });
+      console.error("❌ Error fetching question stats:", error);
+      res.status(500).json({ error: "Failed to fetch question stats" });
     }
   });
-  
+
   /**
-   * Trivia Control Endpoints
+   * Get a single question
    */
-  
-  // Start trivia
-  app.post("/start-trivia", async (req, res) => {
+  app.get("/api/questions/:id", requireChannelControl, async (req, res) => {
     try {
-      if (triviaActive) {
-        console.log("⚠️ Trivia is already running. Ignoring start request.");
-        return res.json({ success: false, message: "Trivia is already running!" });
-      }
+      const question = await findQuestionParam(req, res);
+      if (!question) return;
 
-    // If force is true, end any existing trivia first
-    if (triviaActive && req.body.force) {
-      await endTrivia(req.body.broadcasterId || EXT_OWNER_ID);
-    }
-  
-      const broadcasterId = req.body.broadcasterId || EXT_OWNER_ID;
-      const success = await startTrivia(broadcasterId);
-      
-      if (success) {
-        res.json({ success: true, message: "Trivia started!" });
-      } else {
-        res.status(500).json({ success: false, error: "Failed to start trivia." });
-      }
+      const tags = await loadQuestionTags([question.id]);
+      res.json({ question: { ...toEditorQuestion(question, req.channelId), tags: tags.get(question.id) || [] } });
     } catch (error) {
-      console.error("❌ Error starting trivia:", error);
-      triviaActive = false; // Reset state on error
-      res.status(500).json({ success: false, error: "Failed to start trivia." });
+      console.error("❌ Error fetching question:", error);
+      res.status(500).json({ error: "Failed to fetch question" });
     }
   });
-  
-  // End trivia
-  app.post("/end-trivia", async (req, res) => {
+
+  /**
+   * Create a question
+   * It belongs to the channel (optionally in pack_id) unless the extension
+   * owner sends shared: true to add it to the shared bank.
+   * Likely duplicates are refused with 409 unless allowDuplicate: true is sent.
+   * New questions wait for review unless another status is given.
+   * tags is a list of tag names (or one comma-separated string).
+   */
+  app.post("/api/questions", requireChannelControl, async (req, res) => {
+    const { values, error } = validateQuestionValues(pickQuestionFields(req.body));
+    if (error) return res.status(400).json({ error });
+
+    const { tags, error: tagError } = readQuestionTags(req.body.tags);
+    if (tagError) return res.status(400).json({ error: tagError });
+
+    const { status, error: statusError } = parseQuestionStatus(req.body.status);
+    if (statusError) return res.status(400).json({ error: statusError });
+    values.status = status || "pending_review";
+    if (["approved", "retired"].includes(values.status)) {
+      Object.assign(values, reviewStamp(req));
+    }
+
     try {
-      const broadcasterId = req.body.broadcasterId || EXT_OWNER_ID;
-      const success = await endTrivia(broadcasterId);
-      
-      if (success) {
-        res.json({ success: true, message: "Trivia ended!" });
-      } else {
-        res.status(500).json({ error: "Failed to end trivia." });
+      const ownership = await resolveQuestionOwnership(req.channelId, {
+        shared: req.body.shared === true,
+        packId: req.body.pack_id
+      });
+      if (ownership.error) return res.status(400).json({ error: ownership.error });
+
+      if (req.body.allowDuplicate !== true) {
+        const scope = ownership.owner_id ? visibleQuestionsWhere(req.channelId) : questionScopeWhere(null);
+        const duplicates = findSimilarQuestions(await loadQuestionIndex(scope), values.question);
+        if (duplicates.length > 0) {
+          return res.status(409).json({
+            error: `Looks like a duplicate of question #${duplicates[0].entry.id}`,
+            duplicates: duplicates.map(describeDuplicate)
+          });
+        }
       }
-    } catch (error) {
-      console.error("❌ Error ending trivia:", error);
-      res.status(500).json({ error: "Failed to end trivia." });
+
+      await ensureQuestionCategories([values.category_id], ownership.owner_id);
+      const question = await sequelize.transaction(async (transaction) => {
+        const created = await TriviaQuestion.create({ ...values, ...ownership }, { transaction });
+        await setQuestionTags([created.id], tags, transaction);
+        return created;
+      });
+      console.log(`✅ Question ${question.id} created by channel ${req.channelId}`);
+      res.status(201).json({ success: true, question: { ...toEditorQuestion(question, req.channelId), tags } });
+    } catch (err) {
+      console.error("❌ Error creating question:", err);
+      res.status(500).json({ error: "Failed to create question" });
     }
   });
-  
-  // Get next question
-  app.get("/get-next-question", async (req, res) => {
+
+  /**
+   * Update a question
+   * Fields left out of the body keep their current value; pack_id moves
+   * a custom question between the channel's packs (null for none), and
+   * tags, when sent, replaces all of the question's tags.
+   */
+  app.put("/api/questions/:id", requireChannelControl, async (req, res) => {
     try {
-      const requestId = Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
-      console.log(`📝 [${requestId}] Received next question request`);
-      
-      if (!triviaActive) {
-        console.log(`⏳ [${requestId}] Trivia is inactive. Skipping next question request.`);
-        return res.json({ error: "Trivia is not active." });
-      }
-  
-      // Check if we need to wait before sending the next question
-      const timeRemaining = nextQuestionTime - Date.now();
-      if (timeRemaining > 0) {
-        console.log(`⏳ [${requestId}] Next question not ready yet! Time remaining: ${Math.round(timeRemaining / 1000)} seconds`);
-        return res.json({ error: "Next question not ready yet.", timeRemaining });
+      const question = await findQuestionParam(req, res, true);
+      if (!question) return;
+
+      // Answers sent as wrong_answer fields replace the stored choices
+      const changes = pickQuestionFields(req.body);
+      const current = question.get({ plain: true });
+      if (changes.choices === undefined && WRONG_ANSWER_FIELDS.some(field => changes[field] !== undefined)) {
+        delete current.choices;
       }
-  
-      // Check for concurrent requests - add timestamp-based throttling
-      const now = Date.now();
-      if (now - lastQuestionTimestamp < MIN_QUESTION_INTERVAL) {
-        console.warn(`⚠️ [${requestId}] Question was sent too recently (${now - lastQuestionTimestamp}ms ago)! Preventing duplicate.`);
-        return res.json({ 
-          error: "Question was sent too recently", 
-          message: "Please wait before requesting another question",
-          timeElapsed: now - lastQuestionTimestamp,
-          minInterval: MIN_QUESTION_INTERVAL
+
+      const { values, error } = validateQuestionValues({ ...current, ...changes });
+      if (error) return res.status(400).json({ error });
+
+      const { tags, error: tagError } = req.body.tags !== undefined ? readQuestionTags(req.body.tags) : {};
+      if (tagError) return res.status(400).json({ error: tagError });
+
+      if (req.body.pack_id !== undefined) {
+        const ownership = await resolveQuestionOwnership(req.channelId, {
+          shared: !question.owner_id,
+          packId: req.body.pack_id
         });
+        if (ownership.error) return res.status(400).json({ error: ownership.error });
+        values.pack_id = ownership.pack_id;
       }
-  
-      // Prevent overlap with ongoing questions using both safeguards
-      if (questionInProgress) {
-        console.warn(`⚠️ [${requestId}] A question is already in progress!`);
-        return res.json({ error: "A question is already in progress." });
+
+      // A hand-picked difficulty replaces any suggestion and restarts the judging
+      if (values.difficulty !== question.difficulty) {
+        values.suggested_difficulty = null;
+        values.recalibrated_at = new Date();
       }
-  
-      // At this point, we're ready to get a new question
-      console.log(`🔍 [${requestId}] Getting next question from database...`);
-      
-      // Acquire the lock immediately to prevent race conditions
-      lastQuestionTimestamp = now;
-      questionInProgress = true;
-  
-      try {
-        // Get broadcaster filters
-        const filters = await getBroadcasterFilters(EXT_OWNER_ID);
-        
-        // Get random question from database
-        let questionObj = await getRandomQuestionFromDB(filters.categories, filters.difficulties);
-        
-        // If no question matches filters, try without filters
-        if (!questionObj) {
-          console.warn(`⚠️ [${requestId}] No questions match broadcaster filters, trying any question...`);
-          questionObj = await getRandomQuestionFromDB();
-          
-          // If still no question, check in-memory as fallback
-          if (!questionObj && triviaQuestions.length > 0) {
-            console.warn(`⚠️ [${requestId}] Falling back to in-memory questions`);
-            questionObj = triviaQuestions[Math.floor(Math.random() * triviaQuestions.length)];
-          }
-          
-          // If we still have no question, release lock and return error
-          if (!questionObj) {
-            console.error(`❌ [${requestId}] No trivia questions available!`);
-            questionInProgress = false; // Release the lock
-            return res.status(400).json({ error: "No trivia questions available." });
-          }
-        }
-        
-        // Shuffle choices
-        const shuffledChoices = shuffleArray([...questionObj.choices]);
-        
-        // Get timing settings with fallbacks
-        const answerTime = triviaSettings?.answerTime || 30000;
-        
-        // Set round end time
-        triviaRoundEndTime = now + answerTime + 5000; // Extra 5s buffer
-        
-        // Schedule reset of question status and next question timing
-        // Use a clearable timeout to prevent race conditions
-        if (global.currentQuestionTimeout) {
-          clearTimeout(global.currentQuestionTimeout);
+
+      const { status, error: statusError } = parseQuestionStatus(req.body.status);
+      if (statusError) return res.status(400).json({ error: statusError });
+      if (status && status !== question.status) {
+        values.status = status;
+        if (["approved", "retired"].includes(status)) {
+          Object.assign(values, reviewStamp(req));
         }
-        
-        global.currentQuestionTimeout = setTimeout(() => {
-          console.log(`⏳ [${requestId}] Question round completed, resetting for next question`);
-          questionInProgress = false;
-          nextQuestionTime = Date.now() + (triviaSettings?.intervalTime || 600000);
-        }, answerTime + 5000);
-        
-        // Prepare response with timestamp to help clients identify duplicates
-        const responseObj = {
-          question: questionObj.question,
-          choices: shuffledChoices,
-          correctAnswer: questionObj.correctAnswer,
-          duration: answerTime,
-          categoryId: questionObj.categoryId,
-          difficulty: questionObj.difficulty,
-          questionId: questionObj.id,
-          timestamp: now
-        };
-        
-        console.log(`📩 [${requestId}] Sending next trivia question: ID ${questionObj.id}`);
-        res.json(responseObj);
-      } catch (error) {
-        console.error(`❌ [${requestId}] Error getting next question:`, error);
-        // Release the lock on error
-        questionInProgress = false;
-        res.status(500).json({ error: "Server error getting next question" });
       }
-    } catch (error) {
-      console.error("❌ Error in get-next-question endpoint:", error);
-      // Always release the lock on error
-      questionInProgress = false;
-      res.status(500).json({ error: "Server error" });
+
+      if (values.category_id !== question.category_id) {
+        await ensureQuestionCategories([values.category_id], question.owner_id);
+      }
+      await sequelize.transaction(async (transaction) => {
+        await question.update(values, { transaction });
+        if (tags) await setQuestionTags([question.id], tags, transaction);
+      });
+      await forgetUpcomingQuestion(question.id);
+      console.log(`✏️ Question ${question.id} updated by channel ${req.channelId}`);
+
+      const savedTags = tags || (await loadQuestionTags([question.id])).get(question.id) || [];
+      res.json({ success: true, question: { ...toEditorQuestion(question, req.channelId), tags: savedTags } });
+    } catch (err) {
+      console.error("❌ Error updating question:", err);
+      res.status(500).json({ error: "Failed to update question" });
     }
   });
-  
-  // Manual route to send a trivia question
-  app.post("/send-test", async (req, res) => {
+
+  /**
+   * Approve or reject a question from the review queue
+   * Body: { action: "approve" | "reject" }; rejected questions are retired.
+   */
+  app.post("/api/questions/:id/review", requireChannelControl, async (req, res) => {
+    const statusByAction = { approve: "approved", reject: "retired" };
+    const status = statusByAction[req.body.action];
+    if (!status) {
+      return res.status(400).json({ error: 'action must be "approve" or "reject"' });
+    }
+
     try {
-      const broadcasterId = req.body.broadcasterId || EXT_OWNER_ID;
-      const success = await sendTriviaQuestion(broadcasterId);
-      
-      if (success) {
-        res.json({ success: true, message: "Trivia question sent!" });
-      } else {
-        res.status(500).json({ success: false, error: "Failed to send question" });
-      }
+      const question = await findQuestionParam(req, res, true);
+      if (!question) return;
+
+      await question.update({ status, ...reviewStamp(req) });
+      await forgetUpcomingQuestion(question.id);
+      console.log(`📋 Question ${question.id} ${status} by ${question.reviewed_by} in channel ${req.channelId}`);
+      res.json({ success: true, question: toEditorQuestion(question, req.channelId) });
     } catch (error) {
-      console.error("❌ Error in /send-test:", error);
-      res.status(500).json({ success: false, error: error.message });
+      console.error("❌ Error reviewing question:", error);
+      res.status(500).json({ error: "Failed to review question" });
     }
   });
-  
-// Add to server.js
-app.get("/trivia-status", (req, res) => {
-  res.json({
-    triviaActive,
-    nextQuestionTime: nextQuestionTime ? nextQuestionTime - Date.now() : null,
-    settings: triviaSettings
-  });
-}); 
 
-  // GET endpoint for testing trivia
-  app.get("/trivia", async (req, res) => {
+  /**
+   * Delete a question
+   */
+  app.delete("/api/questions/:id", requireChannelControl, async (req, res) => {
     try {
-      const success = await sendTriviaQuestion(EXT_OWNER_ID);
-      
-      if (success) {
-        res.json({ success: true, message: "Trivia question sent via GET /trivia" });
-      } else {
-        res.status(500).json({ success: false, error: "Failed to send question" });
-      }
+      const question = await findQuestionParam(req, res, true);
+      if (!question) return;
+
+      await question.destroy();
+      await forgetUpcomingQuestion(question.id);
+      if (question.media_file) removeMediaFile(question.media_file);
+      console.log(`🗑️ Question ${question.id} deleted by channel ${req.channelId}`);
+      res.json({ success: true, id: question.id });
     } catch (error) {
-      console.error("❌ Error in GET /trivia:", error);
-      res.status(500).json({ success: false, error: error.message });
+      console.error("❌ Error deleting question:", error);
+      res.status(500).json({ error: "Failed to delete question" });
     }
   });
-  
+
   /**
-   * Settings Management Endpoints
+   * Question Media API
+   * One image or short audio clip per question, shown above the question text
    */
-  
-  // Update trivia settings
-  app.post("/update-settings", async (req, res) => {
-    try {
-      // Log the raw request body
-      console.log("📩 Received settings update request.");
-      console.log("📦 Raw request body:", req.body);
-  
-      let { answerTime, intervalTime } = req.body;
-  
-      // If body is empty, return error
-      if (!req.body || Object.keys(req.body).length === 0) {
-        console.error("❌ Invalid settings update request: Empty body received!");
-        return res.status(400).json({ error: "Empty request body!" });
-      }
-  
-      // Fallback check in case Twitch sends incorrect keys
-      if (!answerTime && req.body.answerDuration) {
-        answerTime = req.body.answerDuration * 1000;
-      }
-      if (!intervalTime && req.body.questionInterval) {
-        intervalTime = req.body.questionInterval * 60000;
+  const MEDIA_MAX_BYTES = { image: 2 * 1024 * 1024, audio: 5 * 1024 * 1024 };
+
+  // Accepted upload types and the extension each is stored under
+  const MEDIA_MIME_TYPES = {
+    "image/png": ".png",
+    "image/jpeg": ".jpg",
+    "image/gif": ".gif",
+    "image/webp": ".webp",
+    "audio/mpeg": ".mp3",
+    "audio/ogg": ".ogg",
+    "audio/wav": ".wav",
+    "audio/x-wav": ".wav",
+    "audio/webm": ".webm"
+  };
+
+  // Random file names, so nobody can guess an upcoming question's media
+  const mediaUpload = multer({
+    storage: multer.diskStorage({
+      destination: MEDIA_DIR,
+      filename: (req, file, cb) => cb(null, crypto.randomBytes(16).toString("hex") + MEDIA_MIME_TYPES[file.mimetype])
+    }),
+    limits: { fileSize: Math.max(...Object.values(MEDIA_MAX_BYTES)), files: 1 },
+    fileFilter: (req, file, cb) => {
+      if (MEDIA_MIME_TYPES[file.mimetype]) return cb(null, true);
+      cb(new Error(`Unsupported media type ${file.mimetype} (images: PNG, JPEG, GIF, WebP; audio: MP3, OGG, WAV, WebM)`));
+    }
+  });
+
+  /**
+   * Delete a stored media file, logging rather than failing if it is already gone
+   * @param {string} file - File name in the media directory
+   */
+  function removeMediaFile(file) {
+    fs.promises.unlink(path.join(MEDIA_DIR, path.basename(file))).catch(error => {
+      console.warn(`⚠️ Could not delete media file ${file}:`, error.message);
+    });
+  }
+
+  /**
+   * Attach an image or audio clip to a question, replacing any previous one
+   * Multipart field: file. Images up to 2 MB, audio up to 5 MB.
+   */
+  app.post("/api/questions/:id/media", requireChannelControl, (req, res, next) => {
+    mediaUpload.single("file")(req, res, (err) => {
+      if (err) {
+        console.warn(`⚠️ Media upload rejected: ${err.message}`);
+        return res.status(400).json({ error: err.message });
       }
-  
-      console.log("🔍 Parsed values:", { answerTime, intervalTime });
-  
-      // Update settings
-      const success = await updateTriviaSettings({ answerTime, intervalTime });
-      
-      if (success) {
-        res.json({ success: true, settings: triviaSettings });
-      } else {
-        res.status(400).json({ error: "Invalid time values" });
+      next();
+    });
+  }, async (req, res) => {
+    if (!req.file) return res.status(400).json({ error: "No file uploaded" });
+
+    const kind = req.file.mimetype.split("/")[0];
+    if (req.file.size > MEDIA_MAX_BYTES[kind]) {
+      removeMediaFile(req.file.filename);
+      return res.status(400).json({ error: `${kind === "image" ? "Images" : "Audio clips"} are limited to ${MEDIA_MAX_BYTES[kind] / (1024 * 1024)} MB` });
+    }
+
+    try {
+      const question = await findQuestionParam(req, res, true);
+      if (!question) {
+        removeMediaFile(req.file.filename);
+        return;
       }
+
+      const previous = question.media_file;
+      await question.update({ media_file: req.file.filename, media_type: kind });
+      if (previous) removeMediaFile(previous);
+
+      console.log(`🖼️ Attached ${kind} to question ${question.id} for channel ${req.channelId}`);
+      res.json({ success: true, question: toEditorQuestion(question, req.channelId) });
     } catch (error) {
-      console.error("❌ Error updating settings:", error);
-      res.status(500).json({ error: "Server error" });
+      removeMediaFile(req.file.filename);
+      console.error("❌ Error attaching question media:", error);
+      res.status(500).json({ error: "Failed to attach media" });
     }
   });
-  
-  // Get broadcaster settings
-  app.get("/api/settings/:broadcasterId", async (req, res) => {
+
+  /**
+   * Remove a question's image or audio clip
+   */
+  app.delete("/api/questions/:id/media", requireChannelControl, async (req, res) => {
     try {
-      const { broadcasterId } = req.params;
-      
-      if (!broadcasterId) {
-        return res.status(400).json({ error: "Broadcaster ID is required" });
-      }
-      
-      // Get broadcaster settings or default
-      const settings = await TriviaSettings.findByPk(broadcasterId);
-      
-      // If no settings exist, return defaults
-      if (!settings) {
-        return res.json({
-          settings: {
-            broadcaster_id: broadcasterId,
-            active_categories: [],
-            active_difficulties: ["Easy", "Medium", "Hard"]
-          }
-        });
-      }
-      
-      res.json({ settings });
+      const question = await findQuestionParam(req, res, true);
+      if (!question) return;
+
+      const previous = question.media_file;
+      await question.update({ media_file: null, media_type: null });
+      if (previous) removeMediaFile(previous);
+
+      console.log(`🖼️ Removed media from question ${question.id} for channel ${req.channelId}`);
+      res.json({ success: true, question: toEditorQuestion(question, req.channelId) });
     } catch (error) {
-      console.error("❌ Error getting broadcaster settings:", error);
-      res.status(500).json({ error: "Failed to get broadcaster settings" });
+      console.error("❌ Error removing question media:", error);
+      res.status(500).json({ error: "Failed to remove media" });
     }
   });
-  
-  // Update broadcaster settings
-  app.post("/api/settings/:broadcasterId", async (req, res) => {
+
+  /**
+   * Question Pack API
+   * Packs are private to the channel that created them
+   */
+
+  /**
+   * Validate pack fields from a request body
+   * @param {Object} body - Request body with name and description
+   * @param {boolean} partial - Allow name to be left out (for updates)
+   * @returns {{values: Object}|{error: string}} - Clean values or the reason they were rejected
+   */
+  function validatePackValues(body = {}, partial = false) {
+    const values = {};
+
+    if (body.name !== undefined || !partial) {
+      const name = String(body.name ?? "").trim();
+      if (!name) return { error: "Pack name is required" };
+      if (name.length > 100) return { error: "Pack name is too long (max 100 characters)" };
+      values.name = name;
+    }
+
+    if (body.description !== undefined) {
+      values.description = body.description === null ? null : String(body.description).trim();
+    }
+
+    return { values };
+  }
+
+  /**
+   * Load one of the channel's packs by the :id route parameter
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<Object|null>} - The pack, or null once a 400/404 has been sent
+   */
+  async function findPackParam(req, res) {
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isInteger(id) || id <= 0 || String(id) !== req.params.id) {
+      res.status(400).json({ error: "Invalid pack id" });
+      return null;
+    }
+
+    const pack = await QuestionPack.findOne({ where: { id, owner_id: req.channelId } });
+    if (!pack) {
+      res.status(404).json({ error: "Pack not found" });
+      return null;
+    }
+    return pack;
+  }
+
+  // List the channel's packs with their question counts
+  app.get("/api/packs", requireChannelControl, async (req, res) => {
     try {
-      const { broadcasterId } = req.params;
-      const { activeCategories, activeDifficulties } = req.body;
-      
-      if (!broadcasterId) {
-        return res.status(400).json({ error: "Broadcaster ID is required" });
-      }
-      
-      // Validate arrays
-      if (activeCategories && !Array.isArray(activeCategories)) {
-        return res.status(400).json({ error: "activeCategories must be an array" });
-      }
-      
-      if (activeDifficulties && !Array.isArray(activeDifficulties)) {
-        return res.status(400).json({ error: "activeDifficulties must be an array" });
-      }
-      
-      // Update or create settings
-      const [settings, created] = await TriviaSettings.upsert({
-        broadcaster_id: broadcasterId,
-        active_categories: activeCategories || [],
-        active_difficulties: activeDifficulties || ["Easy", "Medium", "Hard"]
+      const packs = await QuestionPack.findAll({
+        where: { owner_id: req.channelId },
+        order: [["name", "ASC"]]
       });
-      
-      // Get count of questions matching these filters
-      const whereClause = {};
-      if (activeCategories?.length > 0) {
-        whereClause.category_id = activeCategories;
-      }
-      if (activeDifficulties?.length > 0) {
-        whereClause.difficulty = activeDifficulties;
-      }
-      
-      const count = await TriviaQuestion.count({ where: whereClause });
-      
+
+      const counts = await TriviaQuestion.findAll({
+        attributes: ["pack_id", [sequelize.fn("COUNT", sequelize.col("id")), "count"]],
+        where: { owner_id: req.channelId, pack_id: packs.map(pack => pack.id) },
+        group: ["pack_id"],
+        raw: true
+      });
+      const countByPack = Object.fromEntries(counts.map(row => [row.pack_id, Number(row.count)]));
+
       res.json({
-        settings,
-        created,
-        questionCount: count,
-        message: `Settings ${created ? 'created' : 'updated'}. ${count} questions match your filters.`
+        packs: packs.map(pack => ({
+          ...pack.get({ plain: true }),
+          questionCount: countByPack[pack.id] || 0
+        }))
       });
     } catch (error) {
-      console.error("❌ Error updating broadcaster settings:", error);
-      res.status(500).json({ error: "Failed to update broadcaster settings" });
+      console.error("❌ Error listing question packs:", error);
+      res.status(500).json({ error: "Failed to list question packs" });
     }
   });
-  
-  /**
-   * Categories and Difficulties Endpoints
-   */
-  
-  // Get all available categories
-  app.get("/api/categories", async (req, res) => {
-    // Set explicit CORS headers to make sure they're properly applied
-    res.header('Access-Control-Allow-Origin', '*');
-    res.header('Access-Control-Allow-Methods', 'GET, OPTIONS');
-    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-    
+
+  // Create a pack
+  app.post("/api/packs", requireChannelControl, async (req, res) => {
+    const { values, error } = validatePackValues(req.body);
+    if (error) return res.status(400).json({ error });
+
     try {
-      console.log(`🔍 Getting categories from database...`);
-      
-      // Get unique categories from the questions table
-      const categories = await sequelize.query(
-        "SELECT DISTINCT category_id FROM trivia_questions ORDER BY category_id",
-        { type: sequelize.QueryTypes.SELECT }
-      );
-      
-      if (!categories || categories.length === 0) {
-        console.log("⚠️ No categories found in database");
-        return res.json({ categories: [] });
-      }
-      
-      console.log(`✅ Found ${categories.length} categories`);
-      
-      // Count questions in each category
-      const categoriesWithCounts = await Promise.all(categories.map(async (category) => {
-        const count = await TriviaQuestion.count({
-          where: { category_id: category.category_id }
-        });
-        
-        return {
-          id: category.category_id,
-          name: category.category_id, // Use ID as name
-          questionCount: count
-        };
-      }));
-      
-      console.log(`✅ Returning ${categoriesWithCounts.length} categories with counts`);
-      res.json({ categories: categoriesWithCounts });
-    } catch (error) {
-      console.error("❌ Error getting categories:", error);
-      res.status(500).json({ error: "Failed to get categories", message: error.message });
+      const pack = await QuestionPack.create({ ...values, owner_id: req.channelId });
+      console.log(`📦 Pack ${pack.id} "${pack.name}" created by channel ${req.channelId}`);
+      res.status(201).json({ success: true, pack });
+    } catch (err) {
+      console.error("❌ Error creating question pack:", err);
+      res.status(500).json({ error: "Failed to create question pack" });
     }
   });
-  
-  // Get all available difficulties
-  app.get("/api/difficulties", async (req, res) => {
+
+  // Rename or describe a pack
+  app.put("/api/packs/:id", requireChannelControl, async (req, res) => {
+    const { values, error } = validatePackValues(req.body, true);
+    if (error) return res.status(400).json({ error });
+
     try {
-      // Get unique difficulties from the questions table
-      const difficulties = await sequelize.query(
-        "SELECT DISTINCT difficulty, COUNT(*) as count FROM trivia_questions GROUP BY difficulty ORDER BY FIELD(difficulty, 'Easy', 'Medium', 'Hard')",
-        { type: sequelize.QueryTypes.SELECT }
-      );
-      
-      res.json({ difficulties });
-    } catch (error) {
-      console.error("❌ Error getting difficulties:", error);
-      res.status(500).json({ error: "Failed to get difficulties" });
+      const pack = await findPackParam(req, res);
+      if (!pack) return;
+
+      await pack.update(values);
+      res.json({ success: true, pack });
+    } catch (err) {
+      console.error("❌ Error updating question pack:", err);
+      res.status(500).json({ error: "Failed to update question pack" });
     }
   });
-  
-  // Get sample questions matching filters
-  app.get("/api/sample-questions", async (req, res) => {
+
+  // Delete a pack; its questions stay in the channel's bank without a pack
+  app.delete("/api/packs/:id", requireChannelControl, async (req, res) => {
     try {
-      const { categories, difficulties, limit = 5 } = req.query;
-      
-      // Parse filter parameters
-      const categoryFilter = categories ? categories.split(',') : [];
-      const difficultyFilter = difficulties ? difficulties.split(',') : [];
-      
-      // Get sample questions
-      const questions = await loadQuestionsFromDB(
-        categoryFilter.length > 0 ? categoryFilter : undefined,
-        difficultyFilter.length > 0 ? difficultyFilter : undefined
-      );
-      
-      // Limit the number of questions returned
-      const limitedQuestions = questions.slice(0, parseInt(limit));
-      
-      // Map to simplified format for preview
-      const formattedQuestions = limitedQuestions.map(q => ({
-        id: q.id,
-        question: q.question,
-        category: q.categoryId,
-        difficulty: q.difficulty
-      }));
-      
-      res.json({
-        questions: formattedQuestions,
-        totalMatching: questions.length,
-        filters: {
-          categories: categoryFilter,
-          difficulties: difficultyFilter
+      const pack = await findPackParam(req, res);
+      if (!pack) return;
+
+      await sequelize.transaction(async (transaction) => {
+        await TriviaQuestion.update(
+          { pack_id: null },
+          { where: { owner_id: req.channelId, pack_id: pack.id }, transaction }
+        );
+        await pack.destroy({ transaction });
+
+        // Stop drawing from the deleted pack
+        const settings = await TriviaSettings.findByPk(req.channelId, { transaction });
+        const activePacks = settings?.active_packs || [];
+        if (activePacks.includes(pack.id)) {
+          await settings.update(
+            { active_packs: activePacks.filter(id => id !== pack.id) },
+            { transaction }
+          );
         }
       });
+
+      console.log(`🗑️ Pack ${pack.id} deleted by channel ${req.channelId}`);
+      res.json({ success: true, id: pack.id });
     } catch (error) {
-      console.error("❌ Error getting sample questions:", error);
-      res.status(500).json({ error: "Failed to get sample questions" });
+      console.error("❌ Error deleting question pack:", error);
+      res.status(500).json({ error: "Failed to delete question pack" });
     }
   });
-  
+
   /**
-   * CSV Upload Route
+   * Viewer Question Submissions
+   */
+  const QUESTION_SUBMISSION_LIMIT = 3;                 // submissions per viewer per window
+  const QUESTION_SUBMISSION_WINDOW = 60 * 60 * 1000;   // 1 hour
+
+  // Recent submission times, keyed by "channelId:viewerId"
+  const questionSubmissionLog = new Map();
+
+  /**
+   * Get a viewer's submission times that still count toward the rate limit
+   * @param {string} key - "channelId:viewerId"
+   * @param {number} now - Current timestamp
+   * @returns {number[]} Timestamps inside the current window
+   */
+  function recentSubmissions(key, now) {
+    const recent = (questionSubmissionLog.get(key) || []).filter(time => now - time < QUESTION_SUBMISSION_WINDOW);
+    if (recent.length > 0) {
+      questionSubmissionLog.set(key, recent);
+    } else {
+      questionSubmissionLog.delete(key);
+    }
+    return recent;
+  }
+
+  /**
+   * Give back a submission slot held for a request that failed
+   * @param {string} key - channelId:viewerId
+   * @param {number} time - Timestamp the slot was held with
+   */
+  function releaseSubmission(key, time) {
+    const log = questionSubmissionLog.get(key) || [];
+    const index = log.indexOf(time);
+    if (index !== -1) log.splice(index, 1);
+    if (log.length === 0) questionSubmissionLog.delete(key);
+  }
+
+  /**
+   * Submit a question from the viewer panel
+   * Submissions go into the channel's own questions as pending_review and
+   * are credited to the viewer when the question is asked. Viewers must
+   * have shared their Twitch identity so the credit has a name.
    */
-  const upload = multer({ dest: "uploads/" });
-  app.post("/upload-csv", upload.single("file"), (req, res) => {
+  app.post("/api/questions/submit", requireViewer, async (req, res) => {
+    if (!req.twitchUser.user_id) {
+      return res.status(403).json({ error: "Share your Twitch identity to submit questions" });
+    }
+
+    const key = `${req.channelId}:${req.viewerId}`;
+    const now = Date.now();
+    const recent = recentSubmissions(key, now);
+    if (recent.length >= QUESTION_SUBMISSION_LIMIT) {
+      const retryAfter = Math.ceil((recent[0] + QUESTION_SUBMISSION_WINDOW - now) / 1000);
+      res.setHeader("Retry-After", retryAfter);
+      return res.status(429).json({
+        error: `You can submit ${QUESTION_SUBMISSION_LIMIT} questions per hour. Try again later.`,
+        retryAfter
+      });
+    }
+
+    const { values, error } = validateQuestionValues(pickQuestionFields(req.body));
+    if (error) return res.status(400).json({ error });
+
+    // Hold the slot before anything async, so parallel requests can't all
+    // pass the check above; it is given back unless the question is saved
+    recent.push(now);
+    questionSubmissionLog.set(key, recent);
+    let saved = false;
+
     try {
-      if (!req.file) return res.status(400).json({ error: "No file uploaded" });
-  
-      const file = req.file.path;
-      const lines = fs.readFileSync(file, "utf-8").split("\n");
-  
-      // Better validation and error handling for CSV
-      triviaQuestions = lines.reduce((questions, rawLine, index) => {
-        const line = rawLine.trim();
-        if (!line) return questions; // skip empty lines
-  
-        const q = line.replace(/\r/g, "").split(",");
-        
-        // Ensure at least 5 columns: question + 4 choices
-        if (q.length < 5) {
-          console.warn(`❌ Line ${index + 1}: Skipping invalid line (not enough columns)`);
-          return questions;
-        }
-  
-        // Add question with stricter validation
-        try {
-          questions.push({
-            question: q[0],
-            choices: [q[1], q[2], q[3], q[4]], // no shuffling here
-            correctAnswer: q[1],
-          });
-        } catch (error) {
-          console.error(`❌ Line ${index + 1}: Error parsing question:`, error);
-        }
-        
-        return questions;
-      }, []);
-  
-      console.log(`✅ Trivia questions updated: ${triviaQuestions.length} valid questions loaded`);
-      
-      if (triviaQuestions.length === 0) {
-        return res.status(400).json({ error: "No valid questions found in CSV!" });
+      // Viewers pick from the channel's existing categories rather than inventing new ones
+      const categoryExists = await TriviaQuestion.count({
+        where: { ...visibleQuestionsWhere(req.channelId), category_id: values.category_id }
+      });
+      if (!categoryExists) {
+        return res.status(400).json({ error: `Unknown category "${values.category_id}"` });
       }
-      
-      res.json({ message: `✅ ${triviaQuestions.length} trivia questions uploaded successfully!` });
-    } catch (error) {
-      console.error("❌ Error processing CSV:", error);
-      res.status(500).json({ error: "Failed to upload trivia questions." });
+
+      const duplicates = findSimilarQuestions(
+        await loadQuestionIndex(visibleQuestionsWhere(req.channelId)),
+        values.question
+      );
+      if (duplicates.some(duplicate => duplicate.similarity === 1)) {
+        return res.status(409).json({ error: "That question has already been submitted" });
+      }
+
+      const question = await TriviaQuestion.create({
+        ...values,
+        owner_id: req.channelId,
+        pack_id: null,
+        status: "pending_review",
+        submitted_by: req.viewerId,
+        submitted_by_name: await resolveViewerName(req.twitchUser)
+      });
+      saved = true;
+
+      console.log(`💡 Question ${question.id} submitted by ${question.submitted_by_name || req.viewerId} in channel ${req.channelId}`);
+      res.status(201).json({
+        success: true,
+        id: question.id,
+        status: question.status,
+        remaining: Math.max(QUESTION_SUBMISSION_LIMIT - recentSubmissions(key, Date.now()).length, 0)
+      });
+    } catch (err) {
+      console.error("❌ Error saving submitted question:", err);
+      res.status(500).json({ error: "Failed to submit question" });
+    } finally {
+      if (!saved) releaseSubmission(key, now);
     }
   });
-  
+
   /**
    * Export Scores Endpoint
    */
   app.get("/export-scores", async (req, res) => {
+    // Export the channel in the token (or ?channelId=)
+    const channelId = getRequestChannelId(req);
+    // Read-only lookup, so an unknown ?channelId= doesn't leave an entry behind
+    const memoryScores = usersScores[channelId] || {};
+
     try {
-      const jwtToken = req.query.jwt;
-      
-      // Validate JWT if provided
-      if (jwtToken) {
-        try {
-          jwt.verify(jwtToken, extSecretBuffer, { algorithms: ['HS256'] });
-          console.log("✅ Valid JWT token provided for export-scores");
-        } catch (jwtError) {
-          console.warn("⚠️ Invalid JWT for export-scores, continuing anyway");
-        }
-      }
-      
-      // Fetch all scores from database
+      // Fetch the channel's scores from database
       const allScores = await Score.findAll({
+        where: { channelId },
         order: [['score', 'DESC']]
       });
   
@@ -2774,7 +6755,7 @@ app.get("/trivia-status", (req, res) => {
       });
   
       // Add any scores that might only exist in memory
-      for (const [userId, score] of Object.entries(usersScores)) {
+      for (const [userId, score] of Object.entries(memoryScores)) {
         // Skip if already in database results
         if (allScores.some(record => record.userId === userId)) continue;
         
@@ -2790,7 +6771,7 @@ app.get("/trivia-status", (req, res) => {
       
       // Fallback to memory-only export
       let csvContent = "User ID,Username,Score,Source\n";
-      Object.entries(usersScores).forEach(([userId, score]) => {
+      Object.entries(memoryScores).forEach(([userId, score]) => {
         const username = getUsername(userId);
         csvContent += `${userId},${username},${score},memory-fallback\n`;
       });
@@ -2804,36 +6785,26 @@ app.get("/trivia-status", (req, res) => {
   /**
    * Twitch Message Handler Endpoint
    */
-  app.post("/twitch/message", express.json(), async (req, res) => {
+  app.post("/twitch/message", express.json(), requireChannelControl, async (req, res) => {
     try {
-      const { channelId, message } = req.body;
+      const { message } = req.body;
+      const channelId = req.channelId;
       
-      if (!channelId || !message || !message.type) {
+      if (!message || !message.type) {
         return res.status(400).json({ error: "Invalid request parameters" });
       }
+
+      if (req.body.channelId && String(req.body.channelId) !== channelId) {
+        return res.status(403).json({ error: "Channel does not match token" });
+      }
       
       console.log(`📩 Received Twitch message: ${message.type} for channel ${channelId}`);
       
       switch (message.type) {
         // Categories handling
         case "GET_CATEGORIES":
-          const categories = await sequelize.query(
-              "SELECT DISTINCT category_id FROM trivia_questions ORDER BY category_id",
-              { type: sequelize.QueryTypes.SELECT }
-          );
-          
-          // Count questions in each category
-          const categoriesWithCounts = await Promise.all(categories.map(async (category) => {
-              const count = await TriviaQuestion.count({
-                  where: { category_id: category.category_id }
-              });
-              
-              return {
-                  id: category.category_id,
-                  name: category.category_id, // Use ID as name if no separate name exists
-                  questionCount: count
-              };
-          }));
+          // Count questions in each category this channel draws from
+          const categoriesWithCounts = await countQuestionsByCategory(await getQuestionScope(channelId));
           
           // Broadcast categories back to the extension
           await broadcastToTwitch(channelId, {
@@ -2845,10 +6816,7 @@ app.get("/trivia-status", (req, res) => {
         // Difficulties handling
         case "GET_DIFFICULTIES":
           // Get difficulties and broadcast back to Twitch
-          const difficulties = await sequelize.query(
-            "SELECT DISTINCT difficulty, COUNT(*) as count FROM trivia_questions GROUP BY difficulty ORDER BY FIELD(difficulty, 'Easy', 'Medium', 'Hard')",
-            { type: sequelize.QueryTypes.SELECT }
-          );
+          const difficulties = await countQuestionsByDifficulty(await getQuestionScope(channelId));
           
           // Broadcast difficulties back to the extension
           await broadcastToTwitch(channelId, {
@@ -2860,15 +6828,23 @@ app.get("/trivia-status", (req, res) => {
         // Broadcaster settings handling
         case "GET_BROADCASTER_SETTINGS":
           // Get broadcaster settings
-          const settings = await TriviaSettings.findByPk(message.broadcasterId || channelId);
+          const settings = await TriviaSettings.findByPk(channelId);
           
           // Broadcast settings back to the extension
           await broadcastToTwitch(channelId, {
             type: "BROADCASTER_SETTINGS_RESPONSE",
             settings: settings || {
-              broadcaster_id: message.broadcasterId || channelId,
+              broadcaster_id: channelId,
               active_categories: [],
-              active_difficulties: ["Easy", "Medium", "Hard"]
+              active_difficulties: ["Easy", "Medium", "Hard"],
+              allow_moderator_control: false,
+              answer_time: DEFAULT_TRIVIA_SETTINGS.answerTime,
+              interval_time: DEFAULT_TRIVIA_SETTINGS.intervalTime,
+              question_source: "both",
+              active_packs: [],
+              partial_credit: DEFAULT_TRIVIA_SETTINGS.partialCredit,
+              numeric_bonus_places: DEFAULT_TRIVIA_SETTINGS.numericBonusPlaces,
+              tag_filters: { any: [], all: [], exclude: [] }
             }
           });
           break;
@@ -2878,20 +6854,26 @@ app.get("/trivia-status", (req, res) => {
           // Get question stats based on selected filters
           const categoryFilter = message.categories || [];
           const difficultyFilter = message.difficulties || [];
+          const tagFilter = readTagFilters(message.tagFilters);
+          if (tagFilter.error) {
+            return res.status(400).json({ error: tagFilter.error });
+          }
           
           console.log(`📊 GET_QUESTION_STATS received with filters:`, {
             categories: categoryFilter,
-            difficulties: difficultyFilter
+            difficulties: difficultyFilter,
+            tags: tagFilter.tagFilters
           });
           
           // Build where clause
-          const whereClause = {};
+          let whereClause = { ...await getQuestionScope(channelId) };
           if (categoryFilter.length > 0) {
-            whereClause.category_id = categoryFilter;
+            whereClause.category_id = await expandCategoryIds(categoryFilter);
           }
           if (difficultyFilter.length > 0) {
             whereClause.difficulty = difficultyFilter;
           }
+          whereClause = applyTagFilters(whereClause, tagFilter.tagFilters);
           
           // Count matching questions
           let count = 0;
@@ -2911,7 +6893,8 @@ app.get("/trivia-status", (req, res) => {
             totalMatching: count,
             filters: {
               categories: categoryFilter,
-              difficulties: difficultyFilter
+              difficulties: difficultyFilter,
+              tags: tagFilter.tagFilters
             }
           });
           break;
@@ -2919,18 +6902,26 @@ app.get("/trivia-status", (req, res) => {
         // Save filters handling
         case "SAVE_FILTERS":
           // Save broadcaster filters
-          const [updatedSettings, created] = await TriviaSettings.upsert({
-            broadcaster_id: message.broadcasterId,
+          const savedTags = message.tagFilters !== undefined ? readTagFilters(message.tagFilters) : null;
+          if (savedTags?.error) {
+            return res.status(400).json({ error: savedTags.error });
+          }
+
+          const [updatedSettings, created] = await saveBroadcasterSettings(channelId, {
             active_categories: message.activeCategories || [],
-            active_difficulties: message.activeDifficulties || ["Easy", "Medium", "Hard"]
+            active_difficulties: message.activeDifficulties || ["Easy", "Medium", "Hard"],
+            ...(savedTags && { tag_filters: savedTags.tagFilters })
           });
           
           // Get sample counts for response
           const matchingCount = await TriviaQuestion.count({
-            where: {
-              category_id: message.activeCategories?.length > 0 ? message.activeCategories : { [Sequelize.Op.ne]: null },
+            where: applyTagFilters({
+              ...await getQuestionScope(channelId),
+              category_id: message.activeCategories?.length > 0
+                ? await expandCategoryIds(message.activeCategories)
+                : { [Sequelize.Op.ne]: null },
               difficulty: message.activeDifficulties?.length > 0 ? message.activeDifficulties : { [Sequelize.Op.ne]: null }
-            }
+            }, updatedSettings.tag_filters || {})
           });
           
           // Broadcast response back to the extension
@@ -2954,18 +6945,13 @@ app.get("/trivia-status", (req, res) => {
             intervalTime
           });
           
-          if (
-            typeof answerTime !== "number" ||
-            typeof intervalTime !== "number" ||
-            answerTime < 5000 || answerTime > 60000 ||  
-            intervalTime < 60000 || intervalTime > 1800000  
-          ) {
+          if (!isValidTiming(answerTime, intervalTime)) {
             console.error("❌ Invalid time values:", { answerTime, intervalTime });
             return res.status(400).json({ error: "Invalid time values" });
           }
           
           // Update settings
-          const settingsUpdateSuccess = await updateTriviaSettings({
+          const settingsUpdateSuccess = await updateTriviaSettings(channelId, {
             answerTime, 
             intervalTime
           });
@@ -2978,7 +6964,7 @@ app.get("/trivia-status", (req, res) => {
         // Start trivia handling
         case "START_TRIVIA":
           // Only start if not already running
-          if (triviaActive) {
+          if (getChannelSession(channelId).triviaActive) {
             console.log("⚠️ Trivia is already running. Ignoring start request.");
             return res.json({ success: false, message: "Trivia is already running!" });
           }
@@ -3014,8 +7000,12 @@ app.get("/trivia-status", (req, res) => {
   app.get("/debug/user-ids", (req, res) => {
     try {
       // Get all user IDs from the various stores
-      const scoreIds = Object.keys(usersScores);
-      const sessionIds = Object.keys(userSessionScores);
+      // Read-only lookups, so an unknown ?channelId= doesn't create a session
+      const channelId = String(req.query.channelId || EXT_OWNER_ID);
+      const memoryScores = usersScores[channelId] || {};
+      const scoreIds = Object.keys(memoryScores);
+      const sessionScores = channelSessions[channelId]?.sessionScores || {};
+      const sessionIds = Object.keys(sessionScores);
       const usernameIds = Object.keys(userIdToUsername);
       
       // Find sample IDs
@@ -3032,8 +7022,8 @@ app.get("/trivia-status", (req, res) => {
           containsNonAlphaNum: /[^a-zA-Z0-9]/.test(id)
         },
         username: userIdToUsername[id] || null,
-        hasScore: id in usersScores,
-        sessionScore: userSessionScores[id] || 0
+        hasScore: id in memoryScores,
+        sessionScore: sessionScores[id] || 0
       }));
       
       res.json({
@@ -3108,28 +7098,6 @@ app.get("/trivia-status", (req, res) => {
     }
   });
   
-  // Debug: Set username manually
-  app.post("/debug/set-username", express.json(), async (req, res) => {
-    try {
-      const { userId, username } = req.body;
-      
-      if (!userId || !username) {
-        return res.status(400).json({ error: "Both userId and username are required" });
-      }
-      
-      // Set username
-      const success = await setUsername(userId, username);
-      
-      res.json({
-        success,
-        message: success ? `Username for ${userId} set to "${username}"` : "Failed to set username",
-        currentMappings: Object.keys(userIdToUsername).length
-      });
-    } catch (error) {
-      res.status(500).json({ error: error.message });
-    }
-  });
-  
   /**
    * Proxy Endpoints for Extension
    */
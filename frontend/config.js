@@ -25,10 +25,31 @@ const CONFIG = {
       disableDelay: 1000     // 1 second for button disable after click
     },
     
+    // Questions shown per page in the question browser
+    QUESTION_PAGE_SIZE: 10,
+    
+    // Difficulty levels offered in the question editor
+    DIFFICULTIES: ["Easy", "Medium", "Hard"],
+    
+    // How many choices a multiple-choice or multi-select question may have
+    QUESTION_CHOICES: { min: 2, max: 6 },
+    
+    // File types the server accepts as question media
+    QUESTION_MEDIA_TYPES: "image/png,image/jpeg,image/gif,image/webp,audio/mpeg,audio/ogg,audio/wav,audio/webm",
+    
+    // Question review statuses and how they are shown
+    QUESTION_STATUSES: {
+      draft: "📝 Draft",
+      pending_review: "⏳ Pending review",
+      approved: "✅ Approved",
+      retired: "🗄️ Retired"
+    },
+    
     // DOM element IDs for easy reference
     DOM_IDS: {
       // Containers
       categoriesList: "categories-list",
+      categoryManager: "category-manager",
       difficultiesList: "difficulties-list",
       leaderboardBody: "leaderboard-body",
       questionStats: "question-stats",
@@ -37,6 +58,27 @@ const CONFIG = {
       // Inputs & form elements
       answerTime: "answer-time",
       intervalTime: "interval-time",
+      allowModeratorControl: "allow-moderator-control",
+      partialCredit: "partial-credit",
+      numericBonusPlaces: "numeric-bonus-places",
+      uploadFile: "upload-trivia",
+      uploadDryRun: "upload-dry-run",
+      uploadReport: "upload-report",
+      questionSearch: "question-search",
+      questionList: "question-list",
+      questionPageInfo: "question-page-info",
+      questionSource: "question-source",
+      packsList: "packs-list",
+      newPackName: "new-pack-name",
+      uploadPack: "upload-pack",
+      duplicatesReport: "duplicates-report",
+      questionStatusFilter: "question-status-filter",
+      reviewCount: "review-count",
+      suggestionCount: "suggestion-count",
+      tagFilterAny: "tag-filter-any",
+      tagFilterAll: "tag-filter-all",
+      tagFilterExclude: "tag-filter-exclude",
+      tagList: "tag-list",
       
       // Buttons
       saveSettings: "save-settings",
@@ -45,7 +87,18 @@ const CONFIG = {
       saveFilters: "save-filters",
       showSessionScores: "show-session-scores",
       showTotalScores: "show-total-scores",
-      refreshLeaderboard: "refresh-leaderboard"
+      refreshLeaderboard: "refresh-leaderboard",
+      uploadQuestions: "upload-btn",
+      exportCsv: "export-csv",
+      exportJson: "export-json",
+      questionSearchBtn: "question-search-btn",
+      questionNew: "question-new",
+      questionPrev: "question-prev",
+      questionNext: "question-next",
+      createPack: "create-pack",
+      findDuplicates: "find-duplicates",
+      reviewQueue: "review-queue",
+      difficultySuggestions: "difficulty-suggestions"
     },
     
     // CSS classes
@@ -72,10 +125,31 @@ const CONFIG = {
     data: {
       // Content data
       categories: [],
+      managedCategories: [],  // categories the channel can see, with an editable flag
       difficulties: [],
       selectedCategories: [],
       selectedDifficulties: ["Easy", "Medium", "Hard"], // Default to all difficulties
+      tags: [],               // tags on the channel's questions, with question counts
+      tagFilters: { any: [], all: [], exclude: [] },
+      allowModeratorControl: false,
+      partialCredit: 50,      // percent of full points for a close typed answer
+      numericBonusPlaces: 3,  // closest numeric guesses that earn a bonus
       totalQuestions: 0,
+      packs: [],
+      questionSource: 'both', // 'shared', 'custom' or 'both'
+      activePacks: [],        // empty means all of the channel's custom questions
+      questionBrowser: {
+        questions: [],
+        search: '',
+        status: '',       // status filter; 'pending_review' shows the review queue
+        suggestedOnly: false, // only questions with a difficulty suggestion
+        page: 1,
+        totalPages: 1,
+        total: 0,
+        pendingCount: 0,
+        suggestionCount: 0,
+        editingId: null // question id, 'new' for the create form, or null
+      },
       leaderboardData: {
         total: [],
         session: []
@@ -103,6 +177,11 @@ const CONFIG = {
       return this;
     },
     
+    setManagedCategories(categories) {
+      this.data.managedCategories = Array.isArray(categories) ? categories : [];
+      return this;
+    },
+    
     setSelectedCategories(categoryIds) {
       this.data.selectedCategories = Array.isArray(categoryIds) ? categoryIds : [];
       return this;
@@ -119,12 +198,103 @@ const CONFIG = {
       return this;
     },
     
+    // Tag methods
+    setTags(tags) {
+      this.data.tags = Array.isArray(tags) ? tags : [];
+      return this;
+    },
+    
+    setTagFilters(tagFilters = {}) {
+      const list = value => Array.isArray(value) ? value : [];
+      this.data.tagFilters = {
+        any: list(tagFilters?.any),
+        all: list(tagFilters?.all),
+        exclude: list(tagFilters?.exclude)
+      };
+      return this;
+    },
+    
+    // Moderator access
+    setAllowModeratorControl(allowed) {
+      this.data.allowModeratorControl = !!allowed;
+      return this;
+    },
+    
+    setPartialCredit(percent) {
+      const value = parseInt(percent, 10);
+      if (!isNaN(value)) this.data.partialCredit = value;
+      return this;
+    },
+    
+    setNumericBonusPlaces(places) {
+      const value = parseInt(places, 10);
+      if (!isNaN(value)) this.data.numericBonusPlaces = value;
+      return this;
+    },
+    
     // Stats and counts
     setTotalQuestions(count) {
       this.data.totalQuestions = parseInt(count) || 0;
       return this;
     },
     
+    // Custom question packs
+    setPacks(packs) {
+      this.data.packs = Array.isArray(packs) ? packs : [];
+      return this;
+    },
+    
+    setQuestionSource(source, activePacks) {
+      if (['shared', 'custom', 'both'].includes(source)) {
+        this.data.questionSource = source;
+      }
+      if (Array.isArray(activePacks)) {
+        this.data.activePacks = activePacks;
+      }
+      return this;
+    },
+    
+    // Question browser
+    setQuestionPage(result = {}) {
+      const browser = this.data.questionBrowser;
+      browser.questions = Array.isArray(result.questions) ? result.questions : [];
+      browser.page = parseInt(result.page) || 1;
+      browser.totalPages = parseInt(result.totalPages) || 1;
+      browser.total = parseInt(result.total) || 0;
+      browser.pendingCount = parseInt(result.pendingCount) || 0;
+      browser.suggestionCount = parseInt(result.suggestionCount) || 0;
+      return this;
+    },
+    
+    toggleQuestionSuggestedFilter() {
+      this.data.questionBrowser.suggestedOnly = !this.data.questionBrowser.suggestedOnly;
+      this.data.questionBrowser.page = 1;
+      return this;
+    },
+    
+    setQuestionStatusFilter(status) {
+      this.data.questionBrowser.status = status || '';
+      this.data.questionBrowser.page = 1;
+      return this;
+    },
+    
+    setQuestionSearch(search) {
+      this.data.questionBrowser.search = (search || '').trim();
+      this.data.questionBrowser.page = 1;
+      return this;
+    },
+    
+    setQuestionBrowserPage(page) {
+      const browser = this.data.questionBrowser;
+      browser.page = Math.min(Math.max(page, 1), browser.totalPages);
+      return this;
+    },
+    
+    setEditingQuestion(id) {
+      this.data.questionBrowser.editingId = id;
+      return this;
+    },
+    
     // Leaderboard data
     setLeaderboardData(data) {
       if (data) {
@@ -179,7 +349,8 @@ const CONFIG = {
     getFilterState() {
       return {
         categories: this.data.selectedCategories,
-        difficulties: this.data.selectedDifficulties
+        difficulties: this.data.selectedDifficulties,
+        tagFilters: this.data.tagFilters
       };
     },
     
@@ -267,7 +438,10 @@ const ApiService = {
       if (!response.ok) {
         const errorData = await response.json().catch(() => ({}));
         console.error(`❌ API Error (${response.status}):`, errorData);
-        throw new Error(`HTTP error ${response.status}: ${errorData.error || response.statusText}`);
+        const apiError = new Error(`HTTP error ${response.status}: ${errorData.error || response.statusText}`);
+        apiError.status = response.status;
+        apiError.data = errorData;
+        throw apiError;
       }
       
       return await response.json();
@@ -333,9 +507,10 @@ const ApiService = {
    * Get question stats based on filters
    * @param {Array} categories - Array of category IDs
    * @param {Array} difficulties - Array of difficulty levels
+   * @param {Object} tagFilters - any, all and exclude lists of tag names
    * @returns {Promise<Object>} - Response from server
    */
-  async getQuestionStats(categories = [], difficulties = []) {
+  async getQuestionStats(categories = [], difficulties = [], tagFilters = {}) {
     try {
       
       // Build query string
@@ -349,6 +524,10 @@ const ApiService = {
         params.append('difficulties', difficulties.join(','));
       }
       
+      [['anyTags', tagFilters.any], ['allTags', tagFilters.all], ['excludeTags', tagFilters.exclude]]
+        .filter(([, tags]) => tags && tags.length > 0)
+        .forEach(([name, tags]) => params.append(name, tags.join(',')));
+      
       const endpoint = `/api/sample-questions?${params.toString()}`;
       const data = await this.request(endpoint);
       
@@ -365,7 +544,8 @@ const ApiService = {
       TwitchService.sendMessage({
         type: 'GET_QUESTION_STATS',
         categories: categories,
-        difficulties: difficulties
+        difficulties: difficulties,
+        tagFilters: tagFilters
       });
       
       throw error;
@@ -378,7 +558,7 @@ const ApiService = {
    */
   async getLeaderboard() {
     try {
-      const data = await this.request('/api/leaderboard');
+      const data = await this.request(`/api/leaderboard?channelId=${TriviaState.data.broadcasterId || ''}`);
       
       // Update state with leaderboard data
       if (data) {
@@ -410,8 +590,22 @@ const ApiService = {
       if (data && data.settings) {
         TriviaState
           .setSelectedCategories(data.settings.active_categories || [])
-          .setSelectedDifficulties(data.settings.active_difficulties || ["Easy", "Medium", "Hard"]);
+          .setSelectedDifficulties(data.settings.active_difficulties || ["Easy", "Medium", "Hard"])
+          .setTagFilters(data.settings.tag_filters)
+          .setAllowModeratorControl(data.settings.allow_moderator_control)
+          .setPartialCredit(data.settings.partial_credit)
+          .setNumericBonusPlaces(data.settings.numeric_bonus_places)
+          .setQuestionSource(data.settings.question_source, data.settings.active_packs || [])
+          .updateSettings({
+            answerTime: data.settings.answer_time,
+            intervalTime: data.settings.interval_time
+          });
         
+        UI.renderModeratorControl();
+        UI.renderPartialCredit();
+        UI.renderTagFilters();
+        UI.renderPacks();
+        UI.updateSettingsInputs();
       }
       
       return data;
@@ -475,774 +669,2485 @@ const ApiService = {
     }
   },
 
-    // Add this method inside the ApiService object
-    async checkTriviaStatus() {
-      try {
-        const response = await this.request('/trivia-status');
-        return response;
-      } catch (error) {
-        console.error("❌ Error checking trivia status:", error);
-        throw error;
-      }
-    },
-  
   /**
-   * Save filter preferences for broadcaster
+   * Save whether moderators may control trivia for the channel
    * @param {string} broadcasterId - Broadcaster's Twitch ID
-   * @param {Object} filters - Filter object with categories and difficulties
+   * @param {boolean} allowed - New moderator access value
    * @returns {Promise<Object>} - Response from server
    */
-  async saveFilters(broadcasterId, filters) {
+  async saveModeratorControl(broadcasterId, allowed) {
     if (!broadcasterId) {
-      console.error("❌ Missing broadcaster ID for saving filters");
+      console.error("❌ Missing broadcaster ID for saving moderator access");
       return { success: false, error: "Missing broadcaster ID" };
     }
     
     try {
-      
       const data = await this.request(`/api/settings/${broadcasterId}`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          activeCategories: filters.categories,
-          activeDifficulties: filters.difficulties
-        })
+        body: JSON.stringify({ allowModeratorControl: allowed })
       });
       
+      TriviaState.setAllowModeratorControl(allowed);
       return { ...data, success: true };
     } catch (error) {
-      console.error("❌ Error saving filters:", error);
-      
-      // Try fallback via Twitch messaging
-      TwitchService.sendMessage({
-        type: 'SAVE_FILTERS',
-        broadcasterId: broadcasterId,
-        activeCategories: filters.categories,
-        activeDifficulties: filters.difficulties
-      });
-      
-      // Return error response with fallback info
-      return { 
-        success: false, 
-        error: error.message || "Failed to save filters",
-        fallback: "Used Twitch messaging"
-      };
+      console.error("❌ Error saving moderator access:", error);
+      return { success: false, error: error.message || "Failed to save moderator access" };
     }
   },
   
   /**
-   * Start trivia with improved error handling
-   * @param {string} broadcasterId - The broadcaster's Twitch ID
+   * Save the partial credit given for close free-text answers
+   * @param {string} broadcasterId - Broadcaster's Twitch ID
+   * @param {number} percent - Percent of full points (0 turns partial credit off)
    * @returns {Promise<Object>} - Response from server
    */
-  async startTrivia(broadcasterId) {
-    if (!broadcasterId) {
-      console.error("❌ Missing broadcaster ID for starting trivia");
-      return { success: false, error: "Missing broadcaster ID" };
-    }
-    
-    // Log full request details for debugging
-    
+  async savePartialCredit(broadcasterId, percent) {
     try {
-      const result = await this.request('/start-trivia', {
+      const data = await this.request(`/api/settings/${broadcasterId}`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ broadcasterId })
+        body: JSON.stringify({ partialCredit: percent })
       });
       
-      TriviaState.setTriviaActive(true);
-      return result;
+      TriviaState.setPartialCredit(percent);
+      return { ...data, success: true };
     } catch (error) {
-      console.error("❌ Error starting trivia via API:", error);
-      
-      // Provide more detailed error info
-      const errorInfo = {
-        success: false,
-        error: error.message || "Failed to start trivia",
-        details: {
-          broadcasterId: broadcasterId,
-          hasAuth: !!TriviaState.data.authToken,
-          timestamp: new Date().toISOString()
-        }
-      };
-      
-      // Check the connection and try to recover
-      this.checkConnection()
-        .then(isConnected => {
-          if (!isConnected) {
-            TwitchService.sendMessage({
-              type: 'START_TRIVIA',
-              broadcasterId
-            });
-          }
-        });
-      
-      return errorInfo;
+      console.error("❌ Error saving partial credit:", error);
+      return { success: false, error: error.message || "Failed to save partial credit" };
     }
   },
   
   /**
-   * End trivia with improved error handling
-   * @param {string} broadcasterId - The broadcaster's Twitch ID
+   * Save how many of the closest numeric guesses earn a bonus
+   * @param {string} broadcasterId - Broadcaster's Twitch ID
+   * @param {number} places - Number of bonus places (0 turns bonuses off)
    * @returns {Promise<Object>} - Response from server
    */
-  async endTrivia(broadcasterId) {
-    if (!broadcasterId) {
-      console.error("❌ Missing broadcaster ID for ending trivia");
-      return { success: false, error: "Missing broadcaster ID" };
-    }
-    
+  async saveNumericBonusPlaces(broadcasterId, places) {
     try {
-      const result = await this.request('/end-trivia', {
+      const data = await this.request(`/api/settings/${broadcasterId}`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ broadcasterId })
+        body: JSON.stringify({ numericBonusPlaces: places })
       });
       
-      TriviaState.setTriviaActive(false);
-      return result;
+      TriviaState.setNumericBonusPlaces(places);
+      return { ...data, success: true };
     } catch (error) {
-      console.error("❌ Error ending trivia via API:", error);
-      
-      // Try fallback to Twitch messaging
-      TwitchService.sendMessage({
-        type: 'END_TRIVIA',
-        broadcasterId
-      });
-      
-      // Set active state anyway for UI
-      TriviaState.setTriviaActive(false);
-      
-      // Return a fake success response for the UI
-      return { 
-        success: false, 
-        error: error.message || "Failed to end trivia via API",
-        fallback: "Used Twitch messaging instead"
-      };
+      console.error("❌ Error saving numeric bonus places:", error);
+      return { success: false, error: error.message || "Failed to save bonus places" };
     }
   },
   
   /**
-   * Check API connection health
-   * @returns {Promise<boolean>} True if connection is healthy
+   * Upload a question CSV for import
+   * @param {File} file - CSV file chosen by the broadcaster
+   * @param {boolean} dryRun - Only validate the file without importing
+   * @param {string} packId - Pack to import into (empty for none)
+   * @returns {Promise<Object>} - Import report from server
    */
-  async checkConnection() {
+  async uploadQuestions(file, dryRun, packId) {
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('dryRun', dryRun ? 'true' : 'false');
+    if (packId) formData.append('packId', packId);
+    
     try {
-      // Use a lightweight endpoint to check connection
-      const response = await fetch(`${CONFIG.API_BASE_URL()}/api/ping`, {
-        method: 'GET',
-        headers: { 'Cache-Control': 'no-cache' },
-        // Short timeout to quickly detect issues
-        signal: AbortSignal.timeout(3000)
+      const data = await this.request('/upload-csv', {
+        method: 'POST',
+        body: formData
       });
       
-      return response.ok;
+      return { ...data, success: true };
     } catch (error) {
-      console.warn("⚠️ API connection check failed:", error);
-      return false;
+      console.error("❌ Error uploading questions:", error);
+      return { success: false, error: error.message || "Failed to upload questions" };
     }
   },
   
   /**
-   * Reconnect to API and recover session
-   * Call this when connection issues are detected
+   * Download the question bank, limited to the selected filters
+   * @param {string} format - "csv" or "json"
+   * @returns {Promise<Blob>} - Exported file contents
    */
-  async reconnect() {
+  async exportQuestions(format) {
+    const params = new URLSearchParams({ format });
+    if (TriviaState.data.selectedCategories.length > 0) {
+      params.set('categories', TriviaState.data.selectedCategories.join(','));
+    }
+    if (TriviaState.data.selectedDifficulties.length > 0) {
+      params.set('difficulties', TriviaState.data.selectedDifficulties.join(','));
+    }
+    
+    const response = await fetch(`${CONFIG.API_BASE_URL()}/api/questions/export?${params}`, {
+      headers: { 'Authorization': `Bearer ${TriviaState.data.authToken}` }
+    });
+    
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(`HTTP error ${response.status}: ${errorData.error || response.statusText}`);
+    }
+    
+    return response.blob();
+  },
+  
+  /**
+   * Get the broadcaster's custom question packs
+   * @returns {Promise<Object>} - Packs with question counts
+   */
+  async getPacks() {
+    const data = await this.request('/api/packs');
+    
+    if (data && data.packs) {
+      TriviaState.setPacks(data.packs);
+    }
     
+    return data;
+  },
+  
+  /**
+   * Get the categories the channel can see, for the category manager
+   * @returns {Promise<Object>} - Response from server
+   */
+  async getManagedCategories() {
+    const data = await this.request('/api/categories/manage');
+    
+    if (data && data.categories) {
+      TriviaState.setManagedCategories(data.categories);
+    }
+    
+    return data;
+  },
+  
+  /**
+   * Get the tags on the channel's questions, for the tag filters
+   * @returns {Promise<Object>} - Response from server
+   */
+  async getTags() {
+    const data = await this.request('/api/tags');
+    
+    if (data && data.tags) {
+      TriviaState.setTags(data.tags);
+    }
+    
+    return data;
+  },
+  
+  /**
+   * Rename a category or change its description, icon or color
+   * @param {string} id - Category id
+   * @param {Object} values - name, description, icon and/or color
+   * @returns {Promise<Object>} - Updated category or error
+   */
+  async saveCategory(id, values) {
     try {
-      // Request new authorization from Twitch instead of just failing
-      if (!TriviaState.data.broadcasterId || !TriviaState.data.authToken) {
-        if (window.Twitch && window.Twitch.ext && window.Twitch.ext.actions) {
-          // Use the correct method
-          if (typeof window.Twitch.ext.actions.requestIdShare === 'function') {
-            window.Twitch.ext.actions.requestIdShare();
-            return true; // We've started the reauthorization process
-          }
-        } else {
-          console.error("❌ Twitch SDK not available for reauthorization");
-          return false;
-        }
-      }
-      
-      // Rest of your reconnect function...
+      const data = await this.request(`/api/categories/${encodeURIComponent(id)}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(values)
+      });
+      return { ...data, success: true };
     } catch (error) {
-      console.error("❌ Error during API reconnection:", error);
-      return false;
+      console.error("❌ Error saving category:", error);
+      return { success: false, error: error.message || "Failed to save category" };
     }
-  }
-};
+  },
   
   /**
-   * ====================================
-   * SECTION 4: UI Component Management
-   * ====================================
-   * Handles rendering and updating the user interface.
-   * Each component has its own render and update methods.
+   * Merge a category into another one
+   * @param {string} id - Category to merge away
+   * @param {string} into - Category that receives its questions
+   * @returns {Promise<Object>} - Number of questions moved, or error
    */
+  async mergeCategory(id, into) {
+    try {
+      const data = await this.request(`/api/categories/${encodeURIComponent(id)}/merge`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ into })
+      });
+      return { ...data, success: true };
+    } catch (error) {
+      console.error("❌ Error merging categories:", error);
+      return { success: false, error: error.message || "Failed to merge categories" };
+    }
+  },
   
-  const UI = {
-    /**
-     * Initialize all UI components
-     */
-    init() {
-      // Initial renderings will happen when data is available
-    },
-    
-    /**
-     * Category UI methods
-     */
-    renderCategories() {
-      const container = document.getElementById(CONFIG.DOM_IDS.categoriesList);
-      
-      if (!container) {
-        console.error("❌ Categories container not found!");
-        return;
-      }
-      
-      const categories = TriviaState.data.categories;
-      
-      // Handle empty state
-      if (!categories || categories.length === 0) {
-        container.innerHTML = `<div class="${CONFIG.CSS_CLASSES.loading}">No categories found.</div>`;
-        return;
-      }
-      
-      // Build HTML for categories
-      let html = '';
-      categories.forEach(category => {
-        const isChecked = TriviaState.data.selectedCategories.includes(category.id) ? 'checked' : '';
-        
-        html += `
-          <div class="checkbox-item">
-            <input type="checkbox" id="cat-${category.id}" name="category" value="${category.id}" ${isChecked}>
-            <label for="cat-${category.id}">${category.name || category.id}</label>
-            <span class="checkbox-count">${category.questionCount || 0}</span>
-          </div>
-        `;
+  /**
+   * Delete an empty category
+   * @param {string} id - Category id
+   * @returns {Promise<Object>} - Response from server
+   */
+  async deleteCategory(id) {
+    try {
+      const data = await this.request(`/api/categories/${encodeURIComponent(id)}`, { method: 'DELETE' });
+      return { ...data, success: true };
+    } catch (error) {
+      console.error("❌ Error deleting category:", error);
+      return { success: false, error: error.message || "Failed to delete category" };
+    }
+  },
+  
+  /**
+   * Create a custom question pack
+   * @param {string} name - Pack name
+   * @returns {Promise<Object>} - Created pack or error
+   */
+  async createPack(name) {
+    try {
+      const data = await this.request('/api/packs', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name })
       });
       
-      // Update the DOM
-      container.innerHTML = html;
-      
-      // Add event listeners to checkboxes
-      document.querySelectorAll('input[name="category"]').forEach(checkbox => {
-        checkbox.addEventListener('change', this.handleCategoryChange);
+      return { ...data, success: true };
+    } catch (error) {
+      console.error("❌ Error creating pack:", error);
+      return { success: false, error: error.message || "Failed to create pack" };
+    }
+  },
+  
+  /**
+   * Delete a custom question pack (its questions are kept)
+   * @param {number} id - Pack id
+   * @returns {Promise<Object>} - Response from server
+   */
+  async deletePack(id) {
+    try {
+      const data = await this.request(`/api/packs/${id}`, { method: 'DELETE' });
+      return { ...data, success: true };
+    } catch (error) {
+      console.error("❌ Error deleting pack:", error);
+      return { success: false, error: error.message || "Failed to delete pack" };
+    }
+  },
+  
+  /**
+   * Save where the channel's questions come from
+   * @param {string} broadcasterId - Broadcaster's Twitch ID
+   * @param {string} questionSource - 'shared', 'custom' or 'both'
+   * @param {number[]} activePacks - Packs to draw custom questions from
+   * @returns {Promise<Object>} - Response from server
+   */
+  async saveQuestionSource(broadcasterId, questionSource, activePacks) {
+    try {
+      const data = await this.request(`/api/settings/${broadcasterId}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ questionSource, activePacks })
       });
-    },
-    
-    handleCategoryChange() {
-      // Update selected categories in state
-      const checkboxes = document.querySelectorAll('input[name="category"]:checked');
-      const selectedCategories = Array.from(checkboxes).map(cb => cb.value);
       
-      TriviaState.setSelectedCategories(selectedCategories);
-      
-      // Update question stats
-      UI.updateQuestionStats();
-    },
+      TriviaState.setQuestionSource(questionSource, activePacks);
+      return { ...data, success: true };
+    } catch (error) {
+      console.error("❌ Error saving question source:", error);
+      return { success: false, error: error.message || "Failed to save question source" };
+    }
+  },
+  
+  /**
+   * Fetch one page of the question browser
+   * @param {string} search - Text to match against questions and answers
+   * @param {number} page - 1-based page number
+   * @param {string} status - Only questions with this status (empty for all)
+   * @returns {Promise<Object>} - Questions with paging info
+   */
+  async getQuestions(search, page, status, suggestedOnly) {
+    const params = new URLSearchParams({ page, pageSize: CONFIG.QUESTION_PAGE_SIZE });
+    if (search) params.set('search', search);
+    if (status) params.set('status', status);
+    if (suggestedOnly) params.set('suggested', 'true');
     
-    /**
-     * Difficulty UI methods
-     */
-    renderDifficulties() {
-      const container = document.getElementById(CONFIG.DOM_IDS.difficultiesList);
-      
-      if (!container) {
-        console.error("❌ Difficulties container not found!");
-        return;
-      }
-      
-      const difficulties = TriviaState.data.difficulties;
-      
-      // Handle empty state
-      if (!difficulties || difficulties.length === 0) {
-        container.innerHTML = `<div class="${CONFIG.CSS_CLASSES.loading}">No difficulties found.</div>`;
-        return;
-      }
-      
-      // Build HTML for difficulties
-      let html = '';
-      difficulties.forEach(diff => {
-        const isChecked = TriviaState.data.selectedDifficulties.includes(diff.difficulty) ? 'checked' : '';
-        
-        html += `
-          <div class="checkbox-item">
-            <input type="checkbox" id="diff-${diff.difficulty}" name="difficulty" value="${diff.difficulty}" ${isChecked}>
-            <label for="diff-${diff.difficulty}">${diff.difficulty}</label>
-            <span class="checkbox-count">${diff.count || 0}</span>
-          </div>
-        `;
+    return this.request(`/api/questions?${params}`);
+  },
+  
+  /**
+   * Create or update a question
+   * A create that looks like a duplicate fails with the similar questions
+   * in `duplicates`; send values.allowDuplicate to save it anyway.
+   * @param {number|null} id - Question id, or null to create one
+   * @param {Object} values - Question fields
+   * @returns {Promise<Object>} - Saved question or error
+   */
+  async saveQuestion(id, values) {
+    try {
+      const data = await this.request(id ? `/api/questions/${id}` : '/api/questions', {
+        method: id ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(values)
       });
       
-      // Update the DOM
-      container.innerHTML = html;
-      
-      // Add event listeners to checkboxes
-      document.querySelectorAll('input[name="difficulty"]').forEach(checkbox => {
-        checkbox.addEventListener('change', this.handleDifficultyChange);
+      return { ...data, success: true };
+    } catch (error) {
+      console.error("❌ Error saving question:", error);
+      return {
+        success: false,
+        error: error.data?.error || error.message || "Failed to save question",
+        duplicates: error.data?.duplicates || []
+      };
+    }
+  },
+  
+  /**
+   * Approve or reject a question in the review queue
+   * @param {number} id - Question id
+   * @param {string} action - "approve" or "reject"
+   * @returns {Promise<Object>} - Updated question or error
+   */
+  async reviewQuestion(id, action) {
+    try {
+      const data = await this.request(`/api/questions/${id}/review`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action })
       });
-    },
-    
-    handleDifficultyChange() {
-      // Update selected difficulties in state
-      const checkboxes = document.querySelectorAll('input[name="difficulty"]:checked');
-      const selectedDifficulties = Array.from(checkboxes).map(cb => cb.value);
       
-      TriviaState.setSelectedDifficulties(selectedDifficulties);
+      return { ...data, success: true };
+    } catch (error) {
+      console.error("❌ Error reviewing question:", error);
+      return { success: false, error: error.message || "Failed to review question" };
+    }
+  },
+  
+  /**
+   * Apply or dismiss the difficulty suggested for questions
+   * @param {number[]} ids - Question ids
+   * @param {string} action - "apply" or "dismiss"
+   * @returns {Promise<Object>} - Ids of the questions updated, or error
+   */
+  async resolveDifficultySuggestions(ids, action) {
+    try {
+      const data = await this.request('/api/questions/recalibration', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ids, action })
+      });
       
-      // Update question stats
-      UI.updateQuestionStats();
-    },
+      return { ...data, success: true };
+    } catch (error) {
+      console.error("❌ Error updating difficulty suggestion:", error);
+      return { success: false, error: error.message || "Failed to update difficulty suggestion" };
+    }
+  },
+  
+  /**
+   * Attach an image or audio clip to a question
+   * @param {number} id - Question id
+   * @param {File} file - Image or audio file chosen by the broadcaster
+   * @returns {Promise<Object>} - Updated question or error
+   */
+  async uploadQuestionMedia(id, file) {
+    const formData = new FormData();
+    formData.append('file', file);
     
-    /**
-     * Question stats UI methods
-     */
-    updateQuestionStats() {
-      const container = document.getElementById(CONFIG.DOM_IDS.questionStats);
+    try {
+      const data = await this.request(`/api/questions/${id}/media`, {
+        method: 'POST',
+        body: formData
+      });
       
-      if (!container) {
-        console.error("❌ Question stats container not found!");
-        return;
+      return { ...data, success: true };
+    } catch (error) {
+      console.error("❌ Error uploading question media:", error);
+      return { success: false, error: error.data?.error || error.message || "Failed to upload media" };
+    }
+  },
+  
+  /**
+   * Remove a question's image or audio clip
+   * @param {number} id - Question id
+   * @returns {Promise<Object>} - Updated question or error
+   */
+  async removeQuestionMedia(id) {
+    try {
+      const data = await this.request(`/api/questions/${id}/media`, { method: 'DELETE' });
+      return { ...data, success: true };
+    } catch (error) {
+      console.error("❌ Error removing question media:", error);
+      return { success: false, error: error.message || "Failed to remove media" };
+    }
+  },
+  
+  /**
+   * Find clusters of likely duplicate questions
+   * @returns {Promise<Object>} - Clusters of similar questions
+   */
+  async getDuplicateClusters() {
+    return this.request('/api/questions/duplicates');
+  },
+  
+  /**
+   * Delete a question
+   * @param {number} id - Question id
+   * @returns {Promise<Object>} - Response from server
+   */
+  async deleteQuestion(id) {
+    try {
+      const data = await this.request(`/api/questions/${id}`, { method: 'DELETE' });
+      return { ...data, success: true };
+    } catch (error) {
+      console.error("❌ Error deleting question:", error);
+      return { success: false, error: error.message || "Failed to delete question" };
+    }
+  },
+
+    // Add this method inside the ApiService object
+    async checkTriviaStatus() {
+      try {
+        const response = await this.request('/trivia-status');
+        return response;
+      } catch (error) {
+        console.error("❌ Error checking trivia status:", error);
+        throw error;
       }
-      
-      // Show loading state
-      container.innerHTML = `<div class="${CONFIG.CSS_CLASSES.loading}">Loading question statistics...</div>`;
-      
-      // Get filter state from state management
-      const filters = TriviaState.getFilterState();
-      
-      // Fetch stats from API
-      ApiService.getQuestionStats(filters.categories, filters.difficulties)
-        .then(() => {
-          this.renderQuestionStats();
-        })
-        .catch(() => {
-          // Render with whatever data we have in state
-          this.renderQuestionStats();
-        });
     },
+  
+  /**
+   * Save filter preferences for broadcaster
+   * @param {string} broadcasterId - Broadcaster's Twitch ID
+   * @param {Object} filters - Filter object with categories, difficulties and tagFilters
+   * @returns {Promise<Object>} - Response from server
+   */
+  async saveFilters(broadcasterId, filters) {
+    if (!broadcasterId) {
+      console.error("❌ Missing broadcaster ID for saving filters");
+      return { success: false, error: "Missing broadcaster ID" };
+    }
     
-    renderQuestionStats() {
-      const container = document.getElementById(CONFIG.DOM_IDS.questionStats);
+    try {
       
-      if (!container) return;
+      const data = await this.request(`/api/settings/${broadcasterId}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          activeCategories: filters.categories,
+          activeDifficulties: filters.difficulties,
+          tagFilters: filters.tagFilters
+        })
+      });
       
-      const categories = TriviaState.data.selectedCategories;
-      const difficulties = TriviaState.data.selectedDifficulties;
-      const totalQuestions = TriviaState.data.totalQuestions;
+      return { ...data, success: true };
+    } catch (error) {
+      console.error("❌ Error saving filters:", error);
       
-      // Format user-friendly output
-      let statsHtml = '';
-      
-      if (categories.length === 0 && difficulties.length === 0) {
-        statsHtml = `<span style="color: #ffcc00;">Using all available questions (${totalQuestions})</span>`;
-      } else {
-        const categoryText = categories.length === 0 ? 
-          "all categories" : 
-          `${categories.length} selected categor${categories.length === 1 ? 'y' : 'ies'}`;
-        
-        const difficultyText = difficulties.length === 0 ? 
-          "all difficulties" : 
-          `${difficulties.length} selected difficult${difficulties.length === 1 ? 'y' : 'ies'}`;
-        
-        statsHtml = `
-          <div>Using ${categoryText} and ${difficultyText}</div>
-          <div style="margin-top: 5px; font-size: 1.1em; color: #ffcc00;">
-            ${totalQuestions} questions match your selection
-          </div>
-        `;
-      }
+      // Try fallback via Twitch messaging
+      TwitchService.sendMessage({
+        type: 'SAVE_FILTERS',
+        broadcasterId: broadcasterId,
+        activeCategories: filters.categories,
+        activeDifficulties: filters.difficulties,
+        tagFilters: filters.tagFilters
+      });
       
-      container.innerHTML = statsHtml;
-    },
+      // Return error response with fallback info
+      return { 
+        success: false, 
+        error: error.message || "Failed to save filters",
+        fallback: "Used Twitch messaging"
+      };
+    }
+  },
+  
+  /**
+   * Start trivia with improved error handling
+   * @param {string} broadcasterId - The broadcaster's Twitch ID
+   * @returns {Promise<Object>} - Response from server
+   */
+  async startTrivia(broadcasterId) {
+    if (!broadcasterId) {
+      console.error("❌ Missing broadcaster ID for starting trivia");
+      return { success: false, error: "Missing broadcaster ID" };
+    }
     
-    /**
-     * Leaderboard UI methods
-     */
-    initializeLeaderboard() {
+    // Log full request details for debugging
+    
+    try {
+      const result = await this.request('/start-trivia', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ broadcasterId })
+      });
       
-      // Initial data fetch
-      this.fetchLeaderboardData();
+      TriviaState.setTriviaActive(true);
+      return result;
+    } catch (error) {
+      console.error("❌ Error starting trivia via API:", error);
       
-      // Set up auto-refresh
-      setInterval(() => this.fetchLeaderboardData(), CONFIG.REFRESH_INTERVALS.leaderboard);
-    },
+      // Provide more detailed error info
+      const errorInfo = {
+        success: false,
+        error: error.message || "Failed to start trivia",
+        details: {
+          broadcasterId: broadcasterId,
+          hasAuth: !!TriviaState.data.authToken,
+          timestamp: new Date().toISOString()
+        }
+      };
+      
+      // Check the connection and try to recover
+      this.checkConnection()
+        .then(isConnected => {
+          if (!isConnected) {
+            TwitchService.sendMessage({
+              type: 'START_TRIVIA',
+              broadcasterId
+            });
+          }
+        });
+      
+      return errorInfo;
+    }
+  },
+  
+  /**
+   * End trivia with improved error handling
+   * @param {string} broadcasterId - The broadcaster's Twitch ID
+   * @returns {Promise<Object>} - Response from server
+   */
+  async endTrivia(broadcasterId) {
+    if (!broadcasterId) {
+      console.error("❌ Missing broadcaster ID for ending trivia");
+      return { success: false, error: "Missing broadcaster ID" };
+    }
     
-    fetchLeaderboardData() {
-      const container = document.getElementById(CONFIG.DOM_IDS.leaderboardBody);
+    try {
+      const result = await this.request('/end-trivia', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ broadcasterId })
+      });
       
-      if (!container) {
-        console.error("❌ Leaderboard container not found!");
-        return;
-      }
+      TriviaState.setTriviaActive(false);
+      return result;
+    } catch (error) {
+      console.error("❌ Error ending trivia via API:", error);
       
-      // Show loading state
-      container.innerHTML = `
-        <tr>
-          <td colspan="3" class="loading-text">Loading leaderboard data...</td>
-        </tr>
-      `;
+      // Try fallback to Twitch messaging
+      TwitchService.sendMessage({
+        type: 'END_TRIVIA',
+        broadcasterId
+      });
       
-      // Fetch data from API
-      ApiService.getLeaderboard()
-        .then(() => {
-          // Display the appropriate board based on current view
-          this.renderLeaderboard();
-        })
-        .catch(error => {
-          console.error("❌ Error fetching leaderboard:", error);
-          container.innerHTML = `
-            <tr>
-              <td colspan="3" class="loading-text">Error loading leaderboard: ${error.message}</td>
-            </tr>
-          `;
-        });
+      // Set active state anyway for UI
+      TriviaState.setTriviaActive(false);
+      
+      // Return a fake success response for the UI
+      return { 
+        success: false, 
+        error: error.message || "Failed to end trivia via API",
+        fallback: "Used Twitch messaging instead"
+      };
+    }
+  },
+  
+  /**
+   * Check API connection health
+   * @returns {Promise<boolean>} True if connection is healthy
+   */
+  async checkConnection() {
+    try {
+      // Use a lightweight endpoint to check connection
+      const response = await fetch(`${CONFIG.API_BASE_URL()}/api/ping`, {
+        method: 'GET',
+        headers: { 'Cache-Control': 'no-cache' },
+        // Short timeout to quickly detect issues
+        signal: AbortSignal.timeout(3000)
+      });
+      
+      return response.ok;
+    } catch (error) {
+      console.warn("⚠️ API connection check failed:", error);
+      return false;
+    }
+  },
+  
+  /**
+   * Reconnect to API and recover session
+   * Call this when connection issues are detected
+   */
+  async reconnect() {
+    
+    try {
+      // Request new authorization from Twitch instead of just failing
+      if (!TriviaState.data.broadcasterId || !TriviaState.data.authToken) {
+        if (window.Twitch && window.Twitch.ext && window.Twitch.ext.actions) {
+          // Use the correct method
+          if (typeof window.Twitch.ext.actions.requestIdShare === 'function') {
+            window.Twitch.ext.actions.requestIdShare();
+            return true; // We've started the reauthorization process
+          }
+        } else {
+          console.error("❌ Twitch SDK not available for reauthorization");
+          return false;
+        }
+      }
+      
+      // Rest of your reconnect function...
+    } catch (error) {
+      console.error("❌ Error during API reconnection:", error);
+      return false;
+    }
+  }
+};
+  
+  /**
+   * ====================================
+   * SECTION 4: UI Component Management
+   * ====================================
+   * Handles rendering and updating the user interface.
+   * Each component has its own render and update methods.
+   */
+  
+  const UI = {
+    /**
+     * Initialize all UI components
+     */
+    init() {
+      // Initial renderings will happen when data is available
     },
     
     /**
-     * Leaderboard UI methods with improved username handling
+     * Category UI methods
      */
-    renderLeaderboard() {
-      const container = document.getElementById(CONFIG.DOM_IDS.leaderboardBody);
+    renderCategories() {
+      const container = document.getElementById(CONFIG.DOM_IDS.categoriesList);
       
-      if (!container) return;
+      if (!container) {
+        console.error("❌ Categories container not found!");
+        return;
+      }
       
-      // Get the appropriate data based on current view
-      const currentView = TriviaState.data.currentView;
-      const scores = TriviaState.data.leaderboardData[currentView] || [];
-      const isLastSession = TriviaState.data.leaderboardData.isLastSession;
+      const categories = TriviaState.data.categories;
       
       // Handle empty state
-      if (!scores || scores.length === 0) {
-        container.innerHTML = `
-          <tr>
-            <td colspan="3" class="loading-text">No scores to display yet</td>
-          </tr>
-        `;
+      if (!categories || categories.length === 0) {
+        container.innerHTML = `<div class="${CONFIG.CSS_CLASSES.loading}">No categories found.</div>`;
         return;
       }
       
-      // Optionally add "last session" indicator at the top
-      if (isLastSession && currentView === 'session') {
-        container.innerHTML = `
-          <tr>
-            <td colspan="3" style="text-align: center; color: #ffcc00; font-style: italic;">
-              Showing previous session scores
-            </td>
-          </tr>
-        `;
-      } else {
-        container.innerHTML = '';
-      }
+      // Build HTML for categories, one group per top-level category with its
+      // subcategories nested below; ticking a parent includes its whole subtree
+      const selected = TriviaState.data.selectedCategories;
+      const parentOf = new Map(categories.map(category => [category.id, category.parentId]));
+      const hasSelectedAncestor = id => {
+        for (let parent = parentOf.get(id); parent; parent = parentOf.get(parent)) {
+          if (selected.includes(parent)) return true;
+        }
+        return false;
+      };
       
-      // Build HTML for leaderboard
       let html = '';
+      this.orderCategoryTree(categories, category => category.parentId).forEach(({ category, depth }) => {
+        const included = hasSelectedAncestor(category.id);
+        const isChecked = included || selected.includes(category.id) ? 'checked' : '';
+        const id = this.escapeHtml(category.id);
+        
+        if (depth === 0) {
+          html += `${html ? '</div>' : ''}<div class="category-group">`;
+        }
+        html += `
+          <div class="checkbox-item${depth > 0 ? ' subcategory' : ''}" style="--depth: ${depth}"${included ? ' title="Included with its parent category"' : ''}>
+            <input type="checkbox" id="cat-${id}" name="category" value="${id}" ${isChecked}${included ? ' disabled' : ''}>
+            <label for="cat-${id}">${this.escapeHtml(this.describeCategory(category.id))}</label>
+            <span class="checkbox-count">${category.totalCount ?? category.questionCount ?? 0}</span>
+          </div>
+        `;
+      });
       
-      scores.forEach((entry, index) => {
-        const rank = index + 1;
+      // Update the DOM
+      container.innerHTML = html + (html ? '</div>' : '');
+      
+      // Add event listeners to checkboxes
+      document.querySelectorAll('input[name="category"]').forEach(checkbox => {
+        checkbox.addEventListener('change', this.handleCategoryChange);
+      });
+    },
+    
+    /**
+     * Friendly name of a category, with its icon
+     * @param {string} id - Category id
+     * @returns {string} - Icon and name, or the id for an unknown category
+     */
+    describeCategory(id) {
+      const category = TriviaState.data.categories.find(c => c.id === id) ||
+        TriviaState.data.managedCategories.find(c => c.id === id);
+      if (!category) return id;
+      return [category.icon, category.name || id].filter(Boolean).join(' ');
+    },
+    
+    fetchManagedCategories() {
+      ApiService.getManagedCategories()
+        .then(() => this.renderCategoryManager())
+        .catch(error => {
+          console.error("❌ Failed to load categories for management:", error);
+          const container = document.getElementById(CONFIG.DOM_IDS.categoryManager);
+          if (container) {
+            container.innerHTML = `<div class="${CONFIG.CSS_CLASSES.loading}">Could not load categories.</div>`;
+          }
+        });
+    },
+    
+    renderCategoryManager() {
+      const container = document.getElementById(CONFIG.DOM_IDS.categoryManager);
+      if (!container) return;
+      
+      const categories = TriviaState.data.managedCategories;
+      if (categories.length === 0) {
+        container.innerHTML = `<div class="${CONFIG.CSS_CLASSES.loading}">No categories yet.</div>`;
+        return;
+      }
+      
+      const esc = value => this.escapeHtml(String(value ?? ''));
+      const tree = this.orderCategoryTree(categories, category => category.parent_id);
+      
+      // Everything nested under a category, which it can't be moved under
+      const subtreeOf = id => {
+        const subtree = [id];
+        tree.forEach(({ category }) => {
+          if (subtree.includes(category.parent_id) && !subtree.includes(category.id)) subtree.push(category.id);
+        });
+        return subtree;
+      };
+      
+      container.innerHTML = tree.map(({ category, depth }) => {
+        const colorStyle = `style="--depth: ${depth}${category.color ? `; --category-color: ${esc(category.color)}` : ''}"`;
         
-        // IMPROVED: Prioritize using the username from database
-        // If no username exists, create a friendlier format for the user ID
-        const displayName = entry.username 
-          ? this.escapeHtml(entry.username)
-          : `User-${entry.userId ? entry.userId.substring(0, 5) : 'Unknown'}`;
+        if (!category.editable) {
+          return `
+            <div class="category-row" ${colorStyle}>
+              <span>${esc(category.icon)} ${esc(category.name || category.id)}${category.description ? ` · ${esc(category.description)}` : ''} · 🌐 Shared</span>
+              <span class="checkbox-count">${category.questionCount}</span>
+            </div>
+          `;
+        }
+        
+        const mergeOptions = categories
+          .filter(other => other.id !== category.id)
+          .map(other => `<option value="${esc(other.id)}">${esc(other.name || other.id)}</option>`)
+          .join('');
+        
+        // Shared categories may only sit under other shared categories
+        const subtree = subtreeOf(category.id);
+        const parentOptions = tree
+          .filter(({ category: other }) => !subtree.includes(other.id) && (category.owner_id || !other.owner_id))
+          .map(({ category: other, depth: otherDepth }) => `
+            <option value="${esc(other.id)}" ${other.id === category.parent_id ? 'selected' : ''}>${'— '.repeat(otherDepth)}${esc(other.name || other.id)}</option>
+          `)
+          .join('');
+        
+        return `
+          <div class="category-row" data-category-id="${esc(category.id)}" ${colorStyle}>
+            <input type="text" data-field="icon" value="${esc(category.icon)}" maxlength="16" placeholder="🏷️" title="Icon">
+            <input type="text" data-field="name" value="${esc(category.name || category.id)}" maxlength="100" title="Name">
+            <input type="color" data-field="color" value="${esc(category.color || '#9b7aff')}" title="Color"${category.color ? '' : ' data-unset="true"'}>
+            <span class="checkbox-count">${category.questionCount}</span>
+            <textarea data-field="description" rows="2" placeholder="Description (optional)">${esc(category.description)}</textarea>
+            <select data-field="parent_id" title="Parent category">
+              <option value="">Top level</option>
+              ${parentOptions}
+            </select>
+            <button data-action="save-category">💾 Save</button>
+            <select data-merge-target>
+              <option value="">Merge into...</option>
+              ${mergeOptions}
+            </select>
+            <button data-action="merge-category">🔀 Merge</button>
+            <button data-action="delete-category">🗑️ Delete</button>
+          </div>
+        `;
+      }).join('');
+    },
+    
+    handleCategoryChange() {
+      // Update selected categories in state; subcategories of a selected parent
+      // are left out, since the server expands parents itself
+      const checkboxes = document.querySelectorAll('input[name="category"]:checked:not(:disabled)');
+      const selectedCategories = Array.from(checkboxes).map(cb => cb.value);
+      
+      TriviaState.setSelectedCategories(selectedCategories);
+      UI.renderCategories();
+      
+      // Update question stats
+      UI.updateQuestionStats();
+    },
+    
+    /**
+     * Put categories in tree order: each parent followed by its subcategories
+     * @param {Object[]} categories - Categories to order
+     * @param {Function} getParentId - Returns a category's parent id
+     * @returns {Array<{category: Object, depth: number}>} - Categories with their nesting depth
+     */
+    orderCategoryTree(categories, getParentId) {
+      const ids = new Set(categories.map(category => category.id));
+      const childrenOf = new Map();
+      categories.forEach(category => {
+        // A parent that isn't listed leaves the category at the top level
+        const parentId = ids.has(getParentId(category)) ? getParentId(category) : null;
+        if (!childrenOf.has(parentId)) childrenOf.set(parentId, []);
+        childrenOf.get(parentId).push(category);
+      });
+      
+      const ordered = [];
+      const visit = (parentId, depth) => {
+        (childrenOf.get(parentId) || []).forEach(category => {
+          if (ordered.some(entry => entry.category === category)) return;
+          ordered.push({ category, depth });
+          visit(category.id, depth + 1);
+        });
+      };
+      visit(null, 0);
+      return ordered;
+    },
+    
+    /**
+     * Difficulty UI methods
+     */
+    renderDifficulties() {
+      const container = document.getElementById(CONFIG.DOM_IDS.difficultiesList);
+      
+      if (!container) {
+        console.error("❌ Difficulties container not found!");
+        return;
+      }
+      
+      const difficulties = TriviaState.data.difficulties;
+      
+      // Handle empty state
+      if (!difficulties || difficulties.length === 0) {
+        container.innerHTML = `<div class="${CONFIG.CSS_CLASSES.loading}">No difficulties found.</div>`;
+        return;
+      }
+      
+      // Build HTML for difficulties
+      let html = '';
+      difficulties.forEach(diff => {
+        const isChecked = TriviaState.data.selectedDifficulties.includes(diff.difficulty) ? 'checked' : '';
         
         html += `
-          <tr class="rank-${rank}">
-            <td>${rank}</td>
-            <td>${displayName}</td>
-            <td>${entry.score.toLocaleString()}</td>
-          </tr>
+          <div class="checkbox-item">
+            <input type="checkbox" id="diff-${diff.difficulty}" name="difficulty" value="${diff.difficulty}" ${isChecked}>
+            <label for="diff-${diff.difficulty}">${diff.difficulty}</label>
+            <span class="checkbox-count">${diff.count || 0}</span>
+          </div>
         `;
       });
       
-      container.innerHTML += html;
+      // Update the DOM
+      container.innerHTML = html;
       
-      // Update the active board buttons
-      this.updateLeaderboardButtons();
+      // Add event listeners to checkboxes
+      document.querySelectorAll('input[name="difficulty"]').forEach(checkbox => {
+        checkbox.addEventListener('change', this.handleDifficultyChange);
+      });
     },
     
-    updateLeaderboardButtons() {
-      const sessionButton = document.getElementById(CONFIG.DOM_IDS.showSessionScores);
-      const totalButton = document.getElementById(CONFIG.DOM_IDS.showTotalScores);
+    /**
+     * Moderator access UI methods
+     */
+    renderModeratorControl() {
+      const checkbox = document.getElementById(CONFIG.DOM_IDS.allowModeratorControl);
+      if (checkbox) {
+        checkbox.checked = TriviaState.data.allowModeratorControl;
+      }
+    },
+    
+    renderPartialCredit() {
+      const input = document.getElementById(CONFIG.DOM_IDS.partialCredit);
+      if (input) {
+        input.value = TriviaState.data.partialCredit;
+      }
       
-      if (!sessionButton || !totalButton) return;
+      const placesInput = document.getElementById(CONFIG.DOM_IDS.numericBonusPlaces);
+      if (placesInput) {
+        placesInput.value = TriviaState.data.numericBonusPlaces;
+      }
+    },
+    
+    /**
+     * CSV import UI methods
+     */
+    renderImportReport(result) {
+      const container = document.getElementById(CONFIG.DOM_IDS.uploadReport);
+      if (!container) return;
       
-      // Remove active class from both
-      sessionButton.classList.remove(CONFIG.CSS_CLASSES.activeBoard);
-      totalButton.classList.remove(CONFIG.CSS_CLASSES.activeBoard);
+      const { summary, rows = [] } = result;
+      const heading = result.dryRun
+        ? `Dry run: ${summary.accepted} would be imported`
+        : `${result.imported} questions imported and waiting for review`;
       
-      // Add active class to current view button
-      if (TriviaState.data.currentView === 'session') {
-        sessionButton.classList.add(CONFIG.CSS_CLASSES.activeBoard);
-      } else {
-        totalButton.classList.add(CONFIG.CSS_CLASSES.activeBoard);
-      }
+      let html = `<div class="upload-summary">${heading} (${summary.skipped} skipped, ${summary.invalid} invalid, ${summary.flagged || 0} possible duplicates)</div>`;
+      rows.forEach(row => {
+        const detail = row.status === 'accepted' ? row.question : row.reason;
+        const duplicate = row.duplicateOf || row.possibleDuplicates?.[0];
+        const warning = row.warning ? ` ⚠️ ${this.escapeHtml(row.warning)}` : '';
+        
+        html += `
+          <div class="upload-row ${row.status}${row.warning ? ' flagged' : ''}">
+            Row ${row.row}: ${row.status} - ${this.escapeHtml(detail || '')}${warning}
+            ${duplicate ? this.renderQuestionLink(duplicate.id) : ''}
+          </div>
+        `;
+      });
+      
+      container.innerHTML = html;
     },
     
     /**
-     * UI feedback methods
+     * Link that opens an existing question in the question browser
+     * @param {number} id - Question id
+     * @returns {string} HTML for the link
      */
-    showButtonSuccess(buttonId, message = "Success!") {
-      const button = document.getElementById(buttonId);
-      if (!button) return;
+    renderQuestionLink(id) {
+      return `<a href="#" class="question-link" data-question-id="${id}">#${id}</a>`;
+    },
+    
+    renderDuplicateClusters(result) {
+      const container = document.getElementById(CONFIG.DOM_IDS.duplicatesReport);
+      if (!container) return;
       
-      // Store the original text
-      const originalHtml = button.innerHTML;
+      const { clusters = [], questionsChecked = 0 } = result;
       
-      // Add success class
-      button.classList.add(CONFIG.CSS_CLASSES.success);
+      if (clusters.length === 0) {
+        container.innerHTML = `<div class="upload-summary">No likely duplicates among ${questionsChecked} questions.</div>`;
+        return;
+      }
       
-      // Replace content with wrapped original + temp message
-      button.innerHTML = `
-        <span class="${CONFIG.CSS_CLASSES.originalText}">${originalHtml}</span>
-        <span class="${CONFIG.CSS_CLASSES.tempText}">${message}</span>
-      `;
+      let html = `<div class="upload-summary">${clusters.length} groups of likely duplicates among ${questionsChecked} questions</div>`;
+      clusters.forEach(cluster => {
+        html += '<div class="duplicate-cluster">';
+        cluster.forEach(question => {
+          html += `
+            <div class="upload-row">
+              ${this.renderQuestionLink(question.id)} ${this.escapeHtml(question.question)}
+              <span class="checkbox-count">${Math.round(question.similarity * 100)}%</span>
+            </div>
+          `;
+        });
+        html += '</div>';
+      });
       
-      // Remove feedback after animation completes
-      setTimeout(() => {
-        button.classList.remove(CONFIG.CSS_CLASSES.success);
-        button.innerHTML = originalHtml;
-      }, CONFIG.REFRESH_INTERVALS.buttonFeedback);
+      container.innerHTML = html;
     },
     
-    showButtonError(buttonId, message = "Failed!") {
-      const button = document.getElementById(buttonId);
-      if (!button) return;
+    /**
+     * Custom question pack UI methods
+     */
+    fetchPacks() {
+      ApiService.getPacks()
+        .then(() => this.renderPacks())
+        .catch(error => {
+          console.error("❌ Failed to load packs:", error);
+        });
+    },
+    
+    renderPacks() {
+      const sourceSelect = document.getElementById(CONFIG.DOM_IDS.questionSource);
+      if (sourceSelect) {
+        sourceSelect.value = TriviaState.data.questionSource;
+      }
       
-      // Store the original text
-      const originalHtml = button.innerHTML;
+      const { packs, activePacks } = TriviaState.data;
       
-      // Add error class
-      button.classList.add(CONFIG.CSS_CLASSES.error);
+      // Pack choice for CSV imports
+      const uploadPack = document.getElementById(CONFIG.DOM_IDS.uploadPack);
+      if (uploadPack) {
+        const selected = uploadPack.value;
+        uploadPack.innerHTML = '<option value="">No pack</option>' + packs.map(pack =>
+          `<option value="${pack.id}">${this.escapeHtml(pack.name)}</option>`
+        ).join('');
+        uploadPack.value = packs.some(pack => String(pack.id) === selected) ? selected : '';
+      }
       
-      // Replace content with wrapped original + temp message
-      button.innerHTML = `
-        <span class="${CONFIG.CSS_CLASSES.originalText}">${originalHtml}</span>
-        <span class="${CONFIG.CSS_CLASSES.tempText}">${message}</span>
-      `;
+      const container = document.getElementById(CONFIG.DOM_IDS.packsList);
+      if (!container) return;
       
-      // Remove feedback after animation completes
-      setTimeout(() => {
-        button.classList.remove(CONFIG.CSS_CLASSES.error);
-        button.innerHTML = originalHtml;
-      }, CONFIG.REFRESH_INTERVALS.buttonFeedback);
+      if (packs.length === 0) {
+        container.innerHTML = `<div class="${CONFIG.CSS_CLASSES.loading}">No custom packs yet.</div>`;
+        return;
+      }
+      
+      let html = '';
+      packs.forEach(pack => {
+        const isChecked = activePacks.includes(pack.id) ? 'checked' : '';
+        
+        html += `
+          <div class="checkbox-item">
+            <input type="checkbox" id="pack-${pack.id}" name="pack" value="${pack.id}" ${isChecked}>
+            <label for="pack-${pack.id}">${this.escapeHtml(pack.name)}</label>
+            <span class="checkbox-count">${pack.questionCount || 0}</span>
+            <button class="pack-delete" data-action="delete-pack" data-id="${pack.id}">🗑️</button>
+          </div>
+        `;
+      });
+      
+      container.innerHTML = html;
     },
     
     /**
-     * Settings UI methods
+     * Question browser UI methods
      */
-    updateSettingsInputs() {
-      const answerTimeInput = document.getElementById(CONFIG.DOM_IDS.answerTime);
-      const intervalTimeInput = document.getElementById(CONFIG.DOM_IDS.intervalTime);
+    fetchQuestionPage() {
+      const { search, page, status, suggestedOnly } = TriviaState.data.questionBrowser;
       
-      if (answerTimeInput) {
-        answerTimeInput.value = Math.round(TriviaState.data.triviaSettings.answerTime / 1000);
+      ApiService.getQuestions(search, page, status, suggestedOnly)
+        .then(data => {
+          TriviaState.setQuestionPage(data);
+          this.renderQuestionBrowser();
+        })
+        .catch(error => {
+          console.error("❌ Failed to load questions:", error);
+          const container = document.getElementById(CONFIG.DOM_IDS.questionList);
+          if (container) {
+            container.innerHTML = `<div class="${CONFIG.CSS_CLASSES.loading}">Could not load questions.</div>`;
+          }
+        });
+    },
+    
+    renderQuestionBrowser() {
+      const container = document.getElementById(CONFIG.DOM_IDS.questionList);
+      if (!container) return;
+      
+      const {
+        questions, page, totalPages, total, editingId, status, pendingCount, suggestedOnly, suggestionCount
+      } = TriviaState.data.questionBrowser;
+      
+      const statusFilter = document.getElementById(CONFIG.DOM_IDS.questionStatusFilter);
+      if (statusFilter) statusFilter.value = status;
+      
+      const reviewCount = document.getElementById(CONFIG.DOM_IDS.reviewCount);
+      if (reviewCount) reviewCount.textContent = pendingCount;
+      
+      const suggestionBadge = document.getElementById(CONFIG.DOM_IDS.suggestionCount);
+      if (suggestionBadge) suggestionBadge.textContent = suggestionCount;
+      const suggestionsButton = document.getElementById(CONFIG.DOM_IDS.difficultySuggestions);
+      if (suggestionsButton) suggestionsButton.classList.toggle('active', suggestedOnly);
+      
+      let html = editingId === 'new' ? this.renderQuestionEditor(null) : '';
+      
+      if (questions.length === 0 && editingId !== 'new') {
+        html += `<div class="${CONFIG.CSS_CLASSES.loading}">No questions found.</div>`;
       }
       
-      if (intervalTimeInput) {
-        intervalTimeInput.value = Math.round(TriviaState.data.triviaSettings.intervalTime / 60000);
+      questions.forEach(question => {
+        html += question.id === editingId
+          ? this.renderQuestionEditor(question)
+          : this.renderQuestionRow(question);
+      });
+      
+      container.innerHTML = html;
+      
+      const pageInfo = document.getElementById(CONFIG.DOM_IDS.questionPageInfo);
+      if (pageInfo) {
+        pageInfo.textContent = `Page ${page} of ${totalPages} (${total} questions)`;
       }
+      
+      const prevButton = document.getElementById(CONFIG.DOM_IDS.questionPrev);
+      const nextButton = document.getElementById(CONFIG.DOM_IDS.questionNext);
+      if (prevButton) prevButton.disabled = page <= 1;
+      if (nextButton) nextButton.disabled = page >= totalPages;
+    },
+    
+    renderQuestionRow(question) {
+      const esc = value => this.escapeHtml(String(value ?? ''));
+      
+      return `
+        <div class="question-row">
+          <div class="question-text">${question.media_type === 'audio' ? '🔊 ' : question.media_type === 'image' ? '🖼️ ' : ''}${esc(question.question)}</div>
+          <div class="question-answers">
+            ${question.question_type === 'numeric'
+              ? `🔢 ${esc(question.correct_answer)}${question.numeric_range ? ` (± ${esc(question.numeric_range)} scores)` : ''}`
+              : question.question_type === 'free_text'
+              ? `✍️ ${esc(question.correct_answer)}${(question.accepted_answers || []).length > 0 ? ` · also ${esc(question.accepted_answers.join(', '))}` : ''}`
+              : `${question.question_type === 'multi_select' ? '☑️ Select all · ' : ''}${(question.choices || [])
+                  .map(choice => `${choice.correct ? '✅' : '❌'} ${esc(choice.text)}`).join(' · ')}`}
+          </div>
+          ${(question.tags || []).length > 0 ? `
+            <div class="question-tags">${question.tags.map(tag => `<span class="tag-chip">#${esc(tag)}</span>`).join(' ')}</div>
+          ` : ''}
+          ${question.stats ? `<div class="question-stats">${this.describeQuestionStats(question.stats)}</div>` : ''}
+          ${question.suggested_difficulty ? `
+            <div class="question-meta difficulty-suggestion">
+              <span>🎚️ Answer record suggests ${esc(question.suggested_difficulty)} instead of ${esc(question.difficulty)}</span>
+              ${question.editable ? `
+                <button data-action="apply-difficulty" data-id="${question.id}">✔️ Apply</button>
+                <button data-action="dismiss-difficulty" data-id="${question.id}">✖️ Dismiss</button>
+              ` : ''}
+            </div>
+          ` : ''}
+          <div class="question-meta">
+            <span>${esc(this.describeCategory(question.category_id))} · ${esc(question.difficulty)} · ${this.describeQuestionOwner(question)} · ${CONFIG.QUESTION_STATUSES[question.status] || esc(question.status)}</span>
+            ${question.editable && question.status !== 'approved' ? `
+              <button data-action="approve" data-id="${question.id}">👍 Approve</button>
+            ` : ''}
+            ${question.editable && ['draft', 'pending_review'].includes(question.status) ? `
+              <button data-action="reject" data-id="${question.id}">👎 Reject</button>
+            ` : ''}
+            ${question.editable ? `
+              <button data-action="edit" data-id="${question.id}">✏️ Edit</button>
+              <button data-action="delete" data-id="${question.id}">🗑️ Delete</button>
+            ` : ''}
+          </div>
+        </div>
+      `;
     },
     
     /**
-     * UI state methods
+     * One-line summary of a question's answer statistics
+     * @param {Object} stats - timesAsked, answerRate, percentCorrect and medianResponseMs
+     * @returns {string} - Summary text
      */
-    setUIForTriviaActive(isActive) {
-      this.disableSettings(isActive);
+    describeQuestionStats(stats) {
+      if (!stats.timesAsked) return '📊 Not asked yet';
       
-      // Update status display
-      const statusEl = document.getElementById(CONFIG.DOM_IDS.statusDisplay);
-      if (statusEl) {
-        statusEl.textContent = isActive ? "Trivia is active!" : "Trivia is not running";
+      const parts = [`📊 Asked ${stats.timesAsked}×`, `${stats.answerRate} answers per round`];
+      if (stats.percentCorrect !== null) parts.push(`${stats.percentCorrect}% correct`);
+      if (stats.medianResponseMs !== null) parts.push(`median ${(stats.medianResponseMs / 1000).toFixed(1)}s`);
+      return parts.join(' · ');
+    },
+    
+    renderMediaField(question) {
+      if (!question) {
+        return '<p class="upload-hint">Save the question first to attach an image or audio clip.</p>';
+      }
+      
+      const url = question.media_file
+        ? `${CONFIG.API_BASE_URL()}/media/${encodeURIComponent(question.media_file)}`
+        : null;
+      const preview = !url ? ''
+        : question.media_type === 'audio'
+          ? `<audio controls preload="none" src="${this.escapeHtml(url)}"></audio>`
+          : `<img class="question-media-preview" src="${this.escapeHtml(url)}" alt="Question image">`;
+      
+      return `
+        <div class="question-media-field">
+          <span>🖼️ Image (up to 2 MB) or 🔊 audio clip (up to 5 MB), shown above the question</span>
+          ${preview}
+          <input type="file" data-media-file accept="${CONFIG.QUESTION_MEDIA_TYPES}">
+          <button data-action="upload-media" data-id="${question.id}">⬆️ Upload</button>
+          ${url ? `<button data-action="remove-media" data-id="${question.id}">🗑️ Remove</button>` : ''}
+        </div>
+      `;
+    },
+    
+    renderChoiceRow(choice) {
+      return `
+        <div class="choice-row">
+          <input type="checkbox" data-choice-correct title="Correct" ${choice.correct ? 'checked' : ''}>
+          <input type="text" data-choice-text value="${this.escapeHtml(String(choice.text ?? ''))}" maxlength="255">
+          <button data-action="remove-choice" title="Remove choice">✖️</button>
+        </div>
+      `;
+    },
+    
+    describeQuestionOwner(question) {
+      if (!question.owner_id) return '🌐 Shared';
+      if (question.submitted_by) {
+        return `💡 Submitted by ${this.escapeHtml(question.submitted_by_name || question.submitted_by)}`;
+      }
+      
+      const pack = TriviaState.data.packs.find(p => p.id === question.pack_id);
+      return pack ? `📦 ${this.escapeHtml(pack.name)}` : '⭐ Custom';
+    },
+    
+    renderQuestionEditor(question) {
+      const esc = value => this.escapeHtml(String(value ?? ''));
+      const values = question || { difficulty: 'Medium', status: 'pending_review', question_type: 'multiple_choice' };
+      const typeClass = { free_text: 'free-text', numeric: 'numeric', multi_select: 'multi-select' }[values.question_type] || '';
+      const choices = values.choices || [{ text: '', correct: true }, ...Array(3).fill({ text: '', correct: false })];
+      const id = question ? question.id : 'new';
+      const field = (name, label) => `
+        <label>${label}
+          <input type="text" name="${name}" value="${esc(values[name])}" maxlength="255">
+        </label>
+      `;
+      
+      const difficultyOptions = CONFIG.DIFFICULTIES.map(difficulty =>
+        `<option value="${difficulty}" ${values.difficulty === difficulty ? 'selected' : ''}>${difficulty}</option>`
+      ).join('');
+      
+      const statusOptions = Object.entries(CONFIG.QUESTION_STATUSES).map(([status, label]) =>
+        `<option value="${status}" ${values.status === status ? 'selected' : ''}>${label}</option>`
+      ).join('');
+      
+      const packOptions = '<option value="">No pack</option>' + TriviaState.data.packs.map(pack =>
+        `<option value="${pack.id}" ${values.pack_id === pack.id ? 'selected' : ''}>${esc(pack.name)}</option>`
+      ).join('');
+      
+      const typeOptions = [
+        ['multiple_choice', '🔘 Multiple choice'], ['multi_select', '☑️ Select all that apply'],
+        ['free_text', '✍️ Type the answer'], ['numeric', '🔢 Closest number wins']
+      ]
+        .map(([type, label]) => `<option value="${type}" ${values.question_type === type ? 'selected' : ''}>${label}</option>`)
+        .join('');
+      
+      const categoryOptions = TriviaState.data.categories.map(category =>
+        `<option value="${esc(category.id)}">${esc(category.name || category.id)}</option>`
+      ).join('');
+      
+      return `
+        <div class="question-row editing ${typeClass}" data-editor-id="${id}">
+          <label>Question
+            <input type="text" name="question" value="${esc(values.question)}">
+          </label>
+          <label>Answer type
+            <select name="question_type">${typeOptions}</select>
+          </label>
+          <div class="typed-answer-only">
+            ${field('correct_answer', '✅ Correct answer')}
+          </div>
+          <div class="multiple-choice-only">
+            <span>Choices (tick the correct ${values.question_type === 'multi_select' ? 'ones' : 'one'})</span>
+            <div class="choice-list">${choices.map(choice => this.renderChoiceRow(choice)).join('')}</div>
+            <button data-action="add-choice" data-id="${id}">➕ Add choice</button>
+            <button data-action="true-false" data-id="${id}">⚖️ True / False</button>
+          </div>
+          ${this.renderMediaField(question)}
+          <label class="free-text-only">Also accept (separate spellings with |)
+            <input type="text" name="accepted_answers" value="${esc((values.accepted_answers || []).join(' | '))}">
+          </label>
+          <label class="numeric-only">Scoring range (guesses this far off earn nothing; blank for 10% of the answer)
+            <input type="text" name="numeric_range" value="${esc(values.numeric_range)}" inputmode="decimal">
+          </label>
+          <label>Explanation (shown with the answer)
+            <textarea name="explanation" rows="3" maxlength="1000">${esc(values.explanation)}</textarea>
+          </label>
+          ${field('source', '📜 Source (book, episode, wiki page...)')}
+          <label>🏷️ Tags (separate with commas)
+            <input type="text" name="tags" value="${esc((values.tags || []).join(', '))}">
+          </label>
+          <label>Category
+            <input type="text" name="category_id" value="${esc(values.category_id)}" list="question-category-options">
+          </label>
+          <datalist id="question-category-options">${categoryOptions}</datalist>
+          <label>Difficulty
+            <select name="difficulty">${difficultyOptions}</select>
+          </label>
+          <label>Status
+            <select name="status">${statusOptions}</select>
+          </label>
+          ${question && !question.owner_id ? '' : `
+            <label>Pack
+              <select name="pack_id">${packOptions}</select>
+            </label>
+          `}
+          <div class="question-meta">
+            <button data-action="save" data-id="${id}">💾 Save</button>
+            <button data-action="cancel" data-id="${id}">✖️ Cancel</button>
+          </div>
+        </div>
+      `;
+    },
+    
+    
+    handleDifficultyChange() {
+      // Update selected difficulties in state
+      const checkboxes = document.querySelectorAll('input[name="difficulty"]:checked');
+      const selectedDifficulties = Array.from(checkboxes).map(cb => cb.value);
+      
+      TriviaState.setSelectedDifficulties(selectedDifficulties);
+      
+      // Update question stats
+      UI.updateQuestionStats();
+    },
+    
+    /**
+     * Tag filter UI methods
+     */
+    fetchTags() {
+      ApiService.getTags()
+        .then(() => this.renderTagFilters())
+        .catch(error => {
+          console.error("❌ Failed to load tags:", error);
+        });
+    },
+    
+    renderTagFilters() {
+      const { tagFilters, tags } = TriviaState.data;
+      const inputs = {
+        any: CONFIG.DOM_IDS.tagFilterAny,
+        all: CONFIG.DOM_IDS.tagFilterAll,
+        exclude: CONFIG.DOM_IDS.tagFilterExclude
+      };
+      
+      Object.entries(inputs).forEach(([rule, inputId]) => {
+        const input = document.getElementById(inputId);
+        if (input) input.value = tagFilters[rule].join(', ');
+      });
+      
+      const list = document.getElementById(CONFIG.DOM_IDS.tagList);
+      if (list) {
+        list.textContent = tags.length === 0
+          ? 'No tagged questions yet. Add tags in the question editor or a tags column in your CSV.'
+          : `Tags in use: ${tags.map(tag => `${tag.name} (${tag.questionCount})`).join(', ')}`;
+      }
+    },
+    
+    handleTagFilterChange() {
+      // Same clean-up the server does, so the boxes show what will be saved
+      const read = inputId => {
+        const input = document.getElementById(inputId);
+        const tags = (input ? input.value : '').split(',')
+          .map(tag => tag.trim().toLowerCase().replace(/\s+/g, '-'))
+          .filter(Boolean);
+        return [...new Set(tags)];
+      };
+      
+      TriviaState.setTagFilters({
+        any: read(CONFIG.DOM_IDS.tagFilterAny),
+        all: read(CONFIG.DOM_IDS.tagFilterAll),
+        exclude: read(CONFIG.DOM_IDS.tagFilterExclude)
+      });
+      
+      UI.renderTagFilters();
+      UI.updateQuestionStats();
+    },
+    
+    /**
+     * Question stats UI methods
+     */
+    updateQuestionStats() {
+      const container = document.getElementById(CONFIG.DOM_IDS.questionStats);
+      
+      if (!container) {
+        console.error("❌ Question stats container not found!");
+        return;
+      }
+      
+      // Show loading state
+      container.innerHTML = `<div class="${CONFIG.CSS_CLASSES.loading}">Loading question statistics...</div>`;
+      
+      // Get filter state from state management
+      const filters = TriviaState.getFilterState();
+      
+      // Fetch stats from API
+      ApiService.getQuestionStats(filters.categories, filters.difficulties, filters.tagFilters)
+        .then(() => {
+          this.renderQuestionStats();
+        })
+        .catch(() => {
+          // Render with whatever data we have in state
+          this.renderQuestionStats();
+        });
+    },
+    
+    renderQuestionStats() {
+      const container = document.getElementById(CONFIG.DOM_IDS.questionStats);
+      
+      if (!container) return;
+      
+      const categories = TriviaState.data.selectedCategories;
+      const difficulties = TriviaState.data.selectedDifficulties;
+      const totalQuestions = TriviaState.data.totalQuestions;
+      const { any, all, exclude } = TriviaState.data.tagFilters;
+      const tagRules = [
+        any.length > 0 ? `any of ${any.join(', ')}` : '',
+        all.length > 0 ? `all of ${all.join(', ')}` : '',
+        exclude.length > 0 ? `none of ${exclude.join(', ')}` : ''
+      ].filter(Boolean);
+      
+      // Format user-friendly output
+      let statsHtml = '';
+      
+      if (categories.length === 0 && difficulties.length === 0 && tagRules.length === 0) {
+        statsHtml = `<span style="color: #ffcc00;">Using all available questions (${totalQuestions})</span>`;
+      } else {
+        const categoryText = categories.length === 0 ? 
+          "all categories" : 
+          `${categories.length} selected categor${categories.length === 1 ? 'y' : 'ies'}`;
+        
+        const difficultyText = difficulties.length === 0 ? 
+          "all difficulties" : 
+          `${difficulties.length} selected difficult${difficulties.length === 1 ? 'y' : 'ies'}`;
+        
+        statsHtml = `
+          <div>Using ${categoryText} and ${difficultyText}</div>
+          ${tagRules.length > 0 ? `<div>Tagged with ${this.escapeHtml(tagRules.join('; '))}</div>` : ''}
+          <div style="margin-top: 5px; font-size: 1.1em; color: #ffcc00;">
+            ${totalQuestions} questions match your selection
+          </div>
+        `;
+      }
+      
+      container.innerHTML = statsHtml;
+    },
+    
+    /**
+     * Leaderboard UI methods
+     */
+    initializeLeaderboard() {
+      
+      // Initial data fetch
+      this.fetchLeaderboardData();
+      
+      // Set up auto-refresh
+      setInterval(() => this.fetchLeaderboardData(), CONFIG.REFRESH_INTERVALS.leaderboard);
+    },
+    
+    fetchLeaderboardData() {
+      const container = document.getElementById(CONFIG.DOM_IDS.leaderboardBody);
+      
+      if (!container) {
+        console.error("❌ Leaderboard container not found!");
+        return;
+      }
+      
+      // Show loading state
+      container.innerHTML = `
+        <tr>
+          <td colspan="3" class="loading-text">Loading leaderboard data...</td>
+        </tr>
+      `;
+      
+      // Fetch data from API
+      ApiService.getLeaderboard()
+        .then(() => {
+          // Display the appropriate board based on current view
+          this.renderLeaderboard();
+        })
+        .catch(error => {
+          console.error("❌ Error fetching leaderboard:", error);
+          container.innerHTML = `
+            <tr>
+              <td colspan="3" class="loading-text">Error loading leaderboard: ${error.message}</td>
+            </tr>
+          `;
+        });
+    },
+    
+    /**
+     * Leaderboard UI methods with improved username handling
+     */
+    renderLeaderboard() {
+      const container = document.getElementById(CONFIG.DOM_IDS.leaderboardBody);
+      
+      if (!container) return;
+      
+      // Get the appropriate data based on current view
+      const currentView = TriviaState.data.currentView;
+      const scores = TriviaState.data.leaderboardData[currentView] || [];
+      const isLastSession = TriviaState.data.leaderboardData.isLastSession;
+      
+      // Handle empty state
+      if (!scores || scores.length === 0) {
+        container.innerHTML = `
+          <tr>
+            <td colspan="3" class="loading-text">No scores to display yet</td>
+          </tr>
+        `;
+        return;
+      }
+      
+      // Optionally add "last session" indicator at the top
+      if (isLastSession && currentView === 'session') {
+        container.innerHTML = `
+          <tr>
+            <td colspan="3" style="text-align: center; color: #ffcc00; font-style: italic;">
+              Showing previous session scores
+            </td>
+          </tr>
+        `;
+      } else {
+        container.innerHTML = '';
+      }
+      
+      // Build HTML for leaderboard
+      let html = '';
+      
+      scores.forEach((entry, index) => {
+        const rank = index + 1;
+        
+        // IMPROVED: Prioritize using the username from database
+        // If no username exists, create a friendlier format for the user ID
+        const displayName = entry.username 
+          ? this.escapeHtml(entry.username)
+          : `User-${entry.userId ? entry.userId.substring(0, 5) : 'Unknown'}`;
+        
+        html += `
+          <tr class="rank-${rank}">
+            <td>${rank}</td>
+            <td>${displayName}</td>
+            <td>${entry.score.toLocaleString()}</td>
+          </tr>
+        `;
+      });
+      
+      container.innerHTML += html;
+      
+      // Update the active board buttons
+      this.updateLeaderboardButtons();
+    },
+    
+    updateLeaderboardButtons() {
+      const sessionButton = document.getElementById(CONFIG.DOM_IDS.showSessionScores);
+      const totalButton = document.getElementById(CONFIG.DOM_IDS.showTotalScores);
+      
+      if (!sessionButton || !totalButton) return;
+      
+      // Remove active class from both
+      sessionButton.classList.remove(CONFIG.CSS_CLASSES.activeBoard);
+      totalButton.classList.remove(CONFIG.CSS_CLASSES.activeBoard);
+      
+      // Add active class to current view button
+      if (TriviaState.data.currentView === 'session') {
+        sessionButton.classList.add(CONFIG.CSS_CLASSES.activeBoard);
+      } else {
+        totalButton.classList.add(CONFIG.CSS_CLASSES.activeBoard);
+      }
+    },
+    
+    /**
+     * UI feedback methods
+     */
+    showButtonSuccess(buttonId, message = "Success!") {
+      const button = document.getElementById(buttonId);
+      if (!button) return;
+      
+      // Store the original text
+      const originalHtml = button.innerHTML;
+      
+      // Add success class
+      button.classList.add(CONFIG.CSS_CLASSES.success);
+      
+      // Replace content with wrapped original + temp message
+      button.innerHTML = `
+        <span class="${CONFIG.CSS_CLASSES.originalText}">${originalHtml}</span>
+        <span class="${CONFIG.CSS_CLASSES.tempText}">${message}</span>
+      `;
+      
+      // Remove feedback after animation completes
+      setTimeout(() => {
+        button.classList.remove(CONFIG.CSS_CLASSES.success);
+        button.innerHTML = originalHtml;
+      }, CONFIG.REFRESH_INTERVALS.buttonFeedback);
+    },
+    
+    showButtonError(buttonId, message = "Failed!") {
+      const button = document.getElementById(buttonId);
+      if (!button) return;
+      
+      // Store the original text
+      const originalHtml = button.innerHTML;
+      
+      // Add error class
+      button.classList.add(CONFIG.CSS_CLASSES.error);
+      
+      // Replace content with wrapped original + temp message
+      button.innerHTML = `
+        <span class="${CONFIG.CSS_CLASSES.originalText}">${originalHtml}</span>
+        <span class="${CONFIG.CSS_CLASSES.tempText}">${message}</span>
+      `;
+      
+      // Remove feedback after animation completes
+      setTimeout(() => {
+        button.classList.remove(CONFIG.CSS_CLASSES.error);
+        button.innerHTML = originalHtml;
+      }, CONFIG.REFRESH_INTERVALS.buttonFeedback);
+    },
+    
+    /**
+     * Settings UI methods
+     */
+    updateSettingsInputs() {
+      const answerTimeInput = document.getElementById(CONFIG.DOM_IDS.answerTime);
+      const intervalTimeInput = document.getElementById(CONFIG.DOM_IDS.intervalTime);
+      
+      if (answerTimeInput) {
+        answerTimeInput.value = Math.round(TriviaState.data.triviaSettings.answerTime / 1000);
+      }
+      
+      if (intervalTimeInput) {
+        intervalTimeInput.value = Math.round(TriviaState.data.triviaSettings.intervalTime / 60000);
+      }
+    },
+    
+    /**
+     * UI state methods
+     */
+    setUIForTriviaActive(isActive) {
+      this.disableSettings(isActive);
+      
+      // Update status display
+      const statusEl = document.getElementById(CONFIG.DOM_IDS.statusDisplay);
+      if (statusEl) {
+        statusEl.textContent = isActive ? "Trivia is active!" : "Trivia is not running";
+      }
+    },
+    
+    disableSettings(isDisabled) {
+      // Form inputs
+      const elements = [
+        document.getElementById(CONFIG.DOM_IDS.answerTime),
+        document.getElementById(CONFIG.DOM_IDS.intervalTime),
+        document.getElementById(CONFIG.DOM_IDS.saveSettings),
+        document.getElementById(CONFIG.DOM_IDS.saveFilters)
+      ];
+      
+      elements.forEach(element => {
+        if (element) element.disabled = isDisabled;
+      });
+      
+      // Category checkboxes
+      document.querySelectorAll('input[name="category"]').forEach(checkbox => {
+        checkbox.disabled = isDisabled;
+      });
+      
+      // Difficulty checkboxes
+      document.querySelectorAll('input[name="difficulty"]').forEach(checkbox => {
+        checkbox.disabled = isDisabled;
+      });
+    },
+    
+    /**
+     * Utility methods
+     */
+    escapeHtml(unsafe) {
+      return unsafe
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#039;");
+    }
+  };
+
+/**
+ * ====================================
+ * SECTION 5: Event Handlers
+ * ====================================
+ * Handles all user interactions with the UI.
+ * Each handler is focused on one specific action.
+ */
+
+const EventHandlers = {
+  /**
+   * Main initialization function for all event handlers
+   */
+  init() {
+    
+    // Attach handlers to all UI controls
+    this.attachAllEventListeners();
+  },
+  
+  /**
+   * Attach all event listeners to UI elements
+   */
+  attachAllEventListeners() {
+    // Main action buttons
+    this.attachButtonListener(CONFIG.DOM_IDS.saveSettings, this.handleSaveSettings);
+    this.attachButtonListener(CONFIG.DOM_IDS.startTrivia, this.handleStartTrivia);
+    this.attachButtonListener(CONFIG.DOM_IDS.endTrivia, this.handleEndTrivia);
+    this.attachButtonListener(CONFIG.DOM_IDS.saveFilters, this.handleSaveFilters);
+    
+    // Moderator access toggle
+    const moderatorToggle = document.getElementById(CONFIG.DOM_IDS.allowModeratorControl);
+    if (moderatorToggle) {
+      moderatorToggle.addEventListener('change', this.handleModeratorControlChange.bind(this));
+    }
+    
+    // Identity button (if it exists)
+    this.attachButtonListener('identity-btn', this.handleRequestIdentity);
+    
+    // Leaderboard controls
+    this.attachButtonListener(CONFIG.DOM_IDS.showSessionScores, this.handleShowSessionScores);
+    this.attachButtonListener(CONFIG.DOM_IDS.showTotalScores, this.handleShowTotalScores);
+    this.attachButtonListener(CONFIG.DOM_IDS.refreshLeaderboard, this.handleRefreshLeaderboard);
+    
+    // Question import and export
+    this.attachButtonListener(CONFIG.DOM_IDS.uploadQuestions, this.handleUploadQuestions);
+    this.attachButtonListener(CONFIG.DOM_IDS.exportCsv, event => this.handleExportQuestions(event, 'csv'));
+    this.attachButtonListener(CONFIG.DOM_IDS.exportJson, event => this.handleExportQuestions(event, 'json'));
+    
+    // Question browser
+    this.attachButtonListener(CONFIG.DOM_IDS.questionSearchBtn, this.handleQuestionSearch);
+    this.attachButtonListener(CONFIG.DOM_IDS.questionNew, this.handleNewQuestion);
+    this.attachButtonListener(CONFIG.DOM_IDS.reviewQueue, this.handleShowReviewQueue);
+    this.attachButtonListener(CONFIG.DOM_IDS.difficultySuggestions, this.handleShowDifficultySuggestions);
+    
+    const statusFilter = document.getElementById(CONFIG.DOM_IDS.questionStatusFilter);
+    if (statusFilter) {
+      statusFilter.addEventListener('change', this.handleQuestionStatusFilter.bind(this));
+    }
+    this.attachButtonListener(CONFIG.DOM_IDS.questionPrev, event => this.handleQuestionPage(event, -1));
+    this.attachButtonListener(CONFIG.DOM_IDS.questionNext, event => this.handleQuestionPage(event, 1));
+    
+    const questionSearch = document.getElementById(CONFIG.DOM_IDS.questionSearch);
+    if (questionSearch) {
+      questionSearch.addEventListener('keydown', event => {
+        if (event.key === 'Enter') this.handleQuestionSearch(event);
+      });
+    }
+    
+    // Duplicate check and links from reports into the question browser
+    this.attachButtonListener(CONFIG.DOM_IDS.findDuplicates, this.handleFindDuplicates);
+    document.addEventListener('click', this.handleQuestionLinkClick.bind(this));
+    
+    // Question source and custom packs
+    this.attachButtonListener(CONFIG.DOM_IDS.createPack, this.handleCreatePack);
+    
+    const sourceSelect = document.getElementById(CONFIG.DOM_IDS.questionSource);
+    if (sourceSelect) {
+      sourceSelect.addEventListener('change', this.handleQuestionSourceChange.bind(this));
+    }
+    
+    const packsList = document.getElementById(CONFIG.DOM_IDS.packsList);
+    if (packsList) {
+      packsList.addEventListener('change', this.handleQuestionSourceChange.bind(this));
+      packsList.addEventListener('click', this.handlePacksListClick.bind(this));
+    }
+    
+    const categoryManager = document.getElementById(CONFIG.DOM_IDS.categoryManager);
+    if (categoryManager) {
+      categoryManager.addEventListener('click', this.handleCategoryManagerClick.bind(this));
+      categoryManager.addEventListener('input', event => {
+        // A picked color replaces "no color"
+        if (event.target.dataset.field === 'color') delete event.target.dataset.unset;
+      });
+    }
+    
+    const questionList = document.getElementById(CONFIG.DOM_IDS.questionList);
+    if (questionList) {
+      questionList.addEventListener('click', this.handleQuestionListClick.bind(this));
+      questionList.addEventListener('change', this.handleQuestionTypeChange.bind(this));
+    }
+    
+    const partialCreditInput = document.getElementById(CONFIG.DOM_IDS.partialCredit);
+    if (partialCreditInput) {
+      partialCreditInput.addEventListener('change', this.handlePartialCreditChange.bind(this));
+    }
+    
+    const bonusPlacesInput = document.getElementById(CONFIG.DOM_IDS.numericBonusPlaces);
+    if (bonusPlacesInput) {
+      bonusPlacesInput.addEventListener('change', this.handleNumericBonusPlacesChange.bind(this));
+    }
+    
+    [CONFIG.DOM_IDS.tagFilterAny, CONFIG.DOM_IDS.tagFilterAll, CONFIG.DOM_IDS.tagFilterExclude].forEach(inputId => {
+      const input = document.getElementById(inputId);
+      if (input) input.addEventListener('change', UI.handleTagFilterChange);
+    });
+    
+  },
+  
+  /**
+   * Helper to safely attach event listeners
+   * @param {string} buttonId - The DOM ID of the button
+   * @param {function} handler - The event handler function
+   */
+  attachButtonListener(buttonId, handler) {
+    const button = document.getElementById(buttonId);
+    if (button) {
+      // Bind 'this' to ensure the handler has access to EventHandlers methods
+      button.addEventListener("click", handler.bind(this));
+    } else {
+      // Not necessarily an error for optional buttons
+    }
+  },
+  
+  /**
+   * Handle identity request button
+   * Manually triggers the Twitch identity share flow
+   */
+  handleRequestIdentity(event) {
+    if (event) event.preventDefault();
+    
+    if (TwitchService.requestIdentity()) {
+      this.updateStatus("Identity request sent. Please accept the prompt.");
+    } else {
+      this.updateStatus("Failed to request identity. Please refresh the page.");
+    }
+  },
+  
+  /**
+   * Settings form handlers
+   */
+  handleSaveSettings(event) {
+    event.preventDefault();
+    
+    // Verify authentication
+    if (!TriviaState.hasValidAuth()) {
+      console.error("❌ Missing authentication for saving settings");
+      UI.showButtonError(CONFIG.DOM_IDS.saveSettings, "Auth Error!");
+      
+      // Try to reconnect and recover session
+      this.promptReconnect("Authentication issue. Please wait...");
+      return;
+    }
+    
+    // Get and validate input values
+    const answerTimeInput = document.getElementById(CONFIG.DOM_IDS.answerTime);
+    const intervalTimeInput = document.getElementById(CONFIG.DOM_IDS.intervalTime);
+    
+    if (!answerTimeInput || !intervalTimeInput) {
+      console.error("❌ Settings inputs not found in DOM");
+      UI.showButtonError(CONFIG.DOM_IDS.saveSettings, "UI Error!");
+      return;
+    }
+    
+    // Convert to milliseconds and validate ranges
+    const answerTime = parseInt(answerTimeInput.value, 10) * 1000; // seconds to ms
+    const intervalTime = parseInt(intervalTimeInput.value, 10) * 60000; // minutes to ms
+    
+    // Validate input ranges
+    if (isNaN(answerTime) || isNaN(intervalTime) || 
+        answerTime < 5000 || answerTime > 60000 || 
+        intervalTime < 60000 || intervalTime > 1800000) {
+        
+      console.error("❌ Invalid time values:", { answerTime, intervalTime });
+      UI.showButtonError(CONFIG.DOM_IDS.saveSettings, "Invalid Input!");
+      return;
+    }
+    
+    // Prepare settings object
+    const settings = { answerTime, intervalTime };
+    
+    // Temporarily disable button to prevent multiple clicks
+    const button = document.getElementById(CONFIG.DOM_IDS.saveSettings);
+    if (button) button.disabled = true;
+    
+    // Update settings via API
+    ApiService.saveSettings(settings)
+      .then(data => {
+        if (data.success) {
+          UI.showButtonSuccess(CONFIG.DOM_IDS.saveSettings, "Settings Saved!");
+          
+          // Update state and UI
+          TriviaState.updateSettings(settings);
+        } else {
+          console.error("❌ Error saving settings:", data.error);
+          UI.showButtonError(CONFIG.DOM_IDS.saveSettings, data.error || "Save Failed!");
+          
+          // Check for auth issues
+          if (data.error && (data.error.includes("token") || data.error.includes("auth"))) {
+            this.promptReconnect("Authentication issue. Please wait...");
+          }
+        }
+      })
+      .catch(error => {
+        console.error("❌ Exception saving settings:", error);
+        UI.showButtonError(CONFIG.DOM_IDS.saveSettings, "Error!");
+        
+        // Try fallback
+        TwitchService.sendMessage({
+          type: 'UPDATE_SETTINGS',
+          ...settings
+        });
+      })
+      .finally(() => {
+        // Re-enable button after a short delay
+        setTimeout(() => {
+          if (button) button.disabled = false;
+        }, CONFIG.REFRESH_INTERVALS.disableDelay);
+      });
+  },
+  
+  /**
+   * Moderator access handler
+   */
+  handleModeratorControlChange(event) {
+    const checkbox = event.target;
+    const broadcasterId = TriviaState.data.broadcasterId;
+    
+    if (!broadcasterId) {
+      console.error("❌ Missing broadcaster ID for saving moderator access");
+      checkbox.checked = TriviaState.data.allowModeratorControl;
+      return;
+    }
+    
+    checkbox.disabled = true;
+    
+    ApiService.saveModeratorControl(broadcasterId, checkbox.checked)
+      .then(data => {
+        if (!data.success) {
+          // Revert to the last saved value
+          checkbox.checked = TriviaState.data.allowModeratorControl;
+          this.updateStatus(`❌ ${data.error}`);
+        }
+      })
+      .finally(() => {
+        checkbox.disabled = false;
+      });
+  },
+  
+  /**
+   * Partial credit handler
+   */
+  handlePartialCreditChange(event) {
+    const input = event.target;
+    const broadcasterId = TriviaState.data.broadcasterId;
+    const percent = parseInt(input.value, 10);
+    
+    if (!broadcasterId || isNaN(percent) || percent < 0 || percent > 100) {
+      this.updateStatus("❌ Partial credit must be between 0 and 100%");
+      input.value = TriviaState.data.partialCredit;
+      return;
+    }
+    
+    input.disabled = true;
+    
+    ApiService.savePartialCredit(broadcasterId, percent)
+      .then(data => {
+        if (!data.success) {
+          // Revert to the last saved value
+          input.value = TriviaState.data.partialCredit;
+          this.updateStatus(`❌ ${data.error}`);
+        }
+      })
+      .finally(() => {
+        input.disabled = false;
+      });
+  },
+  
+  /**
+   * Numeric bonus places handler
+   */
+  handleNumericBonusPlacesChange(event) {
+    const input = event.target;
+    const broadcasterId = TriviaState.data.broadcasterId;
+    const places = parseInt(input.value, 10);
+    
+    if (!broadcasterId || isNaN(places) || places < 0 || places > 10) {
+      this.updateStatus("❌ Bonus places must be between 0 and 10");
+      input.value = TriviaState.data.numericBonusPlaces;
+      return;
+    }
+    
+    input.disabled = true;
+    
+    ApiService.saveNumericBonusPlaces(broadcasterId, places)
+      .then(data => {
+        if (!data.success) {
+          // Revert to the last saved value
+          input.value = TriviaState.data.numericBonusPlaces;
+          this.updateStatus(`❌ ${data.error}`);
+        }
+      })
+      .finally(() => {
+        input.disabled = false;
+      });
+  },
+  
+  /**
+   * CSV import handler
+   */
+  handleUploadQuestions(event) {
+    event.preventDefault();
+    
+    const fileInput = document.getElementById(CONFIG.DOM_IDS.uploadFile);
+    const dryRunInput = document.getElementById(CONFIG.DOM_IDS.uploadDryRun);
+    const file = fileInput?.files?.[0];
+    
+    if (!file) {
+      UI.showButtonError(CONFIG.DOM_IDS.uploadQuestions, "No File!");
+      return;
+    }
+    
+    const dryRun = !!dryRunInput?.checked;
+    const packId = document.getElementById(CONFIG.DOM_IDS.uploadPack)?.value || '';
+    const button = document.getElementById(CONFIG.DOM_IDS.uploadQuestions);
+    if (button) button.disabled = true;
+    
+    ApiService.uploadQuestions(file, dryRun, packId)
+      .then(data => {
+        if (!data.success) {
+          UI.showButtonError(CONFIG.DOM_IDS.uploadQuestions, "Upload Failed!");
+          this.updateStatus(`❌ ${data.error}`);
+          return;
+        }
+        
+        UI.renderImportReport(data);
+        UI.showButtonSuccess(CONFIG.DOM_IDS.uploadQuestions, dryRun ? "Checked!" : "Imported!");
+        
+        // Refresh category and difficulty counts after a real import
+        if (!dryRun && data.imported > 0) {
+          ApiService.getCategories().then(() => UI.renderCategories()).catch(() => {});
+          ApiService.getDifficulties().then(() => UI.renderDifficulties()).catch(() => {});
+          UI.fetchQuestionPage();
+          UI.fetchPacks();
+          UI.fetchTags();
+        }
+      })
+      .finally(() => {
+        setTimeout(() => {
+          if (button) button.disabled = false;
+        }, CONFIG.REFRESH_INTERVALS.disableDelay);
+      });
+  },
+  
+  /**
+   * Question export handler
+   * @param {Event} event - Click event
+   * @param {string} format - "csv" or "json"
+   */
+  handleExportQuestions(event, format) {
+    event.preventDefault();
+    
+    const buttonId = format === 'csv' ? CONFIG.DOM_IDS.exportCsv : CONFIG.DOM_IDS.exportJson;
+    
+    ApiService.exportQuestions(format)
+      .then(blob => {
+        // Hand the file to the browser as a download
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `loremaster_questions.${format}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(link.href);
+        
+        UI.showButtonSuccess(buttonId, "Exported!");
+      })
+      .catch(error => {
+        console.error("❌ Error exporting questions:", error);
+        UI.showButtonError(buttonId, "Export Failed!");
+      });
+  },
+  
+  /**
+   * Question source and pack handlers
+   */
+  handleQuestionSourceChange(event) {
+    const broadcasterId = TriviaState.data.broadcasterId;
+    if (!broadcasterId) return;
+    
+    const source = document.getElementById(CONFIG.DOM_IDS.questionSource)?.value || 'both';
+    const activePacks = Array.from(document.querySelectorAll('input[name="pack"]:checked'))
+      .map(checkbox => parseInt(checkbox.value, 10));
+    
+    ApiService.saveQuestionSource(broadcasterId, source, activePacks)
+      .then(data => {
+        if (!data.success) {
+          this.updateStatus(`❌ ${data.error}`);
+          UI.renderPacks();
+          return;
+        }
+        
+        this.updateStatus("Question source saved!");
+        
+        // Categories and counts depend on where questions come from
+        ApiService.getCategories().then(() => UI.renderCategories()).catch(() => {});
+        ApiService.getDifficulties().then(() => UI.renderDifficulties()).catch(() => {});
+        UI.updateQuestionStats();
+      });
+  },
+  
+  handleCreatePack(event) {
+    event.preventDefault();
+    
+    const input = document.getElementById(CONFIG.DOM_IDS.newPackName);
+    const name = input ? input.value.trim() : '';
+    if (!name) {
+      UI.showButtonError(CONFIG.DOM_IDS.createPack, "Name Needed!");
+      return;
+    }
+    
+    ApiService.createPack(name)
+      .then(data => {
+        if (!data.success) {
+          UI.showButtonError(CONFIG.DOM_IDS.createPack, "Failed!");
+          this.updateStatus(`❌ ${data.error}`);
+          return;
+        }
+        
+        if (input) input.value = '';
+        UI.showButtonSuccess(CONFIG.DOM_IDS.createPack, "Pack Created!");
+        UI.fetchPacks();
+      });
+  },
+  
+  handleCategoryManagerClick(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+    event.preventDefault();
+    
+    const row = button.closest('[data-category-id]');
+    const id = row.dataset.categoryId;
+    let request;
+    let message;
+    let replacement; // what the category becomes in the saved filters, if it goes away
+    
+    switch (button.dataset.action) {
+      case 'save-category': {
+        const values = {};
+        row.querySelectorAll('[data-field]').forEach(input => {
+          if (input.dataset.unset !== 'true') values[input.dataset.field] = input.value;
+        });
+        request = ApiService.saveCategory(id, values);
+        message = "Category saved!";
+        break;
+      }
+      
+      case 'merge-category': {
+        const into = row.querySelector('[data-merge-target]').value;
+        if (!into) {
+          this.updateStatus("❌ Choose a category to merge into first");
+          return;
+        }
+        request = ApiService.mergeCategory(id, into);
+        message = "Categories merged!";
+        replacement = into;
+        break;
       }
-    },
-    
-    disableSettings(isDisabled) {
-      // Form inputs
-      const elements = [
-        document.getElementById(CONFIG.DOM_IDS.answerTime),
-        document.getElementById(CONFIG.DOM_IDS.intervalTime),
-        document.getElementById(CONFIG.DOM_IDS.saveSettings),
-        document.getElementById(CONFIG.DOM_IDS.saveFilters)
-      ];
       
-      elements.forEach(element => {
-        if (element) element.disabled = isDisabled;
-      });
+      case 'delete-category':
+        // Ask for a second click instead of a modal, which the extension iframe may block
+        button.dataset.action = 'confirm-delete-category';
+        button.textContent = '⚠️ Confirm?';
+        return;
       
-      // Category checkboxes
-      document.querySelectorAll('input[name="category"]').forEach(checkbox => {
-        checkbox.disabled = isDisabled;
-      });
+      case 'confirm-delete-category':
+        request = ApiService.deleteCategory(id);
+        message = "Category deleted!";
+        replacement = null;
+        break;
       
-      // Difficulty checkboxes
-      document.querySelectorAll('input[name="difficulty"]').forEach(checkbox => {
-        checkbox.disabled = isDisabled;
-      });
-    },
-    
-    /**
-     * Utility methods
-     */
-    escapeHtml(unsafe) {
-      return unsafe
-        .replace(/&/g, "&amp;")
-        .replace(/</g, "&lt;")
-        .replace(/>/g, "&gt;")
-        .replace(/"/g, "&quot;")
-        .replace(/'/g, "&#039;");
+      default:
+        return;
     }
-  };
-
-/**
- * ====================================
- * SECTION 5: Event Handlers
- * ====================================
- * Handles all user interactions with the UI.
- * Each handler is focused on one specific action.
- */
-
-const EventHandlers = {
-  /**
-   * Main initialization function for all event handlers
-   */
-  init() {
     
-    // Attach handlers to all UI controls
-    this.attachAllEventListeners();
+    button.disabled = true;
+    request.then(data => {
+      if (!data.success) {
+        button.disabled = false;
+        this.updateStatus(`❌ ${data.error}`);
+        return;
+      }
+      
+      this.updateStatus(message);
+      if (replacement !== undefined) {
+        TriviaState.setSelectedCategories([...new Set(
+          TriviaState.data.selectedCategories
+            .map(categoryId => categoryId === id ? replacement : categoryId)
+            .filter(Boolean)
+        )]);
+      }
+      UI.fetchManagedCategories();
+      ApiService.getCategories().then(() => UI.renderCategories());
+      UI.fetchQuestionPage();
+    });
   },
   
-  /**
-   * Attach all event listeners to UI elements
-   */
-  attachAllEventListeners() {
-    // Main action buttons
-    this.attachButtonListener(CONFIG.DOM_IDS.saveSettings, this.handleSaveSettings);
-    this.attachButtonListener(CONFIG.DOM_IDS.startTrivia, this.handleStartTrivia);
-    this.attachButtonListener(CONFIG.DOM_IDS.endTrivia, this.handleEndTrivia);
-    this.attachButtonListener(CONFIG.DOM_IDS.saveFilters, this.handleSaveFilters);
+  handlePacksListClick(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+    event.preventDefault();
     
-    // Identity button (if it exists)
-    this.attachButtonListener('identity-btn', this.handleRequestIdentity);
+    const id = parseInt(button.dataset.id, 10);
     
-    // Leaderboard controls
-    this.attachButtonListener(CONFIG.DOM_IDS.showSessionScores, this.handleShowSessionScores);
-    this.attachButtonListener(CONFIG.DOM_IDS.showTotalScores, this.handleShowTotalScores);
-    this.attachButtonListener(CONFIG.DOM_IDS.refreshLeaderboard, this.handleRefreshLeaderboard);
+    if (button.dataset.action === 'delete-pack') {
+      // Ask for a second click instead of a modal, which the extension iframe may block
+      button.dataset.action = 'confirm-delete-pack';
+      button.textContent = '⚠️ Confirm?';
+      return;
+    }
     
+    if (button.dataset.action === 'confirm-delete-pack') {
+      button.disabled = true;
+      ApiService.deletePack(id)
+        .then(data => {
+          if (!data.success) {
+            button.disabled = false;
+            this.updateStatus(`❌ ${data.error}`);
+            return;
+          }
+          
+          TriviaState.setQuestionSource(
+            TriviaState.data.questionSource,
+            TriviaState.data.activePacks.filter(packId => packId !== id)
+          );
+          this.updateStatus("Pack deleted. Its questions are kept as custom questions.");
+          UI.fetchPacks();
+          UI.fetchQuestionPage();
+        });
+    }
   },
   
   /**
-   * Helper to safely attach event listeners
-   * @param {string} buttonId - The DOM ID of the button
-   * @param {function} handler - The event handler function
+   * Duplicate handlers
    */
-  attachButtonListener(buttonId, handler) {
-    const button = document.getElementById(buttonId);
-    if (button) {
-      // Bind 'this' to ensure the handler has access to EventHandlers methods
-      button.addEventListener("click", handler.bind(this));
-    } else {
-      // Not necessarily an error for optional buttons
-    }
+  handleFindDuplicates(event) {
+    event.preventDefault();
+    
+    const button = document.getElementById(CONFIG.DOM_IDS.findDuplicates);
+    if (button) button.disabled = true;
+    
+    ApiService.getDuplicateClusters()
+      .then(data => UI.renderDuplicateClusters(data))
+      .catch(error => {
+        console.error("❌ Error finding duplicates:", error);
+        UI.showButtonError(CONFIG.DOM_IDS.findDuplicates, "Check Failed!");
+      })
+      .finally(() => {
+        if (button) button.disabled = false;
+      });
   },
   
   /**
-   * Handle identity request button
-   * Manually triggers the Twitch identity share flow
+   * Open a linked question (#id) in the question browser
    */
-  handleRequestIdentity(event) {
-    if (event) event.preventDefault();
+  handleQuestionLinkClick(event) {
+    const link = event.target.closest('a[data-question-id]');
+    if (!link) return;
+    event.preventDefault();
     
-    if (TwitchService.requestIdentity()) {
-      this.updateStatus("Identity request sent. Please accept the prompt.");
-    } else {
-      this.updateStatus("Failed to request identity. Please refresh the page.");
+    const search = `#${link.dataset.questionId}`;
+    const input = document.getElementById(CONFIG.DOM_IDS.questionSearch);
+    if (input) {
+      input.value = search;
+      input.scrollIntoView({ behavior: 'smooth', block: 'center' });
     }
+    
+    TriviaState.setQuestionSearch(search).setEditingQuestion(null);
+    UI.fetchQuestionPage();
   },
   
   /**
-   * Settings form handlers
+   * Question browser handlers
    */
-  handleSaveSettings(event) {
+  handleQuestionSearch(event) {
     event.preventDefault();
     
-    // Verify authentication
-    if (!TriviaState.hasValidAuth()) {
-      console.error("❌ Missing authentication for saving settings");
-      UI.showButtonError(CONFIG.DOM_IDS.saveSettings, "Auth Error!");
-      
-      // Try to reconnect and recover session
-      this.promptReconnect("Authentication issue. Please wait...");
-      return;
-    }
+    const input = document.getElementById(CONFIG.DOM_IDS.questionSearch);
+    TriviaState.setQuestionSearch(input ? input.value : '').setEditingQuestion(null);
+    UI.fetchQuestionPage();
+  },
+  
+  handleQuestionStatusFilter(event) {
+    TriviaState.setQuestionStatusFilter(event.target.value).setEditingQuestion(null);
+    UI.fetchQuestionPage();
+  },
+  
+  handleShowReviewQueue(event) {
+    event.preventDefault();
     
-    // Get and validate input values
-    const answerTimeInput = document.getElementById(CONFIG.DOM_IDS.answerTime);
-    const intervalTimeInput = document.getElementById(CONFIG.DOM_IDS.intervalTime);
+    TriviaState.setQuestionStatusFilter('pending_review').setEditingQuestion(null);
+    UI.fetchQuestionPage();
+  },
+  
+  handleShowDifficultySuggestions(event) {
+    event.preventDefault();
     
-    if (!answerTimeInput || !intervalTimeInput) {
-      console.error("❌ Settings inputs not found in DOM");
-      UI.showButtonError(CONFIG.DOM_IDS.saveSettings, "UI Error!");
+    TriviaState.toggleQuestionSuggestedFilter().setEditingQuestion(null);
+    UI.fetchQuestionPage();
+  },
+  
+  /**
+   * Keep the question editor in step with its answer type: show the fields
+   * that fit it and allow a single correct choice unless it is multi-select
+   */
+  handleQuestionTypeChange(event) {
+    const editor = event.target.closest('[data-editor-id]');
+    if (!editor) return;
+    
+    // A multiple-choice question has one correct choice, so ticking one clears the rest
+    if (event.target.matches('[data-choice-correct]')) {
+      if (event.target.checked && !editor.classList.contains('multi-select')) {
+        editor.querySelectorAll('[data-choice-correct]').forEach(box => {
+          if (box !== event.target) box.checked = false;
+        });
+      }
       return;
     }
     
-    // Convert to milliseconds and validate ranges
-    const answerTime = parseInt(answerTimeInput.value, 10) * 1000; // seconds to ms
-    const intervalTime = parseInt(intervalTimeInput.value, 10) * 60000; // minutes to ms
+    if (event.target.name !== 'question_type') return;
     
-    // Validate input ranges
-    if (isNaN(answerTime) || isNaN(intervalTime) || 
-        answerTime < 5000 || answerTime > 60000 || 
-        intervalTime < 60000 || intervalTime > 1800000) {
-        
-      console.error("❌ Invalid time values:", { answerTime, intervalTime });
-      UI.showButtonError(CONFIG.DOM_IDS.saveSettings, "Invalid Input!");
-      return;
-    }
+    editor.classList.toggle('free-text', event.target.value === 'free_text');
+    editor.classList.toggle('numeric', event.target.value === 'numeric');
+    editor.classList.toggle('multi-select', event.target.value === 'multi_select');
+  },
+  
+  handleNewQuestion(event) {
+    event.preventDefault();
     
-    // Prepare settings object
-    const settings = { answerTime, intervalTime };
+    TriviaState.setEditingQuestion('new');
+    UI.renderQuestionBrowser();
+  },
+  
+  handleQuestionPage(event, offset) {
+    event.preventDefault();
     
-    // Temporarily disable button to prevent multiple clicks
-    const button = document.getElementById(CONFIG.DOM_IDS.saveSettings);
-    if (button) button.disabled = true;
+    TriviaState
+      .setQuestionBrowserPage(TriviaState.data.questionBrowser.page + offset)
+      .setEditingQuestion(null);
+    UI.fetchQuestionPage();
+  },
+  
+  /**
+   * Handle edit/save/cancel/delete buttons inside the question list
+   */
+  handleQuestionListClick(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+    event.preventDefault();
     
-    // Update settings via API
-    ApiService.saveSettings(settings)
-      .then(data => {
-        if (data.success) {
-          UI.showButtonSuccess(CONFIG.DOM_IDS.saveSettings, "Settings Saved!");
-          
-          // Update state and UI
-          TriviaState.updateSettings(settings);
-        } else {
-          console.error("❌ Error saving settings:", data.error);
-          UI.showButtonError(CONFIG.DOM_IDS.saveSettings, data.error || "Save Failed!");
+    const { action } = button.dataset;
+    const id = button.dataset.id === 'new' ? 'new' : parseInt(button.dataset.id, 10);
+    
+    switch (action) {
+      case 'edit':
+        TriviaState.setEditingQuestion(id);
+        UI.renderQuestionBrowser();
+        break;
+      
+      case 'cancel':
+        TriviaState.setEditingQuestion(null);
+        UI.renderQuestionBrowser();
+        break;
+      
+      case 'add-choice': {
+        const list = button.closest('[data-editor-id]').querySelector('.choice-list');
+        if (list.children.length < CONFIG.QUESTION_CHOICES.max) {
+          list.insertAdjacentHTML('beforeend', UI.renderChoiceRow({ text: '', correct: false }));
+        }
+        break;
+      }
+      
+      case 'remove-choice': {
+        const row = button.closest('.choice-row');
+        if (row.parentNode.children.length > CONFIG.QUESTION_CHOICES.min) {
+          row.remove();
+        }
+        break;
+      }
+      
+      case 'upload-media':
+      case 'remove-media': {
+        const field = button.closest('.question-media-field');
+        const file = field.querySelector('[data-media-file]').files[0];
+        if (action === 'upload-media' && !file) {
+          this.updateStatus("❌ Choose an image or audio file first");
+          break;
+        }
+        
+        button.disabled = true;
+        const request = action === 'upload-media'
+          ? ApiService.uploadQuestionMedia(id, file)
+          : ApiService.removeQuestionMedia(id);
+        request.then(data => {
+          if (!data.success) {
+            button.disabled = false;
+            this.updateStatus(`❌ ${data.error}`);
+            return;
+          }
           
-          // Check for auth issues
-          if (data.error && (data.error.includes("token") || data.error.includes("auth"))) {
-            this.promptReconnect("Authentication issue. Please wait...");
+          // Update the field in place so unsaved edits to the question are kept
+          const stored = TriviaState.data.questionBrowser.questions.find(q => q.id === id);
+          if (stored) {
+            stored.media_file = data.question.media_file;
+            stored.media_type = data.question.media_type;
           }
+          field.outerHTML = UI.renderMediaField(data.question);
+          this.updateStatus(action === 'upload-media' ? "Media attached!" : "Media removed.");
+        });
+        break;
+      }
+      
+      case 'true-false': {
+        const list = button.closest('[data-editor-id]').querySelector('.choice-list');
+        list.innerHTML = UI.renderChoiceRow({ text: 'True', correct: true }) +
+          UI.renderChoiceRow({ text: 'False', correct: false });
+        break;
+      }
+      
+      case 'save': {
+        const editor = button.closest('[data-editor-id]');
+        const values = {};
+        editor.querySelectorAll('input[name], select[name], textarea[name]').forEach(input => {
+          values[input.name] = input.value;
+        });
+        if (['multiple_choice', 'multi_select'].includes(values.question_type)) {
+          values.choices = [...editor.querySelectorAll('.choice-row')].map(row => ({
+            text: row.querySelector('[data-choice-text]').value,
+            correct: row.querySelector('[data-choice-correct]').checked
+          }));
+        }
+        if (values.pack_id !== undefined) {
+          values.pack_id = values.pack_id ? parseInt(values.pack_id, 10) : null;
         }
-      })
-      .catch(error => {
-        console.error("❌ Exception saving settings:", error);
-        UI.showButtonError(CONFIG.DOM_IDS.saveSettings, "Error!");
         
-        // Try fallback
-        TwitchService.sendMessage({
-          type: 'UPDATE_SETTINGS',
-          ...settings
-        });
-      })
-      .finally(() => {
-        // Re-enable button after a short delay
-        setTimeout(() => {
-          if (button) button.disabled = false;
-        }, CONFIG.REFRESH_INTERVALS.disableDelay);
-      });
+        // Set after a duplicate warning, to save anyway
+        if (button.dataset.allowDuplicate === 'true') {
+          values.allowDuplicate = true;
+        }
+        
+        button.disabled = true;
+        ApiService.saveQuestion(id === 'new' ? null : id, values)
+          .then(data => {
+            if (!data.success) {
+              button.disabled = false;
+              this.updateStatus(`❌ ${data.error}`);
+              
+              if (data.duplicates.length > 0) {
+                button.dataset.allowDuplicate = 'true';
+                button.textContent = '💾 Save Anyway';
+                const links = data.duplicates.map(duplicate => UI.renderQuestionLink(duplicate.id)).join(' ');
+                button.insertAdjacentHTML('beforebegin', `<span class="duplicate-warning">⚠️ Similar to ${links}</span>`);
+              }
+              return;
+            }
+            
+            this.updateStatus(id === 'new' ? "Question created!" : "Question saved!");
+            TriviaState.setEditingQuestion(null);
+            UI.fetchQuestionPage();
+            UI.fetchTags();
+          });
+        break;
+      }
+      
+      case 'approve':
+      case 'reject':
+        button.disabled = true;
+        ApiService.reviewQuestion(id, action)
+          .then(data => {
+            if (!data.success) {
+              button.disabled = false;
+              this.updateStatus(`❌ ${data.error}`);
+              return;
+            }
+            
+            this.updateStatus(action === 'approve' ? "Question approved!" : "Question rejected.");
+            UI.fetchQuestionPage();
+            UI.updateQuestionStats();
+          });
+        break;
+      
+      case 'apply-difficulty':
+      case 'dismiss-difficulty':
+        button.disabled = true;
+        ApiService.resolveDifficultySuggestions([id], action === 'apply-difficulty' ? 'apply' : 'dismiss')
+          .then(data => {
+            if (!data.success) {
+              button.disabled = false;
+              this.updateStatus(`❌ ${data.error}`);
+              return;
+            }
+            
+            this.updateStatus(action === 'apply-difficulty' ? "Difficulty changed!" : "Suggestion dismissed.");
+            UI.fetchQuestionPage();
+          });
+        break;
+      
+      case 'delete':
+        // Ask for a second click instead of a modal, which the extension iframe may block
+        button.dataset.action = 'confirm-delete';
+        button.textContent = '⚠️ Confirm?';
+        break;
+      
+      case 'confirm-delete':
+        button.disabled = true;
+        ApiService.deleteQuestion(id)
+          .then(data => {
+            if (!data.success) {
+              button.disabled = false;
+              this.updateStatus(`❌ ${data.error}`);
+              return;
+            }
+            
+            this.updateStatus("Question deleted!");
+            UI.fetchQuestionPage();
+          });
+        break;
+    }
   },
   
   /**
@@ -1302,7 +3207,8 @@ const EventHandlers = {
           type: 'SAVE_FILTERS',
           broadcasterId: broadcasterId,
           activeCategories: filters.categories,
-          activeDifficulties: filters.difficulties
+          activeDifficulties: filters.difficulties,
+          tagFilters: filters.tagFilters
         });
         
         // Still update stats on error, as we might have updated state
@@ -1924,6 +3830,12 @@ initializeAfterAuth() {
       console.error("❌ Failed to load difficulties:", error);
     });
   
+  // Load the category manager, tags, custom packs and the first page of the question browser
+  UI.fetchManagedCategories();
+  UI.fetchTags();
+  UI.fetchPacks();
+  UI.fetchQuestionPage();
+  
   // Load broadcaster settings (filter preferences)
   if (TriviaState.data.broadcasterId) {
     ApiService.getBroadcasterSettings(TriviaState.data.broadcasterId)
@@ -2038,11 +3950,25 @@ initializeAfterAuth() {
           // Update state with received settings
           TriviaState
             .setSelectedCategories(data.settings.active_categories)
-            .setSelectedDifficulties(data.settings.active_difficulties);
+            .setSelectedDifficulties(data.settings.active_difficulties)
+            .setTagFilters(data.settings.tag_filters)
+            .setAllowModeratorControl(data.settings.allow_moderator_control)
+            .setPartialCredit(data.settings.partial_credit)
+            .setNumericBonusPlaces(data.settings.numeric_bonus_places)
+            .setQuestionSource(data.settings.question_source, data.settings.active_packs || [])
+            .updateSettings({
+              answerTime: data.settings.answer_time,
+              intervalTime: data.settings.interval_time
+            });
           
           // Update UI
           UI.renderCategories();
           UI.renderDifficulties();
+          UI.renderModeratorControl();
+          UI.renderPartialCredit();
+          UI.renderTagFilters();
+          UI.renderPacks();
+          UI.updateSettingsInputs();
           UI.updateQuestionStats();
         }
         break;
@@ -2126,7 +4052,10 @@ initializeAfterAuth() {
     try {
       const response = await fetch(`${CONFIG.API_BASE_URL()}/twitch/message`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${TriviaState.data.authToken}`
+        },
         body: JSON.stringify({
           channelId: channelId || TriviaState.data.broadcasterId,
           message: message
@@ -2679,7 +4608,10 @@ const Utils = {
             } else {
               fetch(`${CONFIG.API_BASE_URL()}/update-settings`, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
+                headers: {
+                  'Content-Type': 'application/json',
+                  'Authorization': `Bearer ${TriviaState.data.authToken}`
+                },
                 body: JSON.stringify(settings)
               });
             }
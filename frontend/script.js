@@ -12,7 +12,9 @@
  */
 const TriviaState = {
   userId: null,                     // User's Twitch ID
+  channelId: null,                  // Broadcaster's channel ID
   username: null,                   // User's Twitch username
+  authToken: null,                  // Extension JWT identifying the viewer to the API
   triviaActive: false,              // Whether trivia is currently active
   questionStartTime: null,          // When the current question started
   questionEndTime: null,            // When the current question ended
@@ -22,12 +24,18 @@ const TriviaState = {
   countdownUpdatedByPubSub: false,  // Flag to track PubSub countdown updates
   currentQuestionDifficulty: null,  // Current question difficulty level
   currentQuestionDuration: null,    // Current question duration
+  currentQuestionId: null,          // ID of the question currently displayed
+  currentQuestionType: null,        // "multiple_choice", "free_text" or "numeric"
+  lastGuess: null,                  // Viewer's guess for the current numeric question
+  lastTypedMatch: null,             // How the server graded a typed answer: exact, close or none
+  revealHasExplanation: false,      // Whether the last reveal came with an explanation or source
   countdownAlertShown: false,       // Flag to track if 60-second alert was shown
   
   // Visibility control settings
   visibilitySettings: {
     countdownShowSeconds: 60,       // Show overlay this many seconds before question
-    resultDisplaySeconds: 5         // Keep overlay visible this many seconds after question
+    resultDisplaySeconds: 5,        // Keep overlay visible this many seconds after question
+    explanationDisplaySeconds: 15   // ...or this long when there is an explanation to read
   },
   
   // Default settings
@@ -44,6 +52,26 @@ const TriviaState = {
     return window.location.hostname.includes('ext-twitch.tv')
       ? 'https://loremaster-trivia.com'
       : '';
+  },
+  
+  /**
+   * How long the result of a question stays on screen
+   * @returns {number} Display time in milliseconds
+   */
+  getResultDisplayTime() {
+    const { resultDisplaySeconds, explanationDisplaySeconds } = this.visibilitySettings;
+    return (this.revealHasExplanation ? explanationDisplaySeconds : resultDisplaySeconds) * 1000;
+  },
+  
+  /**
+   * Build request headers carrying the viewer's extension JWT
+   * @returns {Object} Headers for API calls
+   */
+  getAuthHeaders() {
+    return {
+      "Content-Type": "application/json",
+      "Authorization": `Bearer ${this.authToken}`
+    };
   }
 };
   
@@ -157,6 +185,8 @@ function fixTimerBarAnimation(duration) {
  */
 function handleAuthorization(auth) {
   TriviaState.userId = auth.userId;
+  TriviaState.channelId = auth.channelId;
+  TriviaState.authToken = auth.token;
   
   // Request identity sharing from the user
   window.Twitch.ext.actions.requestIdShare();
@@ -188,16 +218,7 @@ function handleAuthorization(auth) {
     // Send auth data to server for possible API resolution
     fetch(`${TriviaState.getApiBaseUrl()}/extension-identity`, {
       method: "POST",
-      headers: { 
-        "Content-Type": "application/json",
-        "Authorization": `Bearer ${auth.token}` // Include the JWT token
-      },
-      body: JSON.stringify({
-        userId: auth.userId,
-        channelId: auth.channelId,
-        clientId: auth.clientId,
-        token: auth.token
-      })
+      headers: TriviaState.getAuthHeaders() // Server reads the identity from the JWT
     })
     .then(response => response.json())
     .then(data => {
@@ -260,6 +281,10 @@ function handleAuthorization(auth) {
           handleTriviaQuestion(data);
           break;
           
+        case "TRIVIA_REVEAL":
+          handleTriviaReveal(data);
+          break;
+          
         case "COUNTDOWN_UPDATE":
           handleCountdownUpdate(data);
           break;
@@ -329,7 +354,7 @@ function handleTriviaStart(data) {
 function handleTriviaQuestion(data) {
   
   // Validate essential question data
-  if (!data.question || !data.choices || !data.correctAnswer) {
+  if (!data.question || !data.choices || data.questionId === undefined) {
     console.error("❌ Received incomplete question data:", data);
     return;
   }
@@ -361,6 +386,33 @@ function handleTriviaQuestion(data) {
   QuestionManager.displayQuestion(data);
 }
 
+/**
+ * Handle answer reveal message
+ * The server only sends the correct answer once answering time is over
+ * @param {Object} data - Reveal data with questionId and correctAnswer
+ */
+function handleTriviaReveal(data) {
+  // Ignore reveals for questions we are not showing
+  if (String(data.questionId) !== String(TriviaState.currentQuestionId)) {
+    console.warn(`⚠️ Ignoring reveal for question ${data.questionId}`);
+    return;
+  }
+  
+  // Explanations keep the result on screen longer so there is time to read them
+  TriviaState.revealHasExplanation = !!(data.explanation || data.source);
+  QuestionManager.revealCorrectAnswer(data.correctAnswer, data.correctAnswers, data);
+  if (TriviaState.currentQuestionType === 'free_text') {
+    QuestionManager.showTypedAnswer(data.correctAnswer, data.acceptedAnswers || []);
+  } else if (TriviaState.currentQuestionType === 'numeric') {
+    QuestionManager.showNumericResults(data);
+    
+    // Numeric points are only awarded when the round closes
+    UserManager.fetchUserScore();
+  }
+  QuestionManager.showSubmissionCredit(data.submittedBy);
+  TimerManager.scheduleCountdownTransition();
+}
+
 /**
  * Handle trivia end message
  */
@@ -398,6 +450,11 @@ function handleTriviaEnd() {
    */
   UI.setUIState = function(state) {
     
+    // Question media only belongs to the question screen
+    if (state !== "question") {
+      MediaManager.clear();
+    }
+    
     // Hide all screens first
     this.waitingScreen.style.display = "none";
     this.quizContainer.style.display = "none";
@@ -657,11 +714,11 @@ function addEntranceAnimations() {
     const originalRevealCorrectAnswer = QuestionManager.revealCorrectAnswer;
     
     // Override with animated version
-    QuestionManager.revealCorrectAnswer = function(correctAnswer) {
-      originalRevealCorrectAnswer.call(this, correctAnswer);
+    QuestionManager.revealCorrectAnswer = function(correctAnswer, correctAnswers, details) {
+      originalRevealCorrectAnswer.call(this, correctAnswer, correctAnswers, details);
       
       // Add special animations after correct answer is revealed
-      animateCorrectAnswerReveal(correctAnswer);
+      animateCorrectAnswerReveal();
     };
   }
 }
@@ -696,11 +753,11 @@ function animateQuestionAppearance() {
 }
 
 // Animate correct answer reveal with magical effects
-function animateCorrectAnswerReveal(correctAnswer) {
-  // Find the correct button
+function animateCorrectAnswerReveal() {
+  // Find the correct buttons (several for a multi-select question)
   const buttons = document.querySelectorAll('.choice-button');
   buttons.forEach(btn => {
-    if (btn.textContent === correctAnswer && btn.classList.contains('correct')) {
+    if (btn.classList.contains('correct')) {
       // Add starburst effect around correct answer
       createStarburst(btn);
     }
@@ -832,7 +889,8 @@ function improveTimerAnimation() {
    */
   const UserManager = {
     /**
-     * Send username to server for tracking
+     * Ask the server to look up and store this viewer's Twitch name
+     * The server resolves the name itself from the JWT identity.
      */
     sendUsername() {
       if (!TriviaState.userId || !TriviaState.username) {
@@ -851,13 +909,15 @@ function improveTimerAnimation() {
       
       fetch(`${TriviaState.getApiBaseUrl()}/api/set-username`, {
         method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          userId: TriviaState.userId,
-          username: TriviaState.username
-        })
+        headers: TriviaState.getAuthHeaders()
       })
       .then(response => response.json())
+      .then(data => {
+        // Prefer the name Twitch reports over the locally known one
+        if (data.username) {
+          TriviaState.username = data.username;
+        }
+      })
       .catch(error => console.error("❌ Error sending username:", error));
     },
 
@@ -871,7 +931,9 @@ function improveTimerAnimation() {
       }
       
       
-      fetch(`${TriviaState.getApiBaseUrl()}/score/${TriviaState.userId}`)
+      fetch(`${TriviaState.getApiBaseUrl()}/score`, {
+        headers: TriviaState.getAuthHeaders()
+      })
         .then(response => {
           if (!response.ok) {
             throw new Error(`Server returned ${response.status}`);
@@ -912,35 +974,29 @@ function improveTimerAnimation() {
     
     /**
      * Submit answer to server
-     * @param {HTMLElement} button - Button element that was clicked
-     * @param {string} selectedChoice - User's selected answer
-     * @param {string} correctAnswer - Correct answer
+     * @param {HTMLElement} button - Button (or typed-answer form) that was used
+     * @param {number|number[]|null} choiceIndex - Index of the selected choice (all of
+     *   them for a multi-select question), null for a typed answer
+     * @param {string} [answerText] - Typed answer for free-text questions
      */
-    submitAnswer(button, selectedChoice, correctAnswer) {
+    submitAnswer(button, choiceIndex, answerText) {
       if (!TriviaState.userId) {
         console.warn("⚠️ User ID missing. Cannot track score.");
         return;
       }
       
-      // Calculate answer time
-      const answerTime = Date.now() - TriviaState.questionStartTime;
-      
-      // Prepare answer data
-      const answerData = {
-        userId: TriviaState.userId,
-        username: TriviaState.username || null,
-        selectedAnswer: selectedChoice,
-        correctAnswer: correctAnswer,
-        answerTime: answerTime,
-        difficulty: TriviaState.currentQuestionDifficulty,
-        duration: TriviaState.currentQuestionDuration
-      };
+      // Prepare answer data (identity comes from the JWT, time is measured by the server)
+      const answerData = choiceIndex === null
+        ? { questionId: TriviaState.currentQuestionId, answerText }
+        : Array.isArray(choiceIndex)
+          ? { questionId: TriviaState.currentQuestionId, choiceIndexes: choiceIndex }
+          : { questionId: TriviaState.currentQuestionId, choiceIndex };
       
       
       // Send answer to server
       fetch(`${TriviaState.getApiBaseUrl()}/submit-answer`, {
         method: "POST",
-        headers: { "Content-Type": "application/json" },
+        headers: TriviaState.getAuthHeaders(),
         body: JSON.stringify(answerData)
       })
       .then(response => {
@@ -954,12 +1010,19 @@ function improveTimerAnimation() {
         // Update scores
         this.displayScores(data.totalScore || 0, data.sessionScore || 0);
         
+        // Typed answers are graded by the server; show the result on reveal
+        if (data.match) {
+          TriviaState.lastTypedMatch = data.match;
+        }
+        
         // Store answer data for display when timer ends
         if (data.pointsEarned > 0) {
           TriviaState.lastAnswerData = {
             button: button,
             pointsEarned: data.pointsEarned,
-            timePercentage: data.timePercentage
+            timePercentage: data.timePercentage,
+            partialCredit: !!data.partialCredit,
+            credit: data.credit
           };
         }
       })
@@ -969,10 +1032,183 @@ function improveTimerAnimation() {
     }
   };
   
+  /**
+   * Viewer question submission form
+   */
+  const SubmissionManager = {
+    form: document.getElementById("submit-question-form"),
+    status: document.getElementById("submit-question-status"),
+    
+    /**
+     * Wire up the form and its toggle button
+     */
+    init() {
+      const toggle = document.getElementById("submit-question-toggle");
+      const cancel = document.getElementById("submit-question-cancel");
+      if (!this.form || !toggle) return;
+      
+      toggle.addEventListener("click", () => this.open());
+      cancel.addEventListener("click", () => this.close());
+      this.form.addEventListener("submit", (event) => {
+        event.preventDefault();
+        this.submit();
+      });
+    },
+    
+    /**
+     * Show the form, loading the channel's categories into it
+     */
+    open() {
+      this.status.textContent = "";
+      this.form.style.display = "flex";
+      this.loadCategories();
+    },
+    
+    close() {
+      this.form.style.display = "none";
+    },
+    
+    /**
+     * Fill the category select with the channel's categories
+     */
+    loadCategories() {
+      const select = this.form.elements.category_id;
+      
+      fetch(`${TriviaState.getApiBaseUrl()}/api/categories`, {
+        headers: TriviaState.getAuthHeaders()
+      })
+        .then(response => response.json())
+        .then(data => {
+          const current = select.value;
+          select.innerHTML = "";
+          (data.categories || []).forEach(category => {
+            const option = document.createElement("option");
+            option.value = category.id;
+            option.textContent = category.name;
+            select.appendChild(option);
+          });
+          if (current) select.value = current;
+        })
+        .catch(error => console.error("❌ Error loading categories:", error));
+    },
+    
+    /**
+     * Send the form to the server
+     */
+    submit() {
+      if (!TriviaState.authToken) {
+        this.status.textContent = "Still connecting to Twitch, please try again.";
+        return;
+      }
+      
+      const values = {};
+      ["question", "correct_answer", "wrong_answer1", "wrong_answer2", "wrong_answer3", "category_id", "difficulty"]
+        .forEach(name => {
+          values[name] = this.form.elements[name].value.trim();
+        });
+      
+      const button = this.form.querySelector('button[type="submit"]');
+      button.disabled = true;
+      
+      fetch(`${TriviaState.getApiBaseUrl()}/api/questions/submit`, {
+        method: "POST",
+        headers: TriviaState.getAuthHeaders(),
+        body: JSON.stringify(values)
+      })
+        .then(response => response.json().then(data => ({ ok: response.ok, data })))
+        .then(({ ok, data }) => {
+          if (!ok) {
+            this.status.textContent = `❌ ${data.error || "Could not submit question"}`;
+            return;
+          }
+          
+          this.form.reset();
+          this.status.textContent = `✅ Thanks! Your question is waiting for review. (${data.remaining} more this hour)`;
+        })
+        .catch(error => {
+          console.error("❌ Error submitting question:", error);
+          this.status.textContent = "❌ Could not submit question";
+        })
+        .finally(() => {
+          button.disabled = false;
+        });
+    }
+  };
+  
   // ======================================================
   // 6. QUESTION MANAGEMENT
   // ======================================================
   
+  /**
+   * Question media (images and audio clips)
+   * Media announced during the countdown is loaded early, so it is ready
+   * the moment its question arrives.
+   */
+  const MediaManager = {
+    preloaded: new Map(),           // media URL -> loaded <img> or <audio> element
+    
+    /**
+     * Start loading a question's media
+     * @param {Object} media - { url, type } from the server
+     */
+    preload(media) {
+      if (!media || !media.url || this.preloaded.has(media.url)) return;
+      this.preloaded.set(media.url, this.createElement(media));
+    },
+    
+    /**
+     * Create the element that plays or shows a media file
+     * @param {Object} media - { url, type } from the server
+     * @returns {HTMLElement} Image or audio element
+     */
+    createElement(media) {
+      const src = `${TriviaState.getApiBaseUrl()}${media.url}`;
+      
+      if (media.type === 'audio') {
+        const audio = new Audio();
+        audio.preload = 'auto';
+        audio.controls = true;
+        audio.src = src;
+        return audio;
+      }
+      
+      const image = new Image();
+      image.alt = 'Question image';
+      image.src = src;
+      return image;
+    },
+    
+    /**
+     * Show a question's media above the question text
+     * @param {Object|null} media - { url, type }, or null for a question without media
+     */
+    show(media) {
+      this.clear();
+      if (!media || !media.url) return;
+      
+      const element = this.preloaded.get(media.url) || this.createElement(media);
+      this.preloaded.clear();
+      
+      element.classList.add('question-media');
+      UI.questionText.parentNode.insertBefore(element, UI.questionText);
+      
+      if (media.type === 'audio') {
+        // Browsers may block autoplay; the controls let the viewer start it
+        element.play().catch(() => {});
+      }
+    },
+    
+    /**
+     * Remove any media shown, stopping audio that is still playing
+     */
+    clear() {
+      document.querySelectorAll('.question-media').forEach(element => {
+        if (element.pause) element.pause();
+        element.remove();
+      });
+    }
+  };
+  
   /**
    * Question display and answer handling
    */
@@ -982,7 +1218,7 @@ function improveTimerAnimation() {
      * @param {Object} data - Question data
      */
     displayQuestion(data) {
-      if (!data.question || !data.choices || !data.correctAnswer) {
+      if (!data.question || !data.choices || data.questionId === undefined) {
         console.error("❌ Missing required question data:", data);
         TriviaState.questionRequested = false;
         return;
@@ -995,6 +1231,11 @@ function improveTimerAnimation() {
       TriviaState.questionStartTime = Date.now();
       TriviaState.currentQuestionDifficulty = data.difficulty || 'Medium';
       TriviaState.currentQuestionDuration = duration;
+      TriviaState.currentQuestionId = data.questionId;
+      TriviaState.currentQuestionType = data.type || 'multiple_choice';
+      TriviaState.lastTypedMatch = null;
+      TriviaState.lastGuess = null;
+      TriviaState.revealHasExplanation = false;
       TriviaState.triviaActive = true;
       TriviaState.questionRequested = false;
       
@@ -1002,8 +1243,19 @@ function improveTimerAnimation() {
       UI.questionText.textContent = data.question;
       UI.choicesContainer.innerHTML = "";
       
-      // Remove existing difficulty indicators
-      document.querySelectorAll('.difficulty-indicator').forEach(el => el.remove());
+      // Remove existing category and difficulty indicators and submission credits
+      document.querySelectorAll('.category-indicator, .difficulty-indicator, .submitted-by').forEach(el => el.remove());
+      
+      // Category badge in the category's own color, if it has one
+      if (data.category) {
+        const categoryIndicator = document.createElement("div");
+        categoryIndicator.className = "category-indicator";
+        categoryIndicator.textContent = [data.category.icon, data.category.name].filter(Boolean).join(' ');
+        if (/^#[0-9a-f]{6}$/i.test(data.category.color || '')) {
+          categoryIndicator.style.backgroundColor = data.category.color;
+        }
+        UI.questionText.parentNode.insertBefore(categoryIndicator, UI.questionText);
+      }
       
       // Add difficulty indicator if available
       if (data.difficulty) {
@@ -1013,29 +1265,40 @@ function improveTimerAnimation() {
         UI.questionText.parentNode.insertBefore(difficultyIndicator, UI.questionText);
       }
       
-      // Create buttons for each choice
-      data.choices.forEach(choice => {
-        const button = document.createElement("button");
-        button.classList.add("choice-button");
-        button.textContent = choice;
-        button.onclick = () => this.handleAnswerSelection(button, choice, data.correctAnswer);
-        UI.choicesContainer.appendChild(button);
-      });
+      // Image or audio clip goes above the question text
+      MediaManager.show(data.media);
+      
+      // Free-text and numeric questions get an answer box, the rest a button per choice
+      if (['free_text', 'numeric'].includes(TriviaState.currentQuestionType)) {
+        this.renderAnswerInput(TriviaState.currentQuestionType === 'numeric');
+      } else {
+        const multiSelect = TriviaState.currentQuestionType === 'multi_select';
+        data.choices.forEach((choice, index) => {
+          const button = document.createElement("button");
+          button.classList.add("choice-button");
+          button.textContent = choice;
+          button.dataset.index = index;
+          button.onclick = multiSelect
+            ? () => this.toggleChoice(button)
+            : () => this.handleAnswerSelection(button, index);
+          UI.choicesContainer.appendChild(button);
+        });
+        if (multiSelect) this.renderMultiSelectSubmit();
+      }
       
       // Show question UI
       UI.setUIState("question");
       
       // Start timer for question
-      TimerManager.startQuestionTimer(duration, data.correctAnswer);
+      TimerManager.startQuestionTimer(duration);
     },
     
     /**
      * Handle user answer selection
      * @param {HTMLElement} button - Button that was clicked
-     * @param {string} selectedChoice - Selected answer text
-     * @param {string} correctAnswer - Correct answer text
+     * @param {number} choiceIndex - Index of the selected choice
      */
-    handleAnswerSelection(button, selectedChoice, correctAnswer) {
+    handleAnswerSelection(button, choiceIndex) {
       // Disable all buttons to prevent multiple selections
       document.querySelectorAll(".choice-button").forEach(btn => btn.disabled = true);
       
@@ -1044,14 +1307,107 @@ function improveTimerAnimation() {
       button.dataset.selected = "true";
       
       // Submit answer to server
-      UserManager.submitAnswer(button, selectedChoice, correctAnswer);
+      UserManager.submitAnswer(button, choiceIndex);
+    },
+    
+    /**
+     * Pick or unpick a choice of a multi-select question
+     * @param {HTMLElement} button - Choice button that was clicked
+     */
+    toggleChoice(button) {
+      const picked = button.dataset.selected !== "true";
+      button.classList.toggle("selected", picked);
+      button.dataset.selected = picked ? "true" : "false";
+      
+      const submit = UI.choicesContainer.querySelector(".multi-select-submit");
+      if (submit) {
+        submit.disabled = !UI.choicesContainer.querySelector('.choice-button[data-selected="true"]');
+      }
+    },
+    
+    /**
+     * Show the hint and submit button of a multi-select question
+     */
+    renderMultiSelectSubmit() {
+      const hint = document.createElement("div");
+      hint.className = "multi-select-hint";
+      hint.textContent = "Select all that apply";
+      UI.choicesContainer.prepend(hint);
+      
+      const submit = document.createElement("button");
+      submit.className = "free-text-submit multi-select-submit";
+      submit.textContent = "Submit";
+      submit.disabled = true;
+      submit.onclick = () => {
+        const picked = [...UI.choicesContainer.querySelectorAll('.choice-button[data-selected="true"]')]
+          .map(btn => Number(btn.dataset.index));
+        if (picked.length === 0) return;
+        
+        // One answer per question: lock the choices once submitted
+        document.querySelectorAll(".choice-button").forEach(btn => btn.disabled = true);
+        submit.disabled = true;
+        UserManager.submitAnswer(submit, picked);
+      };
+      UI.choicesContainer.appendChild(submit);
+    },
+    
+    /**
+     * Show the answer box for a free-text or numeric question
+     * @param {boolean} numeric - Ask for a number instead of text
+     */
+    renderAnswerInput(numeric = false) {
+      const form = document.createElement("form");
+      form.className = "free-text-form";
+      
+      const input = document.createElement("input");
+      input.className = "free-text-input";
+      input.maxLength = numeric ? 30 : 255;
+      input.placeholder = numeric ? "Your best guess..." : "Type your answer...";
+      input.autocomplete = "off";
+      if (numeric) {
+        input.inputMode = "decimal";
+        input.pattern = "[-+]?[0-9., _]+";
+      }
+      
+      const button = document.createElement("button");
+      button.type = "submit";
+      button.className = "free-text-submit";
+      button.textContent = "Answer";
+      
+      form.append(input, button);
+      form.onsubmit = (event) => {
+        event.preventDefault();
+        this.handleTypedAnswer(form, input.value.trim());
+      };
+      UI.choicesContainer.appendChild(form);
+    },
+    
+    /**
+     * Handle a typed answer to a free-text or numeric question
+     * @param {HTMLFormElement} form - Answer form
+     * @param {string} answerText - What the viewer typed
+     */
+    handleTypedAnswer(form, answerText) {
+      if (!answerText) return;
+      
+      if (TriviaState.currentQuestionType === 'numeric') {
+        TriviaState.lastGuess = Number(answerText.replace(/[\s,_]/g, ''));
+      }
+      
+      // One answer per question, like the choice buttons
+      form.querySelectorAll("input, button").forEach(el => el.disabled = true);
+      form.classList.add("selected");
+      
+      UserManager.submitAnswer(form, null, answerText);
     },
 
     /**
  * Reveal correct answer
  * @param {string} correctAnswer - Correct answer text
+ * @param {string[]} [correctAnswers] - Every correct choice of a multi-select question
+ * @param {Object} [details] - Reveal data with the optional explanation and source
  */
-revealCorrectAnswer(correctAnswer) {
+revealCorrectAnswer(correctAnswer, correctAnswers = [correctAnswer], details = {}) {
   // Store question end time for visibility control
   TriviaState.questionEndTime = Date.now();
   
@@ -1059,7 +1415,7 @@ revealCorrectAnswer(correctAnswer) {
   
   // Mark each button as correct or wrong
   buttons.forEach(btn => {
-    if (btn.textContent === correctAnswer) {
+    if (correctAnswers.includes(btn.textContent)) {
       btn.classList.add("correct");
     } else if (btn.dataset.selected === "true") {
       btn.classList.remove("selected");
@@ -1077,12 +1433,150 @@ revealCorrectAnswer(correctAnswer) {
     pointsInfo.innerHTML = `
       <span class="points">+${TriviaState.lastAnswerData.pointsEarned} points!</span>
       <span class="time-bonus">${TriviaState.lastAnswerData.timePercentage}% time bonus</span>
+      ${TriviaState.lastAnswerData.partialCredit ? '<span class="time-bonus">Close enough: partial credit</span>' : ''}
+      ${TriviaState.lastAnswerData.credit < 100 ? `<span class="time-bonus">Partly right: ${TriviaState.lastAnswerData.credit}% credit</span>` : ''}
     `;
     TriviaState.lastAnswerData.button.parentNode.appendChild(pointsInfo);
     
     // Clear the data
     TriviaState.lastAnswerData = null;
   }
+  
+  this.showExplanation(details.explanation, details.source);
+},
+
+/**
+ * Show why the answer is right and where the lore comes from
+ * @param {string|null} explanation - Explanation text
+ * @param {string|null} source - Lore source
+ */
+showExplanation(explanation, source) {
+  if (!explanation && !source) return;
+  
+  const box = document.createElement("div");
+  box.className = "reveal-explanation";
+  
+  if (explanation) {
+    const text = document.createElement("p");
+    text.textContent = explanation;
+    box.appendChild(text);
+  }
+  if (source) {
+    const cite = document.createElement("cite");
+    cite.textContent = `📜 ${source}`;
+    box.appendChild(cite);
+  }
+  
+  UI.choicesContainer.appendChild(box);
+},
+
+/**
+ * Show the answer to a free-text question and how the viewer's answer was graded
+ * @param {string} correctAnswer - Correct answer text
+ * @param {string[]} acceptedAnswers - Other spellings that were accepted
+ */
+showTypedAnswer(correctAnswer, acceptedAnswers) {
+  const form = UI.choicesContainer.querySelector(".free-text-form");
+  if (form) {
+    form.querySelectorAll("input, button").forEach(el => el.disabled = true);
+    form.classList.remove("selected");
+    if (TriviaState.lastTypedMatch) {
+      form.classList.add(TriviaState.lastTypedMatch === 'none' ? "wrong" : "correct");
+    }
+  }
+  
+  const answer = document.createElement("div");
+  answer.className = "typed-answer";
+  answer.textContent = `Answer: ${correctAnswer}`;
+  if (acceptedAnswers.length > 0) {
+    const also = document.createElement("span");
+    also.textContent = `Also accepted: ${acceptedAnswers.join(", ")}`;
+    answer.appendChild(also);
+  }
+  UI.choicesContainer.appendChild(answer);
+},
+
+/**
+ * Show the answer to a numeric question, the spread of guesses and the winners
+ * @param {Object} data - Reveal data with correctAnswer, distribution and winners
+ */
+showNumericResults(data) {
+  const answer = Number(data.correctAnswer);
+  const format = value => Number(value).toLocaleString(undefined, { maximumFractionDigits: 2 });
+  
+  const form = UI.choicesContainer.querySelector(".free-text-form");
+  if (form) {
+    form.querySelectorAll("input, button").forEach(el => el.disabled = true);
+    form.classList.remove("selected");
+  }
+  
+  const results = document.createElement("div");
+  results.className = "typed-answer numeric-results";
+  results.textContent = `Answer: ${format(answer)}`;
+  
+  if (TriviaState.lastGuess !== null && !isNaN(TriviaState.lastGuess)) {
+    const yours = document.createElement("span");
+    const distance = Math.abs(TriviaState.lastGuess - answer);
+    yours.textContent = distance === 0
+      ? `Your guess: ${format(TriviaState.lastGuess)} (spot on!)`
+      : `Your guess: ${format(TriviaState.lastGuess)} (off by ${format(distance)})`;
+    results.appendChild(yours);
+  }
+  
+  // One bar per bucket, scaled to the busiest bucket
+  const distribution = data.distribution || [];
+  const busiest = Math.max(1, ...distribution.map(bucket => bucket.count));
+  if (distribution.length > 0) {
+    const chart = document.createElement("div");
+    chart.className = "guess-distribution";
+    
+    distribution.forEach(bucket => {
+      const row = document.createElement("div");
+      row.className = "guess-bucket";
+      if ((bucket.from === null || bucket.from <= answer) && (bucket.to === null || answer <= bucket.to)) {
+        row.classList.add("contains-answer");
+      }
+      
+      const label = document.createElement("span");
+      label.className = "guess-bucket-label";
+      label.textContent = bucket.from === null ? `< ${format(bucket.to)}`
+        : bucket.to === null ? `> ${format(bucket.from)}`
+        : bucket.from === bucket.to ? format(bucket.from)
+        : `${format(bucket.from)} – ${format(bucket.to)}`;
+      
+      const bar = document.createElement("span");
+      bar.className = "guess-bucket-bar";
+      bar.style.width = `${Math.round((bucket.count / busiest) * 100)}%`;
+      bar.textContent = bucket.count;
+      
+      row.append(label, bar);
+      chart.appendChild(row);
+    });
+    
+    results.appendChild(chart);
+  }
+  
+  (data.winners || []).forEach(winner => {
+    const line = document.createElement("span");
+    line.className = "guess-winner";
+    line.textContent = `#${winner.rank} ${winner.username}: ${format(winner.guess)} (+${winner.points})`;
+    results.appendChild(line);
+  });
+  
+  UI.choicesContainer.appendChild(results);
+},
+
+/**
+ * Credit the viewer who submitted the revealed question
+ * @param {string|null} submittedBy - Viewer's name, if the question was a viewer submission
+ */
+showSubmissionCredit(submittedBy) {
+  if (!submittedBy) return;
+  
+  const credit = document.createElement("div");
+  credit.className = "submitted-by";
+  credit.textContent = `💡 Question submitted by ${submittedBy}`;
+  UI.questionText.parentNode.appendChild(credit);
 }
 };
   
@@ -1119,38 +1613,51 @@ const TimerManager = {
   
   /**
    * Start timer for current question
+   * The answer itself arrives later in a TRIVIA_REVEAL broadcast
    * @param {number} duration - Duration in milliseconds
-   * @param {string} correctAnswer - Correct answer text
    */
-  startQuestionTimer(duration, correctAnswer) {
+  startQuestionTimer(duration) {
   // Store current question timestamp to verify timer validity later
   const currentQuestionTime = TriviaState.questionStartTime;
-  
+
   // Clear any previous question end time
   TriviaState.questionEndTime = null;
-  
+
   // Set question in progress flag
   questionInProgress = true;
-  
+
   setTimeout(() => {
     // Check if we're still showing the same question
     if (TriviaState.questionStartTime !== currentQuestionTime) {
       return;
     }
-    
-    // Reveal answer
-    QuestionManager.revealCorrectAnswer(correctAnswer);
-    
+
+    // Time is up - lock the choices while we wait for the reveal
+    document.querySelectorAll(".choice-button, .multi-select-submit").forEach(btn => btn.disabled = true);
+
+    // Fall back to the countdown if the reveal broadcast never arrives
+    setTimeout(() => {
+      if (TriviaState.questionStartTime === currentQuestionTime && !TriviaState.questionEndTime) {
+        console.warn("⚠️ No answer reveal received, returning to countdown");
+        TriviaState.questionEndTime = Date.now();
+        this.scheduleCountdownTransition();
+      }
+    }, 10000);
+  }, duration);
+},
+
+  /**
+   * Return to the countdown screen after the result display period
+   */
+  scheduleCountdownTransition() {
     // Reset question in progress flag
     questionInProgress = false;
-    
-    // Schedule transition back to countdown
+
     setTimeout(() => {
       const nextInterval = TriviaState.settings.intervalTime || 600000;
       this.transitionToCountdown(nextInterval);
-    }, TriviaState.visibilitySettings.resultDisplaySeconds * 1000);
-  }, duration);
-},
+    }, TriviaState.getResultDisplayTime());
+  },
   
   /**
    * Transition to countdown screen
@@ -1285,7 +1792,7 @@ function updateAppVisibility(timeRemaining) {
   const showDuringCountdown = timeRemaining <= showCountdownThreshold && timeRemaining > 0;
   
   // After a question finishes, keep it visible for result display period
-  const resultDisplayPeriod = 5000; // 5 seconds
+  const resultDisplayPeriod = TriviaState.getResultDisplayTime();
   const currentTime = Date.now();
   const questionJustEnded = TriviaState.questionEndTime && 
                           (currentTime - TriviaState.questionEndTime < resultDisplayPeriod);
@@ -1343,6 +1850,11 @@ function handleCountdownUpdate(data) {
   // Update nextQuestionTime based on the timeRemaining from server
   TriviaState.nextQuestionTime = Date.now() + data.timeRemaining;
   
+  // The server announces the next question's media shortly before it is asked
+  if (data.preloadMedia) {
+    MediaManager.preload(data.preloadMedia);
+  }
+  
   // Update the UI with the new time
   UI.setUIState("countdown");
   TimerManager.updateCountdown(data.timeRemaining);
@@ -1376,6 +1888,9 @@ document.addEventListener("DOMContentLoaded", () => {
   // Initialize Twitch extension
   initializeTwitchExtension();
   
+  // Viewer question submissions
+  SubmissionManager.init();
+  
   // Initialize app visibility
   const appContainer = document.getElementById('app');
   if (appContainer) {